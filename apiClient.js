@@ -0,0 +1,233 @@
+// HTTP client for the FuelEU backend. Response types are the backend's HTTP DTOs
+// and use-case results (backend.js); dates arrive as ISO strings.
+
+/** @typedef {import('./backend').LoginResult} LoginResult */
+/** @typedef {import('./backend').RouteDto} RouteDto */
+/** @typedef {import('./backend').RoutePageDto} RoutePageDto */
+/** @typedef {import('./backend').RouteFacets} RouteFacets */
+/** @typedef {import('./backend').RouteSortKey} RouteSortKey */
+/** @typedef {import('./backend').VesselDto} VesselDto */
+/** @typedef {import('./backend').RouteImportResult} RouteImportResult */
+/** @typedef {import('./backend').ImportMode} ImportMode */
+/** @typedef {import('./backend').RegulationTargetsDto} RegulationTargetsDto */
+/** @typedef {import('./backend').ComparisonResult} ComparisonResult */
+/** @typedef {import('./backend').ComplianceBalanceSummary} ComplianceBalanceSummary */
+/** @typedef {import('./backend').CBBreakdown} CBBreakdown */
+/** @typedef {import('./backend').PenaltyResult} PenaltyResult */
+/** @typedef {import('./backend').ComplianceTimeline} ComplianceTimeline */
+/** @typedef {import('./backend').ApplyBankedResult} ApplyBankedResult */
+/** @typedef {import('./backend').BorrowEntry} BorrowEntry */
+/** @typedef {import('./backend').AdjustedCB} AdjustedCB */
+/** @typedef {import('./backend').PoolMemberInput} PoolMemberInput */
+/** @typedef {import('./backend').PoolAllocationStrategyName} PoolAllocationStrategyName */
+/** @typedef {import('./backend').PoolPreview} PoolPreview */
+/** @typedef {import('./backend').PoolAllocation} PoolAllocation */
+/** @typedef {import('./backend').PoolTransfer} PoolTransfer */
+/** @typedef {import('./backend').Pool} Pool */
+/** @typedef {import('./backend').PoolStatus} PoolStatus */
+/** @typedef {import('./backend').Scenario} Scenario */
+/** @typedef {import('./backend').ScenarioSimulation} ScenarioSimulation */
+/** @typedef {import('./backend').AuditEvent} AuditEvent */
+/** @typedef {import('./backend').ErrorResponse} ErrorResponse */
+/** @typedef {import('./backend').FieldError} FieldError */
+
+/**
+ * Empty strings are left out of the query string
+ * @typedef {Object} RouteQuery
+ * @property {string} [vesselType]
+ * @property {string} [fuelType]
+ * @property {number | string} [year]
+ * @property {string} [search] route id, ship id or vessel name
+ * @property {number | string} [minIntensity]
+ * @property {number | string} [maxIntensity]
+ * @property {RouteSortKey} [sort]
+ * @property {'asc' | 'desc'} [order]
+ * @property {number} [page] 1-based
+ * @property {number} [pageSize]
+ */
+
+/**
+ * @typedef {Object} AuditQuery
+ * @property {string} [entity]
+ * @property {string} [shipId]
+ * @property {string} [from] ISO date
+ * @property {string} [to] ISO date
+ */
+
+// Carries the backend's { code, message, details } error body
+export class ApiError extends Error {
+  /**
+   * @param {number} status HTTP status, 0 when the server could not be reached
+   * @param {ErrorResponse | null} body
+   */
+  constructor(status, body) {
+    super(body?.message ?? `Request failed with status ${status}`);
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = body?.code ?? 'INTERNAL_ERROR';
+    /** @type {FieldError[]} */
+    this.details = body?.details ?? [];
+  }
+}
+
+/**
+ * @param {{ baseUrl: string }} options
+ */
+export function createApiClient({ baseUrl }) {
+  let token = null;
+
+  // okStatuses: error statuses whose body is a regular result, e.g. a fully rejected import
+  const request = async (method, path, { query, body, headers, okStatuses = [], as = 'json' } = {}) => {
+    const params = new URLSearchParams(
+      Object.entries(query ?? {}).filter(([, value]) => value !== undefined && value !== null && value !== '')
+    );
+    const search = params.toString();
+    const url = `${baseUrl.replace(/\/$/, '')}${path}${search ? `?${search}` : ''}`;
+
+    let response;
+    try {
+      response = await fetch(url, {
+        method,
+        headers: {
+          ...(body !== undefined && { 'Content-Type': 'application/json' }),
+          ...(token && { Authorization: `Bearer ${token}` }),
+          ...headers
+        },
+        body: body === undefined ? undefined : JSON.stringify(body)
+      });
+    } catch {
+      throw new ApiError(0, { code: 'NETWORK_ERROR', message: `Cannot reach the server at ${baseUrl}`, details: [] });
+    }
+
+    if (!response.ok && !okStatuses.includes(response.status)) {
+      throw new ApiError(response.status, await response.json().catch(() => null));
+    }
+
+    return as === 'blob' ? response.blob() : response.json();
+  };
+
+  const toMembers = (members) => members.map(({ shipId, cbBefore }) => ({ shipId, cbBefore }));
+
+  // Sending the same key again replays the first response instead of repeating the action
+  const idempotencyHeaders = (idempotencyKey) => idempotencyKey && { 'Idempotency-Key': idempotencyKey };
+
+  return {
+    /** @returns {Promise<LoginResult>} */
+    login: async (email, password) => {
+      const result = await request('POST', '/auth/login', { body: { email, password } });
+      token = result.token;
+      return result;
+    },
+
+    logout: () => {
+      token = null;
+    },
+
+    /** @returns {Promise<VesselDto[]>} */
+    getVessels: () => request('GET', '/vessels'),
+
+    /**
+     * @param {RouteQuery} [query]
+     * @returns {Promise<RoutePageDto>}
+     */
+    getRoutes: (query) => request('GET', '/routes', { query }),
+
+    /** @returns {Promise<RouteFacets>} */
+    getRouteFacets: () => request('GET', '/routes/facets'),
+
+    /** @returns {Promise<{ success: boolean, routeId: string }>} */
+    setBaseline: (routeId) => request('POST', `/routes/${encodeURIComponent(routeId)}/baseline`),
+
+    /**
+     * @param {string} csv
+     * @param {ImportMode} mode
+     * @returns {Promise<RouteImportResult>}
+     */
+    importRoutes: (csv, mode) =>
+      request('POST', '/routes/import', { query: { mode }, body: { csv }, okStatuses: [422] }),
+
+    /** @returns {Promise<RegulationTargetsDto>} */
+    getTargets: () => request('GET', '/regulation/targets'),
+
+    /** @returns {Promise<ComparisonResult>} */
+    getComparison: (year) => request('GET', '/routes/comparison', { query: { year } }),
+
+    /** @returns {Promise<ComplianceBalanceSummary>} */
+    getCB: (shipId, year) => request('GET', '/compliance/cb', { query: { shipId, year } }),
+
+    /** @returns {Promise<CBBreakdown>} */
+    getCBBreakdown: (shipId, year) => request('GET', '/compliance/breakdown', { query: { shipId, year } }),
+
+    /** @returns {Promise<PenaltyResult>} */
+    getPenalty: (shipId, year) => request('GET', '/compliance/penalty', { query: { shipId, year } }),
+
+    /** @returns {Promise<ComplianceTimeline>} */
+    getTimeline: (shipId, from, to) => request('GET', '/compliance/timeline', { query: { shipId, from, to } }),
+
+    /**
+     * @param {string} [idempotencyKey]
+     * @returns {Promise<{ success: boolean, banked: number }>}
+     */
+    bankCB: (shipId, year, amount, idempotencyKey) =>
+      request('POST', '/banking/bank', { body: { shipId, year, amount }, headers: idempotencyHeaders(idempotencyKey) }),
+
+    /**
+     * @param {string} [idempotencyKey]
+     * @returns {Promise<{ success: boolean } & ApplyBankedResult>}
+     */
+    applyBanked: (shipId, year, amount, idempotencyKey) =>
+      request('POST', '/banking/apply', { body: { shipId, year, amount }, headers: idempotencyHeaders(idempotencyKey) }),
+
+    /** @returns {Promise<{ success: boolean } & BorrowEntry>} */
+    borrow: (shipId, year, amount) => request('POST', '/banking/borrow', { body: { shipId, year, amount } }),
+
+    /** @returns {Promise<Blob>} */
+    downloadReport: (shipId, year) =>
+      request('GET', `/reports/ship/${encodeURIComponent(shipId)}/${year}.pdf`, { as: 'blob' }),
+
+    /** @returns {Promise<AdjustedCB[]>} */
+    getAdjustedCB: (year) => request('GET', '/compliance/adjusted-cb', { query: { year } }),
+
+    /**
+     * @param {number} year
+     * @param {PoolMemberInput[]} members
+     * @param {PoolAllocationStrategyName} strategy
+     * @returns {Promise<PoolPreview>}
+     */
+    previewPool: (year, members, strategy) =>
+      request('POST', '/pools/preview', { body: { year, members: toMembers(members), strategy } }),
+
+    /**
+     * @param {number} year
+     * @param {PoolMemberInput[]} members
+     * @param {PoolAllocationStrategyName} strategy
+     * @param {string} [idempotencyKey]
+     * @returns {Promise<{ poolId: string, status: PoolStatus, allocations: PoolAllocation[], transfers: PoolTransfer[] }>}
+     */
+    createPool: (year, members, strategy, idempotencyKey) =>
+      request('POST', '/pools', {
+        body: { year, members: toMembers(members), strategy },
+        headers: idempotencyHeaders(idempotencyKey)
+      }),
+
+    /** @returns {Promise<Pool[]>} */
+    getPools: (year) => request('GET', '/pools', { query: { year } }),
+
+    /** @returns {Promise<{ success: boolean, poolId: string, status: PoolStatus }>} */
+    consentToPool: (poolId) => request('POST', `/pools/${encodeURIComponent(poolId)}/consent`),
+
+    /**
+     * Read only; projects the ship's latest routes to 2050 under each scenario
+     * @param {string} shipId
+     * @param {Scenario[]} scenarios
+     * @returns {Promise<ScenarioSimulation>}
+     */
+    simulateScenarios: (shipId, scenarios) => request('POST', '/scenarios/simulate', { body: { shipId, scenarios } }),
+
+    /**
+     * @param {AuditQuery} filters
+     * @returns {Promise<AuditEvent[]>}
+     */
+    getAudit: (filters) => request('GET', '/audit', { query: filters })
+  };
+}
@@ -2,6 +2,8 @@
 // BACKEND API IMPLEMENTATION SAMPLE
 // ============================================
 
+import { createHash, createHmac, randomBytes, scryptSync, timingSafeEqual } from 'crypto';
+
 // ----- DOMAIN LAYER -----
 // core/domain/entities/Route.ts
 
@@ -15,7 +17,11 @@ export enum VesselType {
 export enum FuelType {
   HFO = 'HFO',
   LNG = 'LNG',
-  MGO = 'MGO'
+  MGO = 'MGO',
+  BIO_LNG = 'Bio-LNG',
+  // Renewable fuels of non-biological origin (RFNBO)
+  E_METHANOL = 'e-Methanol',
+  E_AMMONIA = 'e-Ammonia'
 }
 
 export class ValidationError extends Error {
@@ -25,75 +31,526 @@ export class ValidationError extends Error {
   }
 }
 
+// The referenced resource does not exist, or belongs to another company
+export class NotFoundError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = 'NotFoundError';
+  }
+}
+
+// The request is well-formed but clashes with existing state
+export class ConflictError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = 'ConflictError';
+  }
+}
+
+export class UnauthorizedError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = 'UnauthorizedError';
+  }
+}
+
+export class ForbiddenError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = 'ForbiddenError';
+  }
+}
+
+export interface FuelConsumption {
+  fuelType: FuelType;
+  consumption: number; // tonnes
+}
+
+export interface FuelBreakdown extends FuelConsumption {
+  energy: number;       // MJ
+  energyShare: number;  // 0..1 of the route's energy
+  ghgIntensity: number; // well-to-wake, gCO2e/MJ
+  emissions: number;    // tank-to-wake CO2, tonnes
+}
+
+export interface VoyageLeg {
+  origin: Port;
+  destination: Port;
+  fuels: FuelConsumption[];        // at sea
+  atBerthFuels: FuelConsumption[]; // at berth in the destination port
+}
+
+export interface ScopeSplit {
+  fullScopeEnergy: number; // MJ counted at 100%
+  halfScopeEnergy: number; // MJ counted at 50%
+  outOfScopeEnergy: number; // MJ not counted
+}
+
+// Where an imported route came from, for audit back to the source document
+export interface RouteSource {
+  format: 'mrv-tabular' | 'mrv-xml';
+  reportId: string;
+  line: number;
+}
+
 export interface RouteProps {
   id: string;
   routeId: string;
+  shipId?: string; // Vessel id
   vesselType: VesselType;
-  fuelType: FuelType;
+  // Either the voyage fuel mix, counted fully in scope, or port-call legs it is derived from
+  fuels?: FuelConsumption[];
+  legs?: VoyageLeg[];
   year: number;
-  ghgIntensity: number;
-  fuelConsumption: number;
-  distance: number;
+  // Certified actual intensity; when omitted it is computed from the fuel catalogue
+  ghgIntensity?: number;
+  distance: number; // nautical miles
   isBaseline: boolean;
+  source?: RouteSource;
 }
 
 export class Route {
   private constructor(
     public readonly id: string,
     public readonly routeId: string,
+    public readonly shipId: string | undefined,
     public readonly vesselType: VesselType,
-    public readonly fuelType: FuelType,
+    public readonly fuels: ReadonlyArray<FuelConsumption>,
+    public readonly legs: ReadonlyArray<VoyageLeg>,
     public readonly year: number,
-    public readonly ghgIntensity: number,
-    public readonly fuelConsumption: number,
+    public readonly certifiedGhgIntensity: number | undefined,
     public readonly distance: number,
-    public readonly isBaseline: boolean
+    public readonly isBaseline: boolean,
+    public readonly source: RouteSource | undefined
   ) {
     this.validate();
   }
 
   private validate(): void {
-    if (this.ghgIntensity <= 0) {
+    if (!Object.values(VesselType).includes(this.vesselType)) {
+      throw new ValidationError(`Unknown vessel type: ${this.vesselType}`);
+    }
+    const intensity = this.certifiedGhgIntensity;
+    if (intensity !== undefined && !(Number.isFinite(intensity) && intensity > 0)) {
       throw new ValidationError('GHG intensity must be positive');
     }
-    if (this.fuelConsumption <= 0) {
-      throw new ValidationError('Fuel consumption must be positive');
+    if (this.fuels.length === 0) {
+      throw new ValidationError('Route must have at least one fuel consumption line');
+    }
+    for (const line of this.fuels) {
+      getFuelProperties(line.fuelType);
+      if (!(Number.isFinite(line.consumption) && line.consumption > 0)) {
+        throw new ValidationError(`Fuel consumption for ${line.fuelType} must be positive`);
+      }
+    }
+    if (new Set(this.fuels.map(f => f.fuelType)).size !== this.fuels.length) {
+      throw new ValidationError('Each fuel type may appear only once per route');
+    }
+    for (const leg of this.legs) {
+      if ([...leg.fuels, ...leg.atBerthFuels].some(f => !(Number.isFinite(f.consumption) && f.consumption >= 0))) {
+        throw new ValidationError(
+          `Fuel consumption on leg ${leg.origin.code}-${leg.destination.code} must be a non-negative number`
+        );
+      }
+    }
+    for (let i = 1; i < this.legs.length; i++) {
+      if (this.legs[i].origin.code !== this.legs[i - 1].destination.code) {
+        throw new ValidationError(
+          `Leg ${i + 1} must depart from ${this.legs[i - 1].destination.code}`
+        );
+      }
     }
-    if (this.year < 2024) {
+    if (!Number.isInteger(this.year) || this.year < 2024) {
       throw new ValidationError('Year must be 2024 or later');
     }
+    if (!Number.isFinite(this.distance) || this.distance < 0) {
+      throw new ValidationError('Distance must be a non-negative number');
+    }
   }
 
   static create(props: RouteProps): Route {
+    if (props.fuels && props.legs) {
+      throw new ValidationError('Provide either fuels or legs, not both');
+    }
+
+    const legs = (props.legs ?? []).map(leg => ({
+      origin: { ...leg.origin },
+      destination: { ...leg.destination },
+      fuels: leg.fuels.map(f => ({ fuelType: f.fuelType, consumption: f.consumption })),
+      atBerthFuels: leg.atBerthFuels.map(f => ({ fuelType: f.fuelType, consumption: f.consumption }))
+    }));
+    const fuels = props.legs
+      ? sumFuelLines(legs.flatMap(leg => [...leg.fuels, ...leg.atBerthFuels]))
+      : (props.fuels ?? []).map(f => ({ fuelType: f.fuelType, consumption: f.consumption }));
+
     return new Route(
       props.id,
       props.routeId,
+      props.shipId,
       props.vesselType,
-      props.fuelType,
+      fuels,
+      legs,
       props.year,
       props.ghgIntensity,
-      props.fuelConsumption,
       props.distance,
-      props.isBaseline
+      props.isBaseline,
+      props.source ? { ...props.source } : undefined
     );
   }
 
+  get fuelTypes(): FuelType[] {
+    return this.fuels.map(f => f.fuelType);
+  }
+
+  // Total fuel burnt across all lines, in tonnes
+  get fuelConsumption(): number {
+    return this.fuels.reduce((sum, f) => sum + f.consumption, 0);
+  }
+
+  get hasCertifiedIntensity(): boolean {
+    return this.certifiedGhgIntensity !== undefined;
+  }
+
+  // Energy-weighted well-to-wake GHG intensity of the in-scope fuel in gCO2e/MJ,
+  // certified value takes precedence
+  get ghgIntensity(): number {
+    return this.certifiedGhgIntensity ?? calculateWellToWakeIntensity(this.getInScopeFuels(), this.year);
+  }
+
+  // Fuel counted under Article 2, each line scaled by its leg's scope factor
+  getInScopeFuels(): FuelConsumption[] {
+    if (this.legs.length === 0) {
+      return [...this.fuels];
+    }
+    return sumFuelLines(this.legs.flatMap(leg => {
+      const seaFactor = getVoyageScopeFactor(leg.origin, leg.destination);
+      const berthFactor = getBerthScopeFactor(leg.destination);
+      return [
+        ...leg.fuels.map(f => ({ fuelType: f.fuelType, consumption: f.consumption * seaFactor })),
+        ...leg.atBerthFuels.map(f => ({ fuelType: f.fuelType, consumption: f.consumption * berthFactor }))
+      ];
+    }));
+  }
+
+  calculateTotalEnergy(): number {
+    return this.fuels.reduce((sum, f) => sum + calculateFuelEnergy(f), 0);
+  }
+
   calculateEnergyInScope(): number {
-    // Energy content: 41,000 MJ per tonne of fuel
-    return this.fuelConsumption * 41000;
+    return this.getInScopeFuels().reduce((sum, f) => sum + calculateFuelEnergy(f), 0);
+  }
+
+  getScopeSplit(): ScopeSplit {
+    const split: ScopeSplit = { fullScopeEnergy: 0, halfScopeEnergy: 0, outOfScopeEnergy: 0 };
+    const add = (lines: FuelConsumption[], factor: number) => {
+      const energy = lines.reduce((sum, f) => sum + calculateFuelEnergy(f), 0);
+      if (factor === FULL_SCOPE) split.fullScopeEnergy += energy;
+      else if (factor === HALF_SCOPE) split.halfScopeEnergy += energy;
+      else split.outOfScopeEnergy += energy;
+    };
+
+    if (this.legs.length === 0) {
+      add([...this.fuels], FULL_SCOPE);
+    }
+    for (const leg of this.legs) {
+      add(leg.fuels, getVoyageScopeFactor(leg.origin, leg.destination));
+      add(leg.atBerthFuels, getBerthScopeFactor(leg.destination));
+    }
+    return split;
+  }
+
+  calculateRfnboEnergy(): number {
+    return calculateRfnboEnergy(this.getInScopeFuels());
   }
 
   calculateTotalEmissions(): number {
-    // Simplified calculation based on fuel type
-    const emissionFactors: Record<FuelType, number> = {
-      [FuelType.HFO]: 3.114, // tCO2/tonne fuel
-      [FuelType.LNG]: 2.750,
-      [FuelType.MGO]: 3.206
+    // Tank-to-wake CO2 in tonnes: tonnes fuel × Cf CO2 (gCO2/gfuel)
+    return this.fuels.reduce(
+      (sum, f) => sum + f.consumption * getFuelProperties(f.fuelType).cfCo2,
+      0
+    );
+  }
+
+  getFuelBreakdown(): FuelBreakdown[] {
+    const totalEnergy = this.calculateTotalEnergy();
+    return this.fuels.map(f => {
+      const energy = calculateFuelEnergy(f);
+      return {
+        fuelType: f.fuelType,
+        consumption: f.consumption,
+        energy,
+        energyShare: energy / totalEnergy,
+        ghgIntensity: calculateWellToWakeIntensity([f], this.year),
+        emissions: f.consumption * getFuelProperties(f.fuelType).cfCo2
+      };
+    });
+  }
+}
+
+// Merges lines of the same fuel type, keeping first-seen order
+export function sumFuelLines(lines: FuelConsumption[]): FuelConsumption[] {
+  const totals = new Map<FuelType, number>();
+  for (const line of lines) {
+    totals.set(line.fuelType, (totals.get(line.fuelType) ?? 0) + line.consumption);
+  }
+  return [...totals.entries()]
+    .filter(([, consumption]) => consumption > 0)
+    .map(([fuelType, consumption]) => ({ fuelType, consumption }));
+}
+
+// core/domain/entities/Vessel.ts
+
+export enum IceClass {
+  IA_SUPER = 'IA Super',
+  IA = 'IA',
+  IB = 'IB',
+  IC = 'IC'
+}
+
+export interface VesselProps {
+  id: string;
+  imoNumber: string;
+  name: string;
+  vesselType: VesselType;
+  grossTonnage: number;
+  iceClass?: IceClass;
+  managingCompany: string;
+  companyId: string; // owning tenant; only its users see the ship
+  windPropulsion?: { windPower: number; propulsionPower: number };
+}
+
+export class Vessel {
+  private constructor(
+    public readonly id: string,
+    public readonly imoNumber: string,
+    public readonly name: string,
+    public readonly vesselType: VesselType,
+    public readonly grossTonnage: number,
+    public readonly iceClass: IceClass | undefined,
+    public readonly managingCompany: string,
+    public readonly companyId: string,
+    public readonly windPropulsion: WindPropulsion | undefined
+  ) {
+    this.validate();
+  }
+
+  private validate(): void {
+    if (!isValidImoNumber(this.imoNumber)) {
+      throw new ValidationError(`Invalid IMO number: ${this.imoNumber}`);
+    }
+    if (!this.name.trim()) {
+      throw new ValidationError('Vessel name is required');
+    }
+    if (!Object.values(VesselType).includes(this.vesselType)) {
+      throw new ValidationError(`Unknown vessel type: ${this.vesselType}`);
+    }
+    if (this.grossTonnage <= 0) {
+      throw new ValidationError('Gross tonnage must be positive');
+    }
+    if (this.iceClass !== undefined && !Object.values(IceClass).includes(this.iceClass)) {
+      throw new ValidationError(`Unknown ice class: ${this.iceClass}`);
+    }
+    if (!this.managingCompany.trim()) {
+      throw new ValidationError('Managing company is required');
+    }
+    if (!this.companyId?.trim()) {
+      throw new ValidationError('Owning company is required');
+    }
+  }
+
+  static create(props: VesselProps): Vessel {
+    return new Vessel(
+      props.id,
+      normalizeImoNumber(props.imoNumber),
+      props.name,
+      props.vesselType,
+      props.grossTonnage,
+      props.iceClass,
+      props.managingCompany,
+      props.companyId,
+      props.windPropulsion
+        ? new WindPropulsion(props.windPropulsion.windPower, props.windPropulsion.propulsionPower)
+        : undefined
+    );
+  }
+
+  // Article 2: only ships above 5,000 GT fall under FuelEU
+  isInScope(): boolean {
+    return this.grossTonnage >= MIN_GROSS_TONNAGE;
+  }
+
+  toProps(): VesselProps {
+    return {
+      id: this.id,
+      imoNumber: this.imoNumber,
+      name: this.name,
+      vesselType: this.vesselType,
+      grossTonnage: this.grossTonnage,
+      iceClass: this.iceClass,
+      managingCompany: this.managingCompany,
+      companyId: this.companyId,
+      windPropulsion: this.windPropulsion
+        ? { windPower: this.windPropulsion.windPower, propulsionPower: this.windPropulsion.propulsionPower }
+        : undefined
     };
-    return this.fuelConsumption * emissionFactors[this.fuelType];
   }
 }
 
+// Accepts "IMO 9074729" or "9074729"
+export function normalizeImoNumber(imoNumber: string): string {
+  return imoNumber.trim().toUpperCase().replace(/^IMO\s*/, '');
+}
+
+// Seventh digit is the sum of the first six weighted 7..2, modulo 10
+export function isValidImoNumber(imoNumber: string): boolean {
+  if (!/^\d{7}$/.test(imoNumber)) {
+    return false;
+  }
+  const digits = imoNumber.split('').map(Number);
+  const checksum = digits
+    .slice(0, 6)
+    .reduce((sum, digit, i) => sum + digit * (7 - i), 0);
+  return checksum % 10 === digits[6];
+}
+
+// core/domain/entities/Company.ts
+
+// A tenant of the platform, typically one subsidiary of a shipping group
+export interface Company {
+  id: string;
+  name: string;
+}
+
+// core/domain/entities/User.ts
+
+export interface User {
+  id: string;
+  email: string;
+  passwordHash: string;
+  role: UserRole;
+  companyId: string;
+}
+
+// core/domain/valueObjects/Actor.ts
+
+export enum UserRole {
+  VIEWER = 'viewer',
+  OPERATOR = 'operator',
+  VERIFIER = 'verifier',
+  ADMIN = 'admin'
+}
+
+// Who performs an action, and for which company
+export interface Actor {
+  userId: string;
+  role: UserRole;
+  companyId: string;
+}
+
+// The actor and API request a state change belongs to
+export interface RequestContext {
+  actor: Actor;
+  requestId: string;
+}
+
+// core/domain/entities/ReportingPeriod.ts
+
+// A ship's reporting period is its ship_compliance record for one year
+export enum ReportingPeriodStatus {
+  DRAFT = 'Draft',
+  SUBMITTED = 'Submitted',
+  VERIFIED = 'Verified',
+  LOCKED = 'Locked'
+}
+
+export type ReportingPeriodAction = 'submit' | 'verify' | 'reject' | 'lock';
+
+export const REPORTING_PERIOD_TRANSITIONS: Record<ReportingPeriodAction, {
+  from: ReportingPeriodStatus;
+  to: ReportingPeriodStatus;
+  roles: UserRole[];
+  commentRequired: boolean;
+}> = {
+  submit: {
+    from: ReportingPeriodStatus.DRAFT,
+    to: ReportingPeriodStatus.SUBMITTED,
+    roles: [UserRole.OPERATOR, UserRole.ADMIN],
+    commentRequired: false
+  },
+  verify: {
+    from: ReportingPeriodStatus.SUBMITTED,
+    to: ReportingPeriodStatus.VERIFIED,
+    roles: [UserRole.VERIFIER],
+    commentRequired: false
+  },
+  reject: {
+    from: ReportingPeriodStatus.SUBMITTED,
+    to: ReportingPeriodStatus.DRAFT,
+    roles: [UserRole.VERIFIER],
+    commentRequired: true
+  },
+  lock: {
+    from: ReportingPeriodStatus.VERIFIED,
+    to: ReportingPeriodStatus.LOCKED,
+    roles: [UserRole.VERIFIER, UserRole.ADMIN],
+    commentRequired: false
+  }
+};
+
+// Banking, borrowing and pooling act on a verified CB and end when the period is locked
+export function assertFlexibilityAllowed(status: ReportingPeriodStatus): void {
+  if (status !== ReportingPeriodStatus.VERIFIED) {
+    throw new ConflictError(
+      `Banking, borrowing and pooling require a verified period (current: ${status})`
+    );
+  }
+}
+
+// core/domain/events/AuditEvent.ts
+
+export enum AuditEntity {
+  ROUTE = 'route',
+  COMPLIANCE = 'compliance',
+  BANK = 'bank',
+  POOL = 'pool',
+  VESSEL = 'vessel'
+}
+
+// A change to compliance-relevant state; recorded once and never edited
+export interface AuditEvent {
+  id: string;
+  type: string;
+  entity: AuditEntity;
+  entityId: string;
+  shipIds: string[];
+  actorId: string;
+  role: UserRole;
+  companyId: string; // the actor's company
+  requestId: string;
+  before: unknown;
+  after: unknown;
+  occurredAt: Date;
+}
+
+export type AuditChange = Pick<AuditEvent, 'type' | 'entity' | 'entityId' | 'shipIds' | 'before' | 'after'>;
+
+export function createAuditEvent(change: AuditChange, context: RequestContext): AuditEvent {
+  return {
+    id: crypto.randomUUID(),
+    ...change,
+    actorId: context.actor.userId,
+    role: context.actor.role,
+    companyId: context.actor.companyId,
+    requestId: context.requestId,
+    occurredAt: new Date()
+  };
+}
+
+// Ship/year periods are keyed as "S001:2025"
+export function periodEntityId(shipId: string, year: number): string {
+  return `${shipId}:${year}`;
+}
+
 // ----- VALUE OBJECTS -----
 // core/domain/valueObjects/ComplianceBalance.ts
 
@@ -129,368 +586,6253 @@ export class ComplianceBalance {
   }
 }
 
-// ----- PORTS (INTERFACES) -----
-// core/ports/outbound/IRouteRepository.ts
+// core/domain/valueObjects/WindPropulsion.ts
 
-export interface RouteFilters {
-  vesselType?: VesselType;
-  fuelType?: FuelType;
-  year?: number;
-}
+// Installed wind-assisted propulsion of a ship, powers in kW
+export class WindPropulsion {
+  constructor(
+    public readonly windPower: number,
+    public readonly propulsionPower: number
+  ) {
+    if (windPower < 0) {
+      throw new ValidationError('Wind propulsion power cannot be negative');
+    }
+    if (propulsionPower <= 0) {
+      throw new ValidationError('Main engine propulsion power must be positive');
+    }
+  }
 
-export interface IRouteRepository {
-  findAll(filters?: RouteFilters): Promise<Route[]>;
-  findById(id: string): Promise<Route | null>;
-  findByRouteId(routeId: string): Promise<Route | null>;
-  findBaseline(): Promise<Route | null>;
-  setBaseline(routeId: string): Promise<void>;
-  save(route: Route): Promise<void>;
+  get powerRatio(): number {
+    return this.windPower / this.propulsionPower;
+  }
+
+  get rewardFactor(): number {
+    return getWindRewardFactor(this.powerRatio);
+  }
 }
 
-// core/ports/outbound/IComplianceRepository.ts
+// core/domain/valueObjects/Port.ts
 
-export interface ComplianceRecord {
-  id: string;
-  shipId: string;
-  year: number;
-  cbGco2eq: number;
-  routeId?: string;
-  createdAt: Date;
+export interface Port {
+  code: string; // UN/LOCODE
+  isEu: boolean; // under the jurisdiction of a Member State
+  isOutermostRegion: boolean;
 }
 
-export interface IComplianceRepository {
-  save(record: Omit<ComplianceRecord, 'id' | 'createdAt'>): Promise<ComplianceRecord>;
-  findByShipAndYear(shipId: string, year: number): Promise<ComplianceRecord | null>;
-  findAdjustedCB(shipId: string, year: number): Promise<number>;
-}
+// ----- REGULATORY PARAMETERS -----
+// core/domain/regulation/TargetIntensity.ts
 
-// ----- APPLICATION LAYER - USE CASES -----
-// core/application/useCases/ComputeCBUseCase.ts
+// Reference value for the GHG intensity of energy used on board (Article 4(2))
+export const REFERENCE_GHG_INTENSITY = 91.16; // gCO2e/MJ
 
-export interface ComputeCBCommand {
-  routeId: string;
-  shipId: string;
+export const FIRST_REPORTING_YEAR = 2025;
+export const LAST_REPORTING_YEAR = 2050;
+
+// Each reduction applies from its year until the next step takes over
+export const REDUCTION_STEPS: ReadonlyArray<{ fromYear: number; reductionPercent: number }> = [
+  { fromYear: 2025, reductionPercent: 2 },
+  { fromYear: 2030, reductionPercent: 6 },
+  { fromYear: 2035, reductionPercent: 14.5 },
+  { fromYear: 2040, reductionPercent: 31 },
+  { fromYear: 2045, reductionPercent: 62 },
+  { fromYear: 2050, reductionPercent: 80 }
+];
+
+export interface TargetIntensityEntry {
   year: number;
+  reductionPercent: number;
+  targetIntensity: number;
 }
 
-export class ComputeCBUseCase {
-  constructor(
-    private routeRepo: IRouteRepository,
-    private complianceRepo: IComplianceRepository
-  ) {}
+export function assertReportingYear(year: number): void {
+  if (!Number.isInteger(year) || year < FIRST_REPORTING_YEAR || year > LAST_REPORTING_YEAR) {
+    throw new ValidationError(
+      `Year must be a reporting year between ${FIRST_REPORTING_YEAR} and ${LAST_REPORTING_YEAR}`
+    );
+  }
+}
 
-  async execute(command: ComputeCBCommand): Promise<ComplianceBalance> {
-    const route = await this.routeRepo.findByRouteId(command.routeId);
-    
-    if (!route) {
-      throw new Error('Route not found');
+export function getReductionPercent(year: number): number {
+  assertReportingYear(year);
+  let reductionPercent = REDUCTION_STEPS[0].reductionPercent;
+  for (const step of REDUCTION_STEPS) {
+    if (year >= step.fromYear) {
+      reductionPercent = step.reductionPercent;
     }
+  }
+  return reductionPercent;
+}
 
-    const targetIntensity = this.getTargetIntensity(command.year);
-    const energyInScope = route.calculateEnergyInScope();
-    
-    // Compliance Balance Formula (EU Regulation Annex IV)
-    // CB = (Target GHG Intensity - Actual GHG Intensity) × Energy in scope / 10^6
-    const cbValue = ((targetIntensity - route.ghgIntensity) * energyInScope) / 1_000_000;
-    
-    // Save to database
-    await this.complianceRepo.save({
-      shipId: command.shipId,
-      year: command.year,
-      cbGco2eq: cbValue,
-      routeId: route.routeId
+export function getTargetIntensity(year: number): number {
+  const target = REFERENCE_GHG_INTENSITY * (1 - getReductionPercent(year) / 100);
+  // Published targets are given to 4 decimals, e.g. 89.3368 for 2025
+  return Math.round(target * 10_000) / 10_000;
+}
+
+export function getTargetSchedule(): TargetIntensityEntry[] {
+  const schedule: TargetIntensityEntry[] = [];
+  for (let year = FIRST_REPORTING_YEAR; year <= LAST_REPORTING_YEAR; year++) {
+    schedule.push({
+      year,
+      reductionPercent: getReductionPercent(year),
+      targetIntensity: getTargetIntensity(year)
     });
+  }
+  return schedule;
+}
 
-    return new ComplianceBalance(cbValue, command.year, command.shipId);
+// core/domain/regulation/FuelCatalogue.ts
+
+// Global warming potentials over 100 years used by Annex I
+export const GWP100 = {
+  co2: 1,
+  ch4: 25,
+  n2o: 298
+} as const;
+
+export interface FuelProperties {
+  fuelType: FuelType;
+  lcv: number;          // lower calorific value, MJ/g
+  wttIntensity: number; // well-to-tank, gCO2e/MJ
+  cfCo2: number;        // tank-to-wake, gCO2/gfuel
+  cfCh4: number;        // tank-to-wake, gCH4/gfuel
+  cfN2o: number;        // tank-to-wake, gN2O/gfuel
+  slipPercent: number;  // methane slip, % of fuel mass
+  isRfnbo: boolean;
+}
+
+// Default values from Annex II
+export const FUEL_CATALOGUE: Record<FuelType, FuelProperties> = {
+  [FuelType.HFO]: {
+    fuelType: FuelType.HFO,
+    lcv: 0.0405,
+    wttIntensity: 13.5,
+    cfCo2: 3.114,
+    cfCh4: 0.00005,
+    cfN2o: 0.00018,
+    slipPercent: 0,
+    isRfnbo: false
+  },
+  [FuelType.LNG]: {
+    // LNG Otto (dual fuel medium speed)
+    fuelType: FuelType.LNG,
+    lcv: 0.0491,
+    wttIntensity: 18.5,
+    cfCo2: 2.750,
+    cfCh4: 0,
+    cfN2o: 0.00011,
+    slipPercent: 3.1,
+    isRfnbo: false
+  },
+  [FuelType.MGO]: {
+    fuelType: FuelType.MGO,
+    lcv: 0.0427,
+    wttIntensity: 14.4,
+    cfCo2: 3.206,
+    cfCh4: 0.00005,
+    cfN2o: 0.00018,
+    slipPercent: 0,
+    isRfnbo: false
+  },
+  // Liquefied biomethane burnt in the same engines as LNG, so the slip stays; typical
+  // certified WtT for waste feedstock, biogenic combustion CO2 counted as zero
+  [FuelType.BIO_LNG]: {
+    fuelType: FuelType.BIO_LNG,
+    lcv: 0.05,
+    wttIntensity: 14.0,
+    cfCo2: 0,
+    cfCh4: 0,
+    cfN2o: 0.00011,
+    slipPercent: 3.1,
+    isRfnbo: false
+  },
+  // RFNBO values are typical certified figures; combustion CO2 of captured
+  // carbon is offset upstream, so Cf CO2 is counted as zero
+  [FuelType.E_METHANOL]: {
+    fuelType: FuelType.E_METHANOL,
+    lcv: 0.0199,
+    wttIntensity: 3.0,
+    cfCo2: 0,
+    cfCh4: 0.003,
+    cfN2o: 0.00018,
+    slipPercent: 0,
+    isRfnbo: true
+  },
+  [FuelType.E_AMMONIA]: {
+    fuelType: FuelType.E_AMMONIA,
+    lcv: 0.0186,
+    wttIntensity: 3.0,
+    cfCo2: 0,
+    cfCh4: 0,
+    cfN2o: 0.0005,
+    slipPercent: 0,
+    isRfnbo: true
   }
+};
 
-  private getTargetIntensity(year: number): number {
-    // Target intensity based on EU regulation
-    // 2025: 2% reduction from baseline 91.16 gCO2e/MJ
-    const baseline = 91.16;
-    const reductionRates: Record<number, number> = {
-      2025: 2,
-      2030: 6,
-      2035: 14.5,
-      2040: 31,
-      2045: 62,
-      2050: 80
-    };
-    
-    const reductionPercent = reductionRates[year] || 2;
-    return baseline * (1 - reductionPercent / 100);
+export function getFuelProperties(fuelType: FuelType): FuelProperties {
+  const fuel = FUEL_CATALOGUE[fuelType];
+  if (!fuel) {
+    throw new ValidationError(`Unknown fuel type: ${fuelType}`);
   }
+  return fuel;
 }
 
-// core/application/useCases/CompareRoutesUseCase.ts
+// Tank-to-wake CO2e per gram of fuel, including methane slip
+export function calculateTtwCo2ePerGram(fuel: FuelProperties): number {
+  const slip = fuel.slipPercent / 100;
+  const combustion = fuel.cfCo2 * GWP100.co2 + fuel.cfCh4 * GWP100.ch4 + fuel.cfN2o * GWP100.n2o;
+  return (1 - slip) * combustion + slip * GWP100.ch4;
+}
 
-export interface ComparisonResult {
-  baseline: {
-    routeId: string;
-    ghgIntensity: number;
-  };
-  comparisons: Array<{
-    routeId: string;
-    ghgIntensity: number;
-    percentDiff: number;
-    compliant: boolean;
-  }>;
-  target: number;
+// Energy in MJ: tonnes × 10^6 g/t × LCV (MJ/g)
+export function calculateFuelEnergy(line: FuelConsumption): number {
+  return line.consumption * 1_000_000 * getFuelProperties(line.fuelType).lcv;
 }
 
-export class CompareRoutesUseCase {
-  constructor(private routeRepo: IRouteRepository) {}
+// Annex I: GHG intensity = WtT + TtW over the fuel mix, both weighted by energy, in gCO2e/MJ.
+// The RFNBO reward factor only enlarges the denominator.
+export function calculateWellToWakeIntensity(
+  lines: ReadonlyArray<FuelConsumption>,
+  year: number
+): number {
+  let rewardedEnergy = 0;
+  let wtt = 0;
+  let ttw = 0;
+  for (const line of lines) {
+    const fuel = getFuelProperties(line.fuelType);
+    const mass = line.consumption * 1_000_000; // grams
+    rewardedEnergy += mass * fuel.lcv * getRewardFactor(fuel, year);
+    wtt += mass * fuel.lcv * fuel.wttIntensity;
+    ttw += mass * calculateTtwCo2ePerGram(fuel);
+  }
+  return (wtt + ttw) / rewardedEnergy;
+}
 
-  async execute(): Promise<ComparisonResult> {
-    const baseline = await this.routeRepo.findBaseline();
-    
+// core/domain/regulation/Rfnbo.ts
+
+// Article 5: RFNBO energy counts double until the end of 2033
+export const RFNBO_REWARD_FACTOR = 2;
+export const RFNBO_REWARD_LAST_YEAR = 2033;
+// Applies from 2034 if RFNBO uptake in 2031 stays below 1%
+export const RFNBO_SUB_TARGET_PERCENT = 2;
+export const RFNBO_SUB_TARGET_FROM_YEAR = 2034;
+
+export function getRewardFactor(fuel: FuelProperties, year: number): number {
+  return fuel.isRfnbo && year <= RFNBO_REWARD_LAST_YEAR ? RFNBO_REWARD_FACTOR : 1;
+}
+
+export function calculateRfnboEnergy(lines: ReadonlyArray<FuelConsumption>): number {
+  return lines
+    .filter(line => getFuelProperties(line.fuelType).isRfnbo)
+    .reduce((sum, line) => sum + calculateFuelEnergy(line), 0);
+}
+
+// core/domain/regulation/Applicability.ts
+
+// Article 2: ships of 5,000 gross tonnage and above
+export const MIN_GROSS_TONNAGE = 5000;
+
+// core/domain/regulation/GeographicScope.ts
+
+export const FULL_SCOPE = 1;
+export const HALF_SCOPE = 0.5;
+export const OUT_OF_SCOPE = 0;
+
+// Article 2(1): 100% between EU ports, 50% to or from a third-country or outermost-region port.
+// A voyage between outermost regions of the same Member State stays fully in scope.
+export function getVoyageScopeFactor(origin: Port, destination: Port): number {
+  if (!origin.isEu && !destination.isEu) {
+    return OUT_OF_SCOPE;
+  }
+  if (!origin.isEu || !destination.isEu) {
+    return HALF_SCOPE;
+  }
+  if (origin.isOutermostRegion && destination.isOutermostRegion) {
+    return getMemberState(origin) === getMemberState(destination) ? FULL_SCOPE : HALF_SCOPE;
+  }
+  if (origin.isOutermostRegion || destination.isOutermostRegion) {
+    return HALF_SCOPE;
+  }
+  return FULL_SCOPE;
+}
+
+// Article 2(1)(c): 100% of energy used at berth in an EU port
+export function getBerthScopeFactor(port: Port): number {
+  return port.isEu ? FULL_SCOPE : OUT_OF_SCOPE;
+}
+
+// Member States by the country part of a UN/LOCODE
+export const EU_COUNTRY_CODES: ReadonlySet<string> = new Set([
+  'AT', 'BE', 'BG', 'CY', 'CZ', 'DE', 'DK', 'EE', 'ES', 'FI', 'FR', 'GR', 'HR', 'HU',
+  'IE', 'IT', 'LT', 'LU', 'LV', 'MT', 'NL', 'PL', 'PT', 'RO', 'SE', 'SI', 'SK'
+]);
+
+// Article 349 TFEU: the French outermost regions have their own country codes,
+// while the Canaries, Azores and Madeira share Spain's and Portugal's, so their main ports are listed
+export const OUTERMOST_REGION_COUNTRY_CODES: ReadonlySet<string> = new Set(['GF', 'GP', 'MF', 'MQ', 'RE', 'YT']);
+// All of them are French
+const OUTERMOST_REGION_MEMBER_STATE = 'FR';
+export const OUTERMOST_REGION_PORTS: ReadonlySet<string> = new Set([
+  'ESACE', 'ESLPA', 'ESSCT', 'PTFNC', 'PTHOR', 'PTPDL'
+]);
+
+// Country code of the Member State an EU port belongs to
+export function getMemberState(port: Port): string {
+  const country = port.code.slice(0, 2);
+  return OUTERMOST_REGION_COUNTRY_CODES.has(country) ? OUTERMOST_REGION_MEMBER_STATE : country;
+}
+
+// Null when the code is not a UN/LOCODE
+export function resolvePort(code: string): Port | null {
+  const normalized = code.replace(/\s+/g, '').toUpperCase();
+  if (!/^[A-Z]{2}[A-Z2-9]{3}$/.test(normalized)) {
+    return null;
+  }
+
+  const country = normalized.slice(0, 2);
+  const isOutermostRegion = OUTERMOST_REGION_COUNTRY_CODES.has(country) || OUTERMOST_REGION_PORTS.has(normalized);
+  return {
+    code: normalized,
+    isEu: isOutermostRegion || EU_COUNTRY_CODES.has(country),
+    isOutermostRegion
+  };
+}
+
+// core/domain/regulation/WindReward.ts
+
+// Annex I: f_wind by P_wind / P_prop, highest reached threshold applies
+export const WIND_REWARD_STEPS: ReadonlyArray<{ minRatio: number; factor: number }> = [
+  { minRatio: 0.15, factor: 0.95 },
+  { minRatio: 0.1, factor: 0.97 },
+  { minRatio: 0.05, factor: 0.99 }
+];
+
+export function getWindRewardFactor(powerRatio: number): number {
+  const step = WIND_REWARD_STEPS.find(s => powerRatio >= s.minRatio);
+  return step ? step.factor : 1;
+}
+
+// core/domain/regulation/Penalty.ts
+
+// Annex IV Part B: deficit is priced per tonne of VLSFO-equivalent energy
+export const PENALTY_EUR_PER_TONNE_VLSFO = 2400;
+export const VLSFO_ENERGY_MJ_PER_TONNE = 41_000;
+// Penalty increases by 10% for each further consecutive period in deficit (Article 23(2))
+export const CONSECUTIVE_DEFICIT_ESCALATION = 0.1;
+
+export function getPenaltyMultiplier(consecutiveDeficitPeriods: number): number {
+  return 1 + (Math.max(consecutiveDeficitPeriods, 1) - 1) * CONSECUTIVE_DEFICIT_ESCALATION;
+}
+
+// cb in tCO2e, actual intensity in gCO2e/MJ; returns EUR
+export function calculatePenalty(
+  cb: number,
+  actualIntensity: number,
+  consecutiveDeficitPeriods: number
+): number {
+  if (cb >= 0) {
+    return 0;
+  }
+  if (actualIntensity <= 0) {
+    throw new ValidationError('GHG intensity must be positive');
+  }
+  const cbGrams = Math.abs(cb) * 1_000_000;
+  const vlsfoTonnes = cbGrams / (actualIntensity * VLSFO_ENERGY_MJ_PER_TONNE);
+  return vlsfoTonnes * PENALTY_EUR_PER_TONNE_VLSFO * getPenaltyMultiplier(consecutiveDeficitPeriods);
+}
+
+// core/domain/regulation/Borrowing.ts
+
+// Article 20(2): advance surplus is capped at 2% of the limit times the ship's energy
+export const BORROWING_LIMIT_PERCENT = 2;
+export const BORROWING_AGGRAVATION_FACTOR = 1.1;
+
+// Returns the maximum borrowable CB in tCO2e for an energy use in MJ
+export function getBorrowingCap(year: number, energyInScope: number): number {
+  return (BORROWING_LIMIT_PERCENT / 100) * getTargetIntensity(year) * energyInScope / 1_000_000;
+}
+
+// ----- PORTS (INTERFACES) -----
+// core/ports/outbound/IRouteRepository.ts
+
+export interface RouteFilters {
+  shipId?: string;
+  companyId?: string; // routes of this company's vessels
+  vesselType?: VesselType;
+  fuelType?: FuelType; // matches routes burning this fuel in any line
+  year?: number;
+  search?: string; // case-insensitive substring of the route id, ship id or vessel name
+  minIntensity?: number; // gCO2e/MJ, inclusive
+  maxIntensity?: number;
+}
+
+export type RouteSortKey = 'routeId' | 'ghgIntensity' | 'totalEmissions' | 'distance';
+
+export interface RouteSort {
+  key: RouteSortKey;
+  direction: 'asc' | 'desc';
+}
+
+export interface PageRequest {
+  page: number; // 1-based
+  pageSize: number;
+}
+
+export interface Page<T> {
+  items: T[];
+  page: number;
+  pageSize: number;
+  total: number; // matching items across all pages
+}
+
+export interface RouteFacets {
+  vesselTypes: VesselType[];
+  fuelTypes: FuelType[];
+  years: number[];
+}
+
+export interface IRouteRepository {
+  findAll(filters?: RouteFilters): Promise<Route[]>;
+  // Ties on the sort key are broken by routeId so pages never overlap
+  findPage(filters: RouteFilters, sort: RouteSort, page: PageRequest): Promise<Page<Route>>;
+  // Distinct values present among the matching routes, each sorted ascending
+  findFacets(filters: RouteFilters): Promise<RouteFacets>;
+  findById(id: string): Promise<Route | null>;
+  findByRouteId(routeId: string): Promise<Route | null>;
+  findBaseline(): Promise<Route | null>;
+  setBaseline(routeId: string): Promise<void>;
+  save(route: Route): Promise<void>;
+}
+
+// core/ports/outbound/IComplianceRepository.ts
+
+export interface ComplianceRecord {
+  id: string;
+  shipId: string;
+  year: number;
+  cbGco2eq: number;
+  ghgIntensity: number; // actual intensity the CB was computed from, gCO2e/MJ
+  fuelGhgIntensity: number; // intensity of the fuel mix before the wind reward, gCO2e/MJ
+  windRewardFactor: number;
+  energyInScope: number; // MJ
+  routeId?: string;
+  status: ReportingPeriodStatus;
+  createdAt: Date;
+}
+
+export interface IComplianceRepository {
+  save(record: Omit<ComplianceRecord, 'id' | 'createdAt'>): Promise<ComplianceRecord>;
+  findByShipAndYear(shipId: string, year: number): Promise<ComplianceRecord | null>;
+  findByShip(shipId: string): Promise<ComplianceRecord[]>;
+  // CB after banking, borrowing, last period's borrowing repaid and active or locked pools
+  findAdjustedCB(shipId: string, year: number): Promise<number>;
+  updateStatus(shipId: string, year: number, status: ReportingPeriodStatus): Promise<void>;
+}
+
+// core/ports/outbound/IVerificationRepository.ts
+
+export interface VerificationEntry {
+  shipId: string;
+  year: number;
+  action: ReportingPeriodAction;
+  fromStatus: ReportingPeriodStatus;
+  toStatus: ReportingPeriodStatus;
+  actorId: string;
+  role: UserRole;
+  comment?: string;
+  createdAt: Date;
+}
+
+export interface IVerificationRepository {
+  addEntry(entry: Omit<VerificationEntry, 'createdAt'>): Promise<void>;
+  findEntries(shipId: string, year: number): Promise<VerificationEntry[]>;
+}
+
+// core/ports/outbound/IDocumentOfComplianceRepository.ts
+
+export interface DocumentOfCompliance {
+  id: string;
+  shipId: string;
+  imoNumber: string;
+  year: number;
+  cbAfter: number;
+  penaltyEur: number;
+  issuedBy: string;
+  issuedAt: Date;
+}
+
+export interface IDocumentOfComplianceRepository {
+  create(doc: Omit<DocumentOfCompliance, 'id' | 'issuedAt'>): Promise<DocumentOfCompliance>;
+  findByShipAndYear(shipId: string, year: number): Promise<DocumentOfCompliance | null>;
+}
+
+// core/ports/outbound/IVesselRepository.ts
+
+export interface IVesselRepository {
+  findAll(filters?: { companyId?: string }): Promise<Vessel[]>;
+  findById(id: string): Promise<Vessel | null>;
+  findByImoNumber(imoNumber: string): Promise<Vessel | null>;
+  save(vessel: Vessel): Promise<void>;
+  delete(id: string): Promise<void>;
+}
+
+// core/ports/outbound/IUserRepository.ts
+
+export interface IUserRepository {
+  findByEmail(email: string): Promise<User | null>;
+}
+
+// core/ports/outbound/ICompanyRepository.ts
+
+export interface ICompanyRepository {
+  findById(id: string): Promise<Company | null>;
+}
+
+// core/ports/outbound/ITokenService.ts
+
+export interface ITokenService {
+  issue(actor: Actor): { token: string; expiresIn: number };
+  // Throws UnauthorizedError for a tampered, malformed or expired token
+  verify(token: string): Actor;
+}
+
+// core/ports/outbound/IPasswordHasher.ts
+
+export interface IPasswordHasher {
+  hash(password: string): string;
+  verify(password: string, passwordHash: string): boolean;
+}
+
+// core/ports/outbound/IAuditRepository.ts
+
+export interface AuditFilters {
+  entity?: AuditEntity;
+  shipId?: string; // matches events touching this ship
+  companyId?: string; // events by this company's users or touching its ships
+  from?: Date;
+  to?: Date;
+}
+
+// Append-only: events are never updated or deleted
+export interface IAuditRepository {
+  append(event: AuditEvent): Promise<void>;
+  // Oldest first
+  find(filters: AuditFilters): Promise<AuditEvent[]>;
+}
+
+// core/ports/outbound/IUnitOfWork.ts
+
+// Repositories whose reads and writes share one transaction
+export interface TransactionRepositories {
+  routeRepo: IRouteRepository;
+  complianceRepo: IComplianceRepository;
+  bankRepo: IBankRepository;
+  poolRepo: IPoolRepository;
+  auditRepo: IAuditRepository;
+  verificationRepo: IVerificationRepository;
+  docRepo: IDocumentOfComplianceRepository;
+}
+
+export interface IUnitOfWork {
+  // Commits when work resolves and rolls back when it throws.
+  // Units holding a common lock key run one after another.
+  run<T>(lockKeys: string[], work: (repos: TransactionRepositories) => Promise<T>): Promise<T>;
+}
+
+// A ship's banked surplus spans its periods, so drawing it down locks the whole ledger
+export function bankLedgerLockKey(shipId: string): string {
+  return `${shipId}:bank`;
+}
+
+export function poolLockKey(poolId: string): string {
+  return `pool:${poolId}`;
+}
+
+// core/ports/outbound/IIdempotencyRepository.ts
+
+// A key can be replayed this long after its first use, then it may be reused
+export const IDEMPOTENCY_KEY_TTL_HOURS = 24;
+
+export interface IdempotentResponse {
+  status: number;
+  body: unknown;
+}
+
+export interface IdempotencyRecord {
+  companyId: string;
+  key: string;
+  fingerprint: string; // hash of the request the key was first used with
+  response: IdempotentResponse | null; // null while that request is running
+  createdAt: Date;
+}
+
+// Keys are scoped per company, so tenants cannot collide or see each other's responses
+export interface IIdempotencyRepository {
+  // Atomically takes the key for a new request and returns null, or returns the record
+  // already holding it. An expired key is taken over.
+  claim(companyId: string, key: string, fingerprint: string): Promise<IdempotencyRecord | null>;
+  complete(companyId: string, key: string, response: IdempotentResponse): Promise<void>;
+  // Frees the key after a failure, so the request can be retried with it
+  release(companyId: string, key: string): Promise<void>;
+}
+
+// ----- APPLICATION LAYER - USE CASES -----
+// core/application/useCases/ComputeCBUseCase.ts
+
+export interface ComputeCBCommand {
+  routeId: string;
+  shipId: string;
+  year: number;
+}
+
+export class ComputeCBUseCase {
+  constructor(
+    private routeRepo: IRouteRepository,
+    private complianceRepo: IComplianceRepository,
+    private vesselRepo: IVesselRepository,
+    private auditRepo: IAuditRepository
+  ) {}
+
+  async execute(command: ComputeCBCommand, context: RequestContext): Promise<ComplianceBalance> {
+    const vessel = await this.vesselRepo.findById(command.shipId);
+
+    if (!vessel) {
+      throw new NotFoundError('Vessel not found');
+    }
+
+    if (!vessel.isInScope()) {
+      throw new ValidationError(
+        `Vessel ${vessel.imoNumber} is below ${MIN_GROSS_TONNAGE} GT and out of scope`
+      );
+    }
+
+    const route = await this.routeRepo.findByRouteId(command.routeId);
+    
+    if (!route) {
+      throw new NotFoundError('Route not found');
+    }
+
+    if (route.shipId && route.shipId !== vessel.id) {
+      throw new ValidationError(`Route ${route.routeId} belongs to another vessel`);
+    }
+
+    // Only a draft period may be recomputed
+    const existing = await this.complianceRepo.findByShipAndYear(command.shipId, command.year);
+    if (existing && existing.status !== ReportingPeriodStatus.DRAFT) {
+      throw new ConflictError(`Cannot recompute CB for a ${existing.status.toLowerCase()} period`);
+    }
+
+    const targetIntensity = getTargetIntensity(command.year);
+    const energyInScope = route.calculateEnergyInScope();
+
+    // Annex I: GHG intensity is multiplied by the wind reward factor
+    const windRewardFactor = vessel.windPropulsion ? vessel.windPropulsion.rewardFactor : 1;
+    const actualIntensity = route.ghgIntensity * windRewardFactor;
+    
+    // Compliance Balance Formula (EU Regulation Annex IV)
+    // CB = (Target GHG Intensity - Actual GHG Intensity) × Energy in scope / 10^6
+    const cbValue = ((targetIntensity - actualIntensity) * energyInScope) / 1_000_000;
+
+    // Save to database
+    await this.complianceRepo.save({
+      shipId: command.shipId,
+      year: command.year,
+      cbGco2eq: cbValue,
+      ghgIntensity: actualIntensity,
+      fuelGhgIntensity: route.ghgIntensity,
+      windRewardFactor,
+      energyInScope,
+      routeId: route.routeId,
+      status: ReportingPeriodStatus.DRAFT
+    });
+
+    await this.auditRepo.append(createAuditEvent({
+      type: 'CBComputed',
+      entity: AuditEntity.COMPLIANCE,
+      entityId: periodEntityId(command.shipId, command.year),
+      shipIds: [command.shipId],
+      before: existing
+        ? { cbGco2eq: existing.cbGco2eq, ghgIntensity: existing.ghgIntensity, routeId: existing.routeId }
+        : null,
+      after: { cbGco2eq: cbValue, ghgIntensity: actualIntensity, routeId: route.routeId }
+    }, context));
+
+    return new ComplianceBalance(cbValue, command.year, command.shipId);
+  }
+}
+
+// core/application/useCases/GetCBBreakdownUseCase.ts
+
+export interface CBBreakdown {
+  shipId: string;
+  year: number;
+  targetIntensity: number;
+  fuelGhgIntensity: number;
+  windRewardFactor: number;
+  actualIntensity: number;
+  energyInScope: number;
+  cb: number;
+  windCb: number; // CB earned by wind assist, tCO2e
+}
+
+export class GetCBBreakdownUseCase {
+  constructor(private complianceRepo: IComplianceRepository) {}
+
+  async execute(shipId: string, year: number): Promise<CBBreakdown> {
+    const cbRecord = await this.complianceRepo.findByShipAndYear(shipId, year);
+
+    if (!cbRecord) {
+      throw new NotFoundError('Compliance balance not found');
+    }
+
+    return {
+      shipId,
+      year,
+      targetIntensity: getTargetIntensity(year),
+      fuelGhgIntensity: cbRecord.fuelGhgIntensity,
+      windRewardFactor: cbRecord.windRewardFactor,
+      actualIntensity: cbRecord.ghgIntensity,
+      energyInScope: cbRecord.energyInScope,
+      cb: cbRecord.cbGco2eq,
+      windCb: ((cbRecord.fuelGhgIntensity - cbRecord.ghgIntensity) * cbRecord.energyInScope) / 1_000_000
+    };
+  }
+}
+
+// core/application/useCases/GetComplianceBalanceUseCase.ts
+
+export interface ComplianceBalanceSummary {
+  shipId: string;
+  year: number;
+  status: ReportingPeriodStatus;
+  cbBefore: number;
+  banked: number;
+  applied: number;
+  borrowed: number;
+  borrowingRepaid: number; // last period's borrowing with aggravation
+  borrowCap: number;
+  borrowedPreviousYear: boolean;
+  cbAfter: number; // after banking, borrowing and pools
+}
+
+export class GetComplianceBalanceUseCase {
+  constructor(
+    private complianceRepo: IComplianceRepository,
+    private bankRepo: IBankRepository
+  ) {}
+
+  async execute(shipId: string, year: number): Promise<ComplianceBalanceSummary> {
+    const cbRecord = await this.complianceRepo.findByShipAndYear(shipId, year);
+
+    if (!cbRecord) {
+      throw new NotFoundError('Compliance balance not found');
+    }
+
+    const borrowing = await this.bankRepo.findBorrowing(shipId, year);
+    const previousBorrowing = await this.bankRepo.findBorrowing(shipId, year - 1);
+
+    return {
+      shipId,
+      year,
+      status: cbRecord.status,
+      cbBefore: cbRecord.cbGco2eq,
+      banked: await this.bankRepo.getTotalBanked(shipId, year),
+      applied: await this.bankRepo.getTotalApplied(shipId, year),
+      borrowed: borrowing?.amountGco2eq ?? 0,
+      borrowingRepaid: previousBorrowing?.repaymentGco2eq ?? 0,
+      borrowCap: getBorrowingCap(year, cbRecord.energyInScope),
+      borrowedPreviousYear: previousBorrowing !== null,
+      cbAfter: await this.complianceRepo.findAdjustedCB(shipId, year)
+    };
+  }
+}
+
+// core/application/useCases/GetAdjustedCBUseCase.ts
+
+export interface AdjustedCB {
+  shipId: string;
+  year: number;
+  status: ReportingPeriodStatus;
+  cbBefore: number;
+  cbAfter: number;
+}
+
+export class GetAdjustedCBUseCase {
+  constructor(
+    private vesselRepo: IVesselRepository,
+    private complianceRepo: IComplianceRepository
+  ) {}
+
+  // The company's ships with a CB for the year; these are its pooling candidates
+  async execute(companyId: string, year: number): Promise<AdjustedCB[]> {
+    const vessels = await this.vesselRepo.findAll({ companyId });
+    const result: AdjustedCB[] = [];
+
+    for (const vessel of vessels) {
+      const cbRecord = await this.complianceRepo.findByShipAndYear(vessel.id, year);
+      if (!cbRecord) continue;
+
+      result.push({
+        shipId: vessel.id,
+        year,
+        status: cbRecord.status,
+        cbBefore: cbRecord.cbGco2eq,
+        cbAfter: await this.complianceRepo.findAdjustedCB(vessel.id, year)
+      });
+    }
+
+    return result;
+  }
+}
+
+// core/application/useCases/GetComplianceTimelineUseCase.ts
+
+// One reporting period of a ship, in tCO2e;
+// cbAfter = cbBefore - banked + applied + borrowed - borrowingRepaid + pooled
+export interface ComplianceTimelineYear {
+  year: number;
+  status: ReportingPeriodStatus;
+  cbBefore: number; // raw CB
+  banked: number; // surplus moved into the bank
+  applied: number; // banked surplus drawn into this period
+  borrowed: number;
+  borrowingRepaid: number; // last period's borrowing with aggravation
+  pooled: number; // received (+) or given (-) through an active or locked pool
+  cbAfter: number;
+  penaltyEur: number;
+  bankBalance: number; // banked surplus still unused at the end of the period
+}
+
+export interface ComplianceTimeline {
+  shipId: string;
+  from: number;
+  to: number;
+  years: ComplianceTimelineYear[]; // periods with a CB, oldest first
+}
+
+export class GetComplianceTimelineUseCase {
+  constructor(
+    private complianceRepo: IComplianceRepository,
+    private bankRepo: IBankRepository,
+    private poolRepo: IPoolRepository,
+    private calculatePenaltyUseCase: CalculatePenaltyUseCase
+  ) {}
+
+  async execute(shipId: string, from: number, to: number): Promise<ComplianceTimeline> {
+    assertReportingYear(from);
+    assertReportingYear(to);
+
+    if (from > to) {
+      throw new ValidationError('from must not be after to');
+    }
+
+    const records = await this.complianceRepo.findByShip(shipId);
+    const entries = await this.bankRepo.findEntries(shipId);
+
+    // Surplus banked before the range still counts towards the balance carried into it
+    let bankBalance = 0;
+    const firstBankedYear = Math.min(from, ...entries.map(e => e.year));
+    for (let year = firstBankedYear; year < from; year++) {
+      bankBalance += this.bankedIn(entries, year) - await this.bankRepo.getTotalApplied(shipId, year);
+    }
+
+    const years: ComplianceTimelineYear[] = [];
+
+    for (let year = from; year <= to; year++) {
+      const banked = this.bankedIn(entries, year);
+      const applied = await this.bankRepo.getTotalApplied(shipId, year);
+      bankBalance += banked - applied;
+
+      const record = records.find(r => r.year === year);
+      if (!record) continue;
+
+      const pool = await this.poolRepo.findActiveByShipAndYear(shipId, year);
+      const member = pool && pool.status !== PoolStatus.PENDING_CONSENT
+        ? pool.members.find(m => m.shipId === shipId)
+        : undefined;
+
+      years.push({
+        year,
+        status: record.status,
+        cbBefore: record.cbGco2eq,
+        banked,
+        applied,
+        borrowed: (await this.bankRepo.findBorrowing(shipId, year))?.amountGco2eq ?? 0,
+        borrowingRepaid: (await this.bankRepo.findBorrowing(shipId, year - 1))?.repaymentGco2eq ?? 0,
+        pooled: member ? member.cbAfter - member.cbBefore : 0,
+        cbAfter: await this.complianceRepo.findAdjustedCB(shipId, year),
+        penaltyEur: (await this.calculatePenaltyUseCase.execute(shipId, year)).penaltyEur,
+        bankBalance
+      });
+    }
+
+    return { shipId, from, to, years };
+  }
+
+  private bankedIn(entries: BankEntry[], year: number): number {
+    return entries.filter(e => e.year === year).reduce((sum, e) => sum + e.amountGco2eq, 0);
+  }
+}
+
+// core/application/useCases/CompareRoutesUseCase.ts
+
+export interface ComparisonResult {
+  baseline: {
+    routeId: string;
+    ghgIntensity: number;
+  };
+  comparisons: Array<{
+    routeId: string;
+    ghgIntensity: number;
+    percentDiff: number;
+    compliant: boolean;
+  }>;
+  year: number;
+  target: number;
+}
+
+export class CompareRoutesUseCase {
+  constructor(private routeRepo: IRouteRepository) {}
+
+  // The baseline is shared by all companies; compared routes are the caller's own
+  async execute(year: number = FIRST_REPORTING_YEAR, companyId?: string): Promise<ComparisonResult> {
+    const baseline = await this.routeRepo.findBaseline();
+    
     if (!baseline) {
-      throw new Error('No baseline route set');
+      throw new NotFoundError('No baseline route set');
+    }
+
+    const allRoutes = await this.routeRepo.findAll({ companyId });
+    const target = getTargetIntensity(year);
+
+    const comparisons = allRoutes
+      .filter(r => r.routeId !== baseline.routeId)
+      .map(route => {
+        const percentDiff = ((route.ghgIntensity / baseline.ghgIntensity) - 1) * 100;
+        const compliant = route.ghgIntensity <= target;
+
+        return {
+          routeId: route.routeId,
+          ghgIntensity: route.ghgIntensity,
+          percentDiff,
+          compliant
+        };
+      });
+
+    return {
+      baseline: {
+        routeId: baseline.routeId,
+        ghgIntensity: baseline.ghgIntensity
+      },
+      comparisons,
+      year,
+      target
+    };
+  }
+}
+
+// core/application/useCases/ListRoutesUseCase.ts
+
+export const MAX_ROUTE_PAGE_SIZE = 100;
+
+export class ListRoutesUseCase {
+  constructor(private routeRepo: IRouteRepository) {}
+
+  async execute(filters: RouteFilters, sort: RouteSort, page: PageRequest): Promise<Page<Route>> {
+    if (
+      filters.minIntensity !== undefined &&
+      filters.maxIntensity !== undefined &&
+      filters.minIntensity > filters.maxIntensity
+    ) {
+      throw new ValidationError('minIntensity must not be above maxIntensity');
+    }
+
+    if (page.pageSize > MAX_ROUTE_PAGE_SIZE) {
+      throw new ValidationError(`pageSize must be at most ${MAX_ROUTE_PAGE_SIZE}`);
+    }
+
+    return this.routeRepo.findPage(filters, sort, page);
+  }
+}
+
+// core/application/useCases/GetRouteFacetsUseCase.ts
+
+export class GetRouteFacetsUseCase {
+  constructor(private routeRepo: IRouteRepository) {}
+
+  async execute(companyId: string): Promise<RouteFacets> {
+    return this.routeRepo.findFacets({ companyId });
+  }
+}
+
+// core/application/useCases/SetBaselineUseCase.ts
+
+export class SetBaselineUseCase {
+  constructor(
+    private routeRepo: IRouteRepository,
+    private auditRepo: IAuditRepository
+  ) {}
+
+  async execute(routeId: string, context: RequestContext): Promise<void> {
+    const route = await this.routeRepo.findByRouteId(routeId);
+
+    if (!route) {
+      throw new NotFoundError('Route not found');
+    }
+
+    const previous = await this.routeRepo.findBaseline();
+    await this.routeRepo.setBaseline(routeId);
+
+    await this.auditRepo.append(createAuditEvent({
+      type: 'BaselineSet',
+      entity: AuditEntity.ROUTE,
+      entityId: routeId,
+      shipIds: route.shipId ? [route.shipId] : [],
+      before: { baselineRouteId: previous?.routeId ?? null },
+      after: { baselineRouteId: routeId }
+    }, context));
+  }
+}
+
+// core/application/useCases/ImportRoutesUseCase.ts
+
+export type ImportMode = 'all-or-nothing' | 'skip-invalid';
+
+// One CSV row keyed by header, with the line it starts on. Fuel columns are named
+// after FuelType values and hold tonnes burnt; blank or 0 means the fuel was not used.
+export interface RouteImportRow {
+  line: number;
+  values: Record<string, string>;
+}
+
+export interface RouteImportRowReport {
+  line: number; // line in the source file, header is line 1
+  routeId: string;
+  status: 'accepted' | 'rejected';
+  error?: string;
+}
+
+export interface RouteImportResult {
+  mode: ImportMode;
+  imported: number;
+  rejected: number;
+  rows: RouteImportRowReport[];
+}
+
+export class ImportRoutesUseCase {
+  constructor(
+    private unitOfWork: IUnitOfWork,
+    private vesselRepo: IVesselRepository
+  ) {}
+
+  // Rows are checked and saved in one unit of work, so all-or-nothing never leaves a partial import
+  async execute(rows: RouteImportRow[], mode: ImportMode, context: RequestContext): Promise<RouteImportResult> {
+    return this.unitOfWork.run([], async ({ routeRepo, auditRepo }) => {
+      const accepted: Route[] = [];
+      const reports: RouteImportRowReport[] = [];
+      const seenRouteIds = new Set<string>();
+
+      for (const { line, values: row } of rows) {
+        const routeId = (row.routeId ?? '').trim();
+
+        try {
+          if (!routeId) {
+            throw new ValidationError('routeId is required');
+          }
+          if (seenRouteIds.has(routeId)) {
+            throw new ValidationError(`Duplicate routeId ${routeId} in file`);
+          }
+          seenRouteIds.add(routeId);
+          // routeIds are unique across companies; whose route holds it is not disclosed
+          if (await routeRepo.findByRouteId(routeId)) {
+            throw new ValidationError(`routeId ${routeId} is already in use`);
+          }
+
+          const shipId = row.shipId?.trim();
+          if (shipId) {
+            const vessel = await this.vesselRepo.findById(shipId);
+            // Vessels of other companies are reported as unknown
+            if (!vessel || vessel.companyId !== context.actor.companyId) {
+              throw new ValidationError(`Unknown vessel ${shipId}`);
+            }
+          }
+
+          accepted.push(Route.create(this.toRouteProps(row, routeId)));
+          reports.push({ line, routeId, status: 'accepted' });
+        } catch (error) {
+          if (!(error instanceof ValidationError)) throw error;
+          reports.push({ line, routeId, status: 'rejected', error: error.message });
+        }
+      }
+
+      const rejected = reports.filter(r => r.status === 'rejected').length;
+
+      if (mode === 'all-or-nothing' && rejected > 0) {
+        return { mode, imported: 0, rejected, rows: reports };
+      }
+
+      for (const route of accepted) {
+        await routeRepo.save(route);
+        await auditRepo.append(createAuditEvent(routeImportedChange(route), context));
+      }
+
+      return { mode, imported: accepted.length, rejected, rows: reports };
+    });
+  }
+
+  private toRouteProps(row: RouteImportRow['values'], routeId: string): RouteProps {
+    const fuels = Object.values(FuelType)
+      .filter(fuelType => (row[fuelType] ?? '').trim() !== '')
+      .map(fuelType => ({ fuelType, consumption: parseNumber(row[fuelType], fuelType) }))
+      .filter(f => f.consumption !== 0);
+
+    return {
+      id: crypto.randomUUID(),
+      routeId,
+      shipId: row.shipId?.trim() || undefined,
+      vesselType: row.vesselType?.trim() as VesselType,
+      fuels,
+      year: parseNumber(row.year, 'year'),
+      ghgIntensity: row.ghgIntensity?.trim() ? parseNumber(row.ghgIntensity, 'ghgIntensity') : undefined,
+      distance: parseNumber(row.distance, 'distance'),
+      isBaseline: false
+    };
+  }
+}
+
+function routeImportedChange(route: Route): AuditChange {
+  return {
+    type: 'RouteImported',
+    entity: AuditEntity.ROUTE,
+    entityId: route.routeId,
+    shipIds: route.shipId ? [route.shipId] : [],
+    before: null,
+    after: {
+      year: route.year,
+      fuelConsumption: route.fuelConsumption,
+      distance: route.distance,
+      ghgIntensity: route.ghgIntensity,
+      source: route.source ?? null
+    }
+  };
+}
+
+function parseNumber(value: string | undefined, field: string): number {
+  const parsed = Number((value ?? '').trim());
+  if ((value ?? '').trim() === '' || Number.isNaN(parsed)) {
+    throw new ValidationError(`${field} must be a number`);
+  }
+  return parsed;
+}
+
+// core/application/useCases/ImportMrvReportUseCase.ts
+
+// One voyage of an EU MRV per-voyage report, as read by an MRV parser adapter
+export interface MrvVoyageRecord {
+  line: number;
+  voyageId: string;
+  imoNumber: string;
+  departurePort: string;
+  arrivalPort: string;
+  departureDate: string; // ISO date
+  distance: number;      // nautical miles; NaN when blank or unreadable, as is consumption
+  fuels: Array<{ fuelName: string; consumption: number; line: number }>;
+  conflictingFields?: string[]; // voyage fields its rows disagree on
+}
+
+export type MrvIssueCode =
+  | 'unknown-fuel-type'
+  | 'unknown-vessel'
+  | 'consumption-outlier'
+  | 'duplicate-voyage'
+  | 'conflicting-record'
+  | 'invalid-record';
+
+export interface MrvImportIssue {
+  line: number;
+  voyageId: string;
+  severity: 'error' | 'warning';
+  code: MrvIssueCode;
+  message: string;
+}
+
+export interface MrvImportResult {
+  reportId: string;
+  imported: number;
+  rejected: number;
+  issues: MrvImportIssue[];
+}
+
+// MRV fuel names mapped onto FuelType
+export const MRV_FUEL_NAMES: Record<string, FuelType> = {
+  'HFO': FuelType.HFO,
+  'HEAVY FUEL OIL': FuelType.HFO,
+  'LNG': FuelType.LNG,
+  'BIO-LNG': FuelType.BIO_LNG,
+  'LBM': FuelType.BIO_LNG,
+  'MGO': FuelType.MGO,
+  'MDO': FuelType.MGO,
+  'MDO/MGO': FuelType.MGO,
+  'DIESEL/GAS OIL': FuelType.MGO,
+  'E-METHANOL': FuelType.E_METHANOL,
+  'E-AMMONIA': FuelType.E_AMMONIA
+};
+
+// A voyage burning more than 3× or less than 1/3 of the report median per nm is flagged
+export const MRV_OUTLIER_FACTOR = 3;
+
+export class ImportMrvReportUseCase {
+  constructor(
+    private routeRepo: IRouteRepository,
+    private vesselRepo: IVesselRepository,
+    private auditRepo: IAuditRepository
+  ) {}
+
+  async execute(
+    reportId: string,
+    format: 'mrv-tabular' | 'mrv-xml',
+    records: MrvVoyageRecord[],
+    context: RequestContext
+  ): Promise<MrvImportResult> {
+    const issues: MrvImportIssue[] = [];
+    const routes: Route[] = [];
+    const seenVoyageIds = new Set<string>();
+
+    for (const record of records) {
+      const issue = (
+        severity: MrvImportIssue['severity'],
+        code: MrvIssueCode,
+        message: string,
+        line = record.line
+      ) => issues.push({ line, voyageId: record.voyageId, severity, code, message });
+
+      if (seenVoyageIds.has(record.voyageId)) {
+        issue('error', 'duplicate-voyage', `Voyage ${record.voyageId} appears more than once`);
+        continue;
+      }
+      seenVoyageIds.add(record.voyageId);
+
+      if (record.conflictingFields?.length) {
+        issue('error', 'conflicting-record',
+          `Rows of voyage ${record.voyageId} disagree on ${record.conflictingFields.join(', ')}`);
+        continue;
+      }
+
+      // A report imported twice would otherwise stop half-way on the unique routeId
+      if (await this.routeRepo.findByRouteId(record.voyageId)) {
+        issue('error', 'duplicate-voyage', `Voyage ${record.voyageId} is already imported`);
+        continue;
+      }
+
+      const vessel = await this.vesselRepo.findByImoNumber(normalizeImoNumber(record.imoNumber));
+      if (!vessel || vessel.companyId !== context.actor.companyId) {
+        issue('error', 'unknown-vessel', `IMO ${record.imoNumber} is not in the vessel registry`);
+        continue;
+      }
+
+      const unknownFuels = record.fuels.filter(f => !MRV_FUEL_NAMES[f.fuelName.trim().toUpperCase()]);
+      for (const fuel of unknownFuels) {
+        issue('error', 'unknown-fuel-type', `Fuel type ${fuel.fuelName} is not supported`, fuel.line);
+      }
+      if (unknownFuels.length > 0) {
+        continue;
+      }
+
+      // Parsers pass figures through as read, so NaN or a bad date must not reach the route
+      const departure = new Date(record.departureDate);
+      if (Number.isNaN(departure.getTime())) {
+        issue('error', 'invalid-record', `Departure date ${record.departureDate} is not a valid date`);
+        continue;
+      }
+      if (!Number.isFinite(record.distance) || record.distance < 0) {
+        issue('error', 'invalid-record', 'Distance must be a non-negative number');
+        continue;
+      }
+      const invalidFuels = record.fuels.filter(f => !Number.isFinite(f.consumption) || f.consumption < 0);
+      for (const fuel of invalidFuels) {
+        issue('error', 'invalid-record', `Consumption of ${fuel.fuelName} must be a non-negative number`, fuel.line);
+      }
+      if (invalidFuels.length > 0) {
+        continue;
+      }
+
+      const origin = resolvePort(record.departurePort);
+      const destination = resolvePort(record.arrivalPort);
+      if (!origin || !destination) {
+        const port = origin ? record.arrivalPort : record.departurePort;
+        issue('error', 'invalid-record', `Port ${port} is not a UN/LOCODE`);
+        continue;
+      }
+
+      try {
+        // One leg per voyage, so its share in scope follows the two ports
+        routes.push(Route.create({
+          id: crypto.randomUUID(),
+          routeId: record.voyageId,
+          shipId: vessel.id,
+          vesselType: vessel.vesselType,
+          legs: [{
+            origin,
+            destination,
+            fuels: record.fuels.map(f => ({
+              fuelType: MRV_FUEL_NAMES[f.fuelName.trim().toUpperCase()],
+              consumption: f.consumption
+            })),
+            atBerthFuels: []
+          }],
+          year: departure.getUTCFullYear(),
+          distance: record.distance,
+          isBaseline: false,
+          source: { format, reportId, line: record.line }
+        }));
+      } catch (error) {
+        if (!(error instanceof ValidationError)) throw error;
+        issue('error', 'invalid-record', error.message);
+      }
+    }
+
+    this.flagConsumptionOutliers(routes, issues);
+
+    for (const route of routes) {
+      await this.routeRepo.save(route);
+      await this.auditRepo.append(createAuditEvent(routeImportedChange(route), context));
+    }
+
+    return {
+      reportId,
+      imported: routes.length,
+      rejected: records.length - routes.length,
+      issues
+    };
+  }
+
+  // Outliers are imported but reported so the source figures can be checked
+  private flagConsumptionOutliers(routes: Route[], issues: MrvImportIssue[]): void {
+    const rated = routes.filter(r => r.distance > 0);
+    if (rated.length < 3) return;
+
+    const rates = rated.map(r => r.fuelConsumption / r.distance).sort((a, b) => a - b);
+    const mid = Math.floor(rates.length / 2);
+    const median = rates.length % 2 ? rates[mid] : (rates[mid - 1] + rates[mid]) / 2;
+
+    for (const route of rated) {
+      const ratio = route.fuelConsumption / route.distance / median;
+      if (ratio > MRV_OUTLIER_FACTOR || ratio < 1 / MRV_OUTLIER_FACTOR) {
+        issues.push({
+          line: route.source!.line,
+          voyageId: route.routeId,
+          severity: 'warning',
+          code: 'consumption-outlier',
+          message: `Fuel per nm is ${ratio.toFixed(1)}× the report median`
+        });
+      }
+    }
+  }
+}
+
+// core/application/useCases/BankSurplusUseCase.ts
+
+export interface BankSurplusCommand {
+  shipId: string;
+  year: number;
+  amount: number;
+}
+
+export interface BorrowEntry {
+  shipId: string;
+  year: number;
+  amountGco2eq: number;
+  repaymentGco2eq: number; // deducted from the CB of year + 1
+}
+
+export interface BankEntry {
+  id: string;
+  shipId: string;
+  year: number;
+  amountGco2eq: number;
+  appliedAmount: number;
+  createdAt: Date;
+}
+
+export interface IBankRepository {
+  create(entry: { shipId: string; year: number; amountGco2eq: number }): Promise<void>;
+  getTotalBanked(shipId: string, year: number): Promise<number>;
+  // Banked surplus applied to the CB of this year, from any earlier entry
+  getTotalApplied(shipId: string, year: number): Promise<number>;
+  // Ledger for a ship, oldest first
+  findEntries(shipId: string): Promise<BankEntry[]>;
+  // Adds to the entry's applied_amount and credits the amount to the target year's CB
+  applyFromEntry(entryId: string, targetYear: number, amount: number): Promise<void>;
+  createBorrowing(entry: BorrowEntry): Promise<void>;
+  findBorrowing(shipId: string, year: number): Promise<BorrowEntry | null>;
+}
+
+export class BankSurplusUseCase {
+  constructor(private unitOfWork: IUnitOfWork) {}
+
+  async execute(command: BankSurplusCommand, context: RequestContext): Promise<void> {
+    const lockKeys = [periodEntityId(command.shipId, command.year), bankLedgerLockKey(command.shipId)];
+
+    await this.unitOfWork.run(lockKeys, async ({ complianceRepo, bankRepo, auditRepo }) => {
+      const cbRecord = await complianceRepo.findByShipAndYear(
+        command.shipId,
+        command.year
+      );
+
+      if (!cbRecord) {
+        throw new NotFoundError('Compliance balance not found');
+      }
+
+      assertFlexibilityAllowed(cbRecord.status);
+
+      if (cbRecord.cbGco2eq <= 0) {
+        throw new ValidationError('Cannot bank negative or zero CB');
+      }
+
+      // Surplus already banked, or transferred out through a pool, is no longer available
+      const available = await complianceRepo.findAdjustedCB(command.shipId, command.year);
+
+      if (command.amount > available) {
+        throw new ValidationError(
+          available > 0
+            ? `Amount exceeds available CB of ${available.toFixed(2)}`
+            : 'No surplus left to bank for this period'
+        );
+      }
+
+      const bankedBefore = await bankRepo.getTotalBanked(command.shipId, command.year);
+
+      await bankRepo.create({
+        shipId: command.shipId,
+        year: command.year,
+        amountGco2eq: command.amount
+      });
+
+      await auditRepo.append(createAuditEvent({
+        type: 'SurplusBanked',
+        entity: AuditEntity.BANK,
+        entityId: periodEntityId(command.shipId, command.year),
+        shipIds: [command.shipId],
+        before: { banked: bankedBefore },
+        after: { banked: bankedBefore + command.amount }
+      }, context));
+    });
+  }
+}
+
+// core/application/useCases/ApplyBankedUseCase.ts
+
+export interface ApplyBankedCommand {
+  shipId: string;
+  year: number;
+  amount: number;
+}
+
+export interface ApplyBankedResult {
+  applied: number;
+  drawdowns: Array<{ entryId: string; bankedYear: number; amount: number }>;
+}
+
+export class ApplyBankedUseCase {
+  constructor(private unitOfWork: IUnitOfWork) {}
+
+  async execute(command: ApplyBankedCommand, context: RequestContext): Promise<ApplyBankedResult> {
+    if (command.amount <= 0) {
+      throw new ValidationError('Apply amount must be positive');
+    }
+
+    const lockKeys = [periodEntityId(command.shipId, command.year), bankLedgerLockKey(command.shipId)];
+
+    return this.unitOfWork.run(lockKeys, async ({ complianceRepo, bankRepo, auditRepo }) => {
+      const cbRecord = await complianceRepo.findByShipAndYear(
+        command.shipId,
+        command.year
+      );
+
+      if (!cbRecord) {
+        throw new NotFoundError('Compliance balance not found');
+      }
+
+      assertFlexibilityAllowed(cbRecord.status);
+
+      const adjustedCB = await complianceRepo.findAdjustedCB(command.shipId, command.year);
+
+      if (adjustedCB >= 0) {
+        throw new ValidationError('Can only apply banked surplus to a deficit');
+      }
+
+      if (command.amount > Math.abs(adjustedCB)) {
+        throw new ValidationError('Amount exceeds deficit');
+      }
+
+      // Only surplus banked in earlier periods can be carried into this one
+      const entries = (await bankRepo.findEntries(command.shipId))
+        .filter(e => e.year < command.year && e.amountGco2eq > e.appliedAmount)
+        .sort((a, b) => a.year - b.year || a.createdAt.getTime() - b.createdAt.getTime());
+
+      const available = entries.reduce((sum, e) => sum + (e.amountGco2eq - e.appliedAmount), 0);
+
+      if (command.amount > available) {
+        throw new ValidationError('Amount exceeds available banked surplus');
+      }
+
+      // Draw down oldest entries first
+      const drawdowns: ApplyBankedResult['drawdowns'] = [];
+      let remaining = command.amount;
+
+      for (const entry of entries) {
+        if (remaining <= 0) break;
+
+        const amount = Math.min(remaining, entry.amountGco2eq - entry.appliedAmount);
+        await bankRepo.applyFromEntry(entry.id, command.year, amount);
+        drawdowns.push({ entryId: entry.id, bankedYear: entry.year, amount });
+        remaining -= amount;
+      }
+
+      await auditRepo.append(createAuditEvent({
+        type: 'BankedSurplusApplied',
+        entity: AuditEntity.BANK,
+        entityId: periodEntityId(command.shipId, command.year),
+        shipIds: [command.shipId],
+        before: { cb: adjustedCB },
+        after: { cb: adjustedCB + command.amount, drawdowns }
+      }, context));
+
+      return { applied: command.amount, drawdowns };
+    });
+  }
+}
+
+// core/application/useCases/GetBankLedgerUseCase.ts
+
+export interface BankLedgerEntry {
+  id: string;
+  year: number;
+  banked: number;
+  applied: number;
+  remaining: number;
+  createdAt: Date;
+}
+
+export class GetBankLedgerUseCase {
+  constructor(private bankRepo: IBankRepository) {}
+
+  async execute(shipId: string): Promise<{
+    shipId: string;
+    entries: BankLedgerEntry[];
+    totalRemaining: number;
+  }> {
+    const entries = (await this.bankRepo.findEntries(shipId)).map(e => ({
+      id: e.id,
+      year: e.year,
+      banked: e.amountGco2eq,
+      applied: e.appliedAmount,
+      remaining: e.amountGco2eq - e.appliedAmount,
+      createdAt: e.createdAt
+    }));
+
+    return {
+      shipId,
+      entries,
+      totalRemaining: entries.reduce((sum, e) => sum + e.remaining, 0)
+    };
+  }
+}
+
+// core/application/useCases/BorrowUseCase.ts
+
+export interface BorrowCommand {
+  shipId: string;
+  year: number;
+  amount: number;
+}
+
+export class BorrowUseCase {
+  constructor(private unitOfWork: IUnitOfWork) {}
+
+  async execute(command: BorrowCommand, context: RequestContext): Promise<BorrowEntry> {
+    // Repayment needs a following reporting period
+    assertReportingYear(command.year);
+    assertReportingYear(command.year + 1);
+
+    if (command.amount <= 0) {
+      throw new ValidationError('Borrow amount must be positive');
+    }
+
+    // Borrowing in the previous period is checked and the repayment lowers the next one's
+    // adjusted CB, so their locks are held too
+    const lockKeys = [
+      periodEntityId(command.shipId, command.year),
+      periodEntityId(command.shipId, command.year - 1),
+      periodEntityId(command.shipId, command.year + 1)
+    ];
+
+    return this.unitOfWork.run(lockKeys, async ({ complianceRepo, bankRepo, auditRepo }) => {
+      const cbRecord = await complianceRepo.findByShipAndYear(
+        command.shipId,
+        command.year
+      );
+
+      if (!cbRecord) {
+        throw new NotFoundError('Compliance balance not found');
+      }
+
+      assertFlexibilityAllowed(cbRecord.status);
+
+      const adjustedCB = await complianceRepo.findAdjustedCB(command.shipId, command.year);
+
+      if (adjustedCB >= 0) {
+        throw new ValidationError('Can only borrow to cover a deficit');
+      }
+
+      if (command.amount > Math.abs(adjustedCB)) {
+        throw new ValidationError('Amount exceeds deficit');
+      }
+
+      const cap = getBorrowingCap(command.year, cbRecord.energyInScope);
+
+      if (command.amount > cap) {
+        throw new ValidationError(`Amount exceeds borrowing limit of ${cap.toFixed(2)}`);
+      }
+
+      if (await bankRepo.findBorrowing(command.shipId, command.year)) {
+        throw new ConflictError('Advance surplus already borrowed for this period');
+      }
+
+      if (await bankRepo.findBorrowing(command.shipId, command.year - 1)) {
+        throw new ValidationError('Cannot borrow in two consecutive periods');
+      }
+
+      // The repayment may only land in a period whose CB can still change
+      const nextRecord = await complianceRepo.findByShipAndYear(command.shipId, command.year + 1);
+      if (nextRecord && nextRecord.status !== ReportingPeriodStatus.DRAFT) {
+        throw new ConflictError(
+          `Cannot borrow once the ${command.year + 1} period is ${nextRecord.status.toLowerCase()}`
+        );
+      }
+
+      const entry: BorrowEntry = {
+        shipId: command.shipId,
+        year: command.year,
+        amountGco2eq: command.amount,
+        repaymentGco2eq: command.amount * BORROWING_AGGRAVATION_FACTOR
+      };
+
+      await bankRepo.createBorrowing(entry);
+
+      await auditRepo.append(createAuditEvent({
+        type: 'AdvanceSurplusBorrowed',
+        entity: AuditEntity.BANK,
+        entityId: periodEntityId(command.shipId, command.year),
+        shipIds: [command.shipId],
+        before: { cb: adjustedCB },
+        after: { cb: adjustedCB + command.amount, repaymentGco2eq: entry.repaymentGco2eq }
+      }, context));
+
+      return entry;
+    });
+  }
+}
+
+// core/application/useCases/CreatePoolUseCase.ts
+
+export interface PoolMemberInput {
+  shipId: string;
+  // Optional; resolved from ship_compliance and rejected if it disagrees
+  cbBefore?: number;
+}
+
+export enum PoolStatus {
+  PENDING_CONSENT = 'PendingConsent',
+  ACTIVE = 'Active',
+  LOCKED = 'Locked',
+  CANCELLED = 'Cancelled'
+}
+
+export interface PoolAllocation {
+  shipId: string;
+  cbBefore: number;
+  cbAfter: number;
+}
+
+export interface ResolvedPoolMember {
+  shipId: string;
+  cbBefore: number;
+}
+
+export interface PoolConsent {
+  companyId: string;
+  userId: string;
+  consentedAt: Date;
+}
+
+// A pool across companies stays pending until every member company has consented
+export interface Pool {
+  id: string;
+  year: number;
+  status: PoolStatus;
+  members: PoolAllocation[];
+  companyIds: string[];
+  consents: PoolConsent[];
+  createdAt: Date;
+}
+
+export interface PoolTransfer {
+  fromShipId: string;
+  toShipId: string;
+  amount: number;
+}
+
+export interface AllocationResult {
+  allocations: PoolAllocation[];
+  transfers: PoolTransfer[];
+}
+
+export type PoolAllocationStrategyName = 'greedy' | 'pro-rata' | 'min-transfers';
+
+export interface CreatePoolCommand {
+  year: number;
+  members: PoolMemberInput[];
+  strategy?: PoolAllocationStrategyName;
+}
+
+export interface PoolPreview extends AllocationResult {
+  year: number;
+  strategy: PoolAllocationStrategyName;
+  totalCB: number;
+}
+
+export interface PoolFilters {
+  year?: number;
+  companyId?: string; // pools with at least one of this company's ships
+}
+
+export interface IPoolRepository {
+  create(pool: {
+    year: number;
+    members: PoolAllocation[];
+    companyIds: string[];
+    consents: PoolConsent[];
+    status: PoolStatus;
+  }): Promise<string>;
+  findAll(filters?: PoolFilters): Promise<Pool[]>;
+  findById(id: string): Promise<Pool | null>;
+  // Non-cancelled pool the ship belongs to for that year
+  findActiveByShipAndYear(shipId: string, year: number): Promise<Pool | null>;
+  updateStatus(id: string, status: PoolStatus): Promise<void>;
+  addConsent(id: string, consent: PoolConsent): Promise<void>;
+}
+
+// Rounding tolerance for CB values, e.g. a submitted cbBefore against the stored CB
+const CB_TOLERANCE = 0.005;
+
+export class CreatePoolUseCase {
+  constructor(
+    private unitOfWork: IUnitOfWork,
+    private vesselRepo: IVesselRepository,
+    private strategies: Record<PoolAllocationStrategyName, PoolAllocationStrategy> = POOL_ALLOCATION_STRATEGIES
+  ) {}
+
+  async execute(command: CreatePoolCommand, context: RequestContext): Promise<{
+    poolId: string;
+    status: PoolStatus;
+    allocations: PoolAllocation[];
+    transfers: PoolTransfer[];
+  }> {
+    // Every member period stays locked from the pool checks until the pool is stored
+    const lockKeys = command.members.map(m => periodEntityId(m.shipId, command.year));
+
+    return this.unitOfWork.run(lockKeys, async repos => {
+      const { allocations, transfers, strategy, companyIds } = await this.allocate(command, context.actor, repos);
+      const status = companyIds.length > 1 ? PoolStatus.PENDING_CONSENT : PoolStatus.ACTIVE;
+
+      // Create pool in database; the proposing company consents by creating it
+      const poolId = await repos.poolRepo.create({
+        year: command.year,
+        members: allocations,
+        companyIds,
+        consents: [{ companyId: context.actor.companyId, userId: context.actor.userId, consentedAt: new Date() }],
+        status
+      });
+
+      await repos.auditRepo.append(createAuditEvent({
+        type: 'PoolCreated',
+        entity: AuditEntity.POOL,
+        entityId: poolId,
+        shipIds: allocations.map(a => a.shipId),
+        before: { members: allocations.map(a => ({ shipId: a.shipId, cb: a.cbBefore })) },
+        after: {
+          year: command.year,
+          strategy,
+          status,
+          members: allocations.map(a => ({ shipId: a.shipId, cb: a.cbAfter }))
+        }
+      }, context));
+
+      return { poolId, status, allocations, transfers };
+    });
+  }
+
+  // Runs allocation and pooling rules without persisting anything
+  async preview(command: CreatePoolCommand, actor: Actor): Promise<PoolPreview> {
+    return this.unitOfWork.run([], async repos => {
+      const { companyIds, ...preview } = await this.allocate(command, actor, repos);
+      return preview;
+    });
+  }
+
+  private async allocate(
+    command: CreatePoolCommand,
+    actor: Actor,
+    repos: TransactionRepositories
+  ): Promise<PoolPreview & { companyIds: string[] }> {
+    // Validate minimum members
+    if (command.members.length < 2) {
+      throw new ValidationError('Pool must have at least 2 members');
+    }
+
+    if (new Set(command.members.map(m => m.shipId)).size !== command.members.length) {
+      throw new ValidationError('Each ship may appear only once in a pool');
+    }
+
+    const { members, companyIds } = await this.resolveMembers(command.year, command.members, actor, repos);
+
+    // Validate total CB >= 0
+    const totalCB = members.reduce((sum, m) => sum + m.cbBefore, 0);
+    
+    if (totalCB < 0) {
+      throw new ValidationError('Pool total CB must be non-negative');
+    }
+
+    const strategyName = command.strategy ?? 'greedy';
+    const strategy = this.strategies[strategyName];
+
+    if (!strategy) {
+      throw new ValidationError(`Unknown allocation strategy: ${strategyName}`);
+    }
+
+    const { allocations, transfers } = strategy.allocate(members);
+    
+    // Validate pooling rules
+    this.validatePoolingRules(members, allocations);
+
+    return {
+      year: command.year,
+      strategy: strategyName,
+      totalCB,
+      allocations,
+      transfers,
+      companyIds
+    };
+  }
+
+  // cbBefore comes from ship_compliance, never from the request.
+  // Ships of partner companies must be proposed with the cbBefore their owner shared. Until
+  // that company consents, every failed check on its ship gives the same error, so nothing
+  // about the ship's period, pools or CB is revealed.
+  private async resolveMembers(
+    year: number,
+    members: PoolMemberInput[],
+    actor: Actor,
+    { complianceRepo, poolRepo }: TransactionRepositories
+  ): Promise<{ members: ResolvedPoolMember[]; companyIds: string[] }> {
+    const resolved: ResolvedPoolMember[] = [];
+    const companyIds = new Set<string>();
+
+    for (const member of members) {
+      const vessel = await this.vesselRepo.findById(member.shipId);
+      const isOwnShip = vessel?.companyId === actor.companyId;
+      const unavailable = () => new ValidationError(`Ship ${member.shipId} is unknown or unavailable for pooling`);
+
+      if (!isOwnShip && member.cbBefore === undefined) {
+        throw new ValidationError(`Ship ${member.shipId} is not one of yours; cbBefore is required`);
+      }
+
+      if (!vessel) {
+        throw unavailable();
+      }
+
+      companyIds.add(vessel.companyId);
+
+      const cbRecord = await complianceRepo.findByShipAndYear(member.shipId, year);
+
+      if (!cbRecord) {
+        if (!isOwnShip) throw unavailable();
+        throw new ValidationError(`No compliance balance for ship ${member.shipId} in ${year}`);
+      }
+
+      if (!isOwnShip && cbRecord.status !== ReportingPeriodStatus.VERIFIED) {
+        throw unavailable();
+      }
+      assertFlexibilityAllowed(cbRecord.status);
+
+      const existingPool = await poolRepo.findActiveByShipAndYear(member.shipId, year);
+
+      if (existingPool) {
+        if (!isOwnShip) throw unavailable();
+        throw new ValidationError(
+          `Ship ${member.shipId} is already in pool ${existingPool.id} for ${year}`
+        );
+      }
+
+      // Surplus already banked cannot be pooled as well, so a member brings its CB after banking
+      const cbBefore = await complianceRepo.findAdjustedCB(member.shipId, year);
+
+      if (
+        member.cbBefore !== undefined &&
+        Math.abs(member.cbBefore - cbBefore) > CB_TOLERANCE
+      ) {
+        if (!isOwnShip) throw unavailable();
+        throw new ValidationError(
+          `Ship ${member.shipId} cbBefore ${member.cbBefore} does not match recorded CB ${cbBefore}`
+        );
+      }
+
+      resolved.push({ shipId: member.shipId, cbBefore });
+    }
+
+    if (!companyIds.has(actor.companyId)) {
+      throw new ValidationError('A pool must include at least one of your own ships');
+    }
+
+    return { members: resolved, companyIds: [...companyIds] };
+  }
+
+  private validatePoolingRules(
+    original: ResolvedPoolMember[],
+    allocated: PoolAllocation[]
+  ): void {
+    const originalMap = new Map(original.map(m => [m.shipId, m.cbBefore]));
+
+    for (const alloc of allocated) {
+      const before = originalMap.get(alloc.shipId)!;
+      const after = alloc.cbAfter;
+
+      // Rule: Deficit ship cannot exit worse
+      if (before < 0 && after < before) {
+        throw new ValidationError(
+          `Ship ${alloc.shipId} would exit worse (${after} < ${before})`
+        );
+      }
+
+      // Rule: Surplus ship cannot exit negative
+      if (before > 0 && after < 0) {
+        throw new ValidationError(
+          `Ship ${alloc.shipId} would exit negative (${after})`
+        );
+      }
+    }
+  }
+}
+
+// core/application/pooling/PoolAllocationStrategy.ts
+
+export interface PoolAllocationStrategy {
+  allocate(members: ResolvedPoolMember[]): AllocationResult;
+}
+
+function toAllocations(members: ResolvedPoolMember[]): PoolAllocation[] {
+  // Sort by CB descending (surplus first)
+  return [...members]
+    .sort((a, b) => b.cbBefore - a.cbBefore)
+    .map(m => ({ shipId: m.shipId, cbBefore: m.cbBefore, cbAfter: m.cbBefore }));
+}
+
+function transfer(
+  from: PoolAllocation,
+  to: PoolAllocation,
+  amount: number,
+  transfers: PoolTransfer[]
+): void {
+  from.cbAfter -= amount;
+  to.cbAfter += amount;
+  transfers.push({ fromShipId: from.shipId, toShipId: to.shipId, amount });
+}
+
+// Each surplus ship, largest first, fills deficits starting from the largest
+export class GreedyAllocationStrategy implements PoolAllocationStrategy {
+  allocate(members: ResolvedPoolMember[]): AllocationResult {
+    const allocations = toAllocations(members);
+    const transfers: PoolTransfer[] = [];
+
+    // Transfer surplus to deficits
+    for (let i = 0; i < allocations.length; i++) {
+      if (allocations[i].cbAfter > 0) {
+        // Ship has surplus
+        for (let j = allocations.length - 1; j >= 0; j--) {
+          if (allocations[j].cbAfter < 0) {
+            // Ship has deficit
+            const amount = Math.min(
+              allocations[i].cbAfter,
+              Math.abs(allocations[j].cbAfter)
+            );
+            
+            transfer(allocations[i], allocations[j], amount, transfers);
+            
+            if (allocations[i].cbAfter === 0) break;
+          }
+        }
+      }
+    }
+
+    return { allocations, transfers };
+  }
+}
+
+// Every surplus ship covers deficits in proportion to its share of the pool's surplus
+export class ProRataAllocationStrategy implements PoolAllocationStrategy {
+  allocate(members: ResolvedPoolMember[]): AllocationResult {
+    const allocations = toAllocations(members);
+    const transfers: PoolTransfer[] = [];
+
+    const surplusShips = allocations.filter(a => a.cbBefore > 0);
+    const deficitShips = allocations.filter(a => a.cbBefore < 0);
+    const totalSurplus = surplusShips.reduce((sum, a) => sum + a.cbBefore, 0);
+
+    for (const giver of surplusShips) {
+      const share = giver.cbBefore / totalSurplus;
+      for (const receiver of deficitShips) {
+        transfer(giver, receiver, Math.abs(receiver.cbBefore) * share, transfers);
+      }
+    }
+
+    // Shares leave float residue, e.g. a covered deficit at -1e-10, which must not count as one
+    for (const allocation of allocations) {
+      if (Math.abs(allocation.cbAfter) < CB_TOLERANCE) allocation.cbAfter = 0;
+    }
+
+    return { allocations, transfers };
+  }
+}
+
+// Settles exact matches first, then always pairs the largest surplus with the largest deficit
+export class MinTransfersAllocationStrategy implements PoolAllocationStrategy {
+  allocate(members: ResolvedPoolMember[]): AllocationResult {
+    const allocations = toAllocations(members);
+    const transfers: PoolTransfer[] = [];
+
+    for (const receiver of allocations.filter(a => a.cbAfter < 0)) {
+      const giver = allocations.find(a => a.cbAfter === Math.abs(receiver.cbAfter));
+      if (giver) {
+        transfer(giver, receiver, giver.cbAfter, transfers);
+      }
+    }
+
+    while (true) {
+      const giver = allocations
+        .filter(a => a.cbAfter > 0)
+        .sort((a, b) => b.cbAfter - a.cbAfter)[0];
+      const receiver = allocations
+        .filter(a => a.cbAfter < 0)
+        .sort((a, b) => a.cbAfter - b.cbAfter)[0];
+
+      if (!giver || !receiver) break;
+
+      transfer(giver, receiver, Math.min(giver.cbAfter, Math.abs(receiver.cbAfter)), transfers);
+    }
+
+    return { allocations, transfers };
+  }
+}
+
+export const POOL_ALLOCATION_STRATEGIES: Record<PoolAllocationStrategyName, PoolAllocationStrategy> = {
+  'greedy': new GreedyAllocationStrategy(),
+  'pro-rata': new ProRataAllocationStrategy(),
+  'min-transfers': new MinTransfersAllocationStrategy()
+};
+
+// core/application/useCases/GetPoolsUseCase.ts
+
+export class GetPoolsUseCase {
+  constructor(private poolRepo: IPoolRepository) {}
+
+  async execute(filters?: PoolFilters): Promise<Pool[]> {
+    return this.poolRepo.findAll(filters);
+  }
+}
+
+// core/application/useCases/GetPoolUseCase.ts
+
+export class GetPoolUseCase {
+  constructor(private poolRepo: IPoolRepository) {}
+
+  async execute(id: string): Promise<Pool | null> {
+    return this.poolRepo.findById(id);
+  }
+}
+
+// core/application/useCases/CancelPoolUseCase.ts
+
+// A pool's members never change, so the member periods to lock can be read before the pool is locked
+async function poolLockKeys(unitOfWork: IUnitOfWork, id: string): Promise<string[]> {
+  const pool = await unitOfWork.run([], ({ poolRepo }) => poolRepo.findById(id));
+  return [poolLockKey(id), ...(pool?.members.map(m => periodEntityId(m.shipId, pool.year)) ?? [])];
+}
+
+export class CancelPoolUseCase {
+  constructor(private unitOfWork: IUnitOfWork) {}
+
+  async execute(id: string, context: RequestContext): Promise<void> {
+    const lockKeys = await poolLockKeys(this.unitOfWork, id);
+
+    await this.unitOfWork.run(lockKeys, async ({ complianceRepo, poolRepo, auditRepo }) => {
+      const pool = await poolRepo.findById(id);
+
+      if (!pool || !pool.companyIds.includes(context.actor.companyId)) {
+        throw new NotFoundError('Pool not found');
+      }
+
+      // Any member company may withdraw from a pending pool, which cancels it
+      if (pool.status !== PoolStatus.ACTIVE && pool.status !== PoolStatus.PENDING_CONSENT) {
+        throw new ConflictError(`Cannot cancel a pool that is ${pool.status.toLowerCase()}`);
+      }
+
+      // A locked period has its final CB, which must keep the transfers it was locked with
+      for (const member of pool.members) {
+        const cbRecord = await complianceRepo.findByShipAndYear(member.shipId, pool.year);
+        if (cbRecord?.status === ReportingPeriodStatus.LOCKED) {
+          throw new ConflictError(
+            `Cannot cancel the pool: the ${pool.year} period of ${member.shipId} is locked`
+          );
+        }
+      }
+
+      await poolRepo.updateStatus(id, PoolStatus.CANCELLED);
+
+      await auditRepo.append(createAuditEvent({
+        type: 'PoolCancelled',
+        entity: AuditEntity.POOL,
+        entityId: id,
+        shipIds: pool.members.map(m => m.shipId),
+        before: { status: pool.status },
+        after: { status: PoolStatus.CANCELLED }
+      }, context));
+    });
+  }
+}
+
+// core/application/useCases/ConsentToPoolUseCase.ts
+
+export class ConsentToPoolUseCase {
+  constructor(private unitOfWork: IUnitOfWork) {}
+
+  async execute(id: string, context: RequestContext): Promise<PoolStatus> {
+    const lockKeys = await poolLockKeys(this.unitOfWork, id);
+
+    return this.unitOfWork.run(lockKeys, async ({ complianceRepo, poolRepo, auditRepo }) => {
+      const { actor } = context;
+      const pool = await poolRepo.findById(id);
+
+      if (!pool || !pool.companyIds.includes(actor.companyId)) {
+        throw new NotFoundError('Pool not found');
+      }
+
+      if (pool.status !== PoolStatus.PENDING_CONSENT) {
+        throw new ConflictError(`Pool is ${pool.status.toLowerCase()}, not awaiting consent`);
+      }
+
+      if (pool.consents.some(c => c.companyId === actor.companyId)) {
+        throw new ConflictError('Your company has already consented to this pool');
+      }
+
+      await poolRepo.addConsent(id, { companyId: actor.companyId, userId: actor.userId, consentedAt: new Date() });
+
+      const consented = new Set([...pool.consents.map(c => c.companyId), actor.companyId]);
+      const status = pool.companyIds.every(companyId => consented.has(companyId))
+        ? PoolStatus.ACTIVE
+        : PoolStatus.PENDING_CONSENT;
+
+      if (status === PoolStatus.ACTIVE) {
+        // A pending pool reserves nothing, so members may have banked or moved on meanwhile
+        for (const member of pool.members) {
+          const cbRecord = await complianceRepo.findByShipAndYear(member.shipId, pool.year);
+          if (!cbRecord) {
+            throw new ConflictError(`No compliance balance for ship ${member.shipId} in ${pool.year}`);
+          }
+          assertFlexibilityAllowed(cbRecord.status);
+
+          const cbBefore = await complianceRepo.findAdjustedCB(member.shipId, pool.year);
+          if (Math.abs(cbBefore - member.cbBefore) > CB_TOLERANCE) {
+            throw new ConflictError(
+              `CB of ship ${member.shipId} changed since the pool was proposed; cancel it and propose it again`
+            );
+          }
+        }
+
+        await poolRepo.updateStatus(id, status);
+      }
+
+      await auditRepo.append(createAuditEvent({
+        type: 'PoolConsentGiven',
+        entity: AuditEntity.POOL,
+        entityId: id,
+        shipIds: pool.members.map(m => m.shipId),
+        before: { status: pool.status, consentedCompanyIds: pool.consents.map(c => c.companyId) },
+        after: { status, consentedCompanyIds: [...consented] }
+      }, context));
+
+      return status;
+    });
+  }
+}
+
+// core/application/useCases/CalculatePenaltyUseCase.ts
+
+export interface PenaltyResult {
+  shipId: string;
+  year: number;
+  cbAfter: number;
+  ghgIntensity: number;
+  consecutiveDeficitPeriods: number;
+  multiplier: number;
+  penaltyEur: number;
+}
+
+export class CalculatePenaltyUseCase {
+  constructor(private complianceRepo: IComplianceRepository) {}
+
+  async execute(shipId: string, year: number): Promise<PenaltyResult> {
+    assertReportingYear(year);
+
+    const cbRecord = await this.complianceRepo.findByShipAndYear(shipId, year);
+
+    if (!cbRecord) {
+      throw new NotFoundError('Compliance balance not found');
+    }
+
+    // Verified CB after banking, borrowing and pooling
+    const cbAfter = await this.complianceRepo.findAdjustedCB(shipId, year);
+    const consecutiveDeficitPeriods = cbAfter < 0
+      ? await this.countConsecutiveDeficits(shipId, year)
+      : 0;
+
+    return {
+      shipId,
+      year,
+      cbAfter,
+      ghgIntensity: cbRecord.ghgIntensity,
+      consecutiveDeficitPeriods,
+      multiplier: cbAfter < 0 ? getPenaltyMultiplier(consecutiveDeficitPeriods) : 1,
+      penaltyEur: calculatePenalty(cbAfter, cbRecord.ghgIntensity, consecutiveDeficitPeriods)
+    };
+  }
+
+  // Counts the given year plus every directly preceding year that also ended in deficit
+  private async countConsecutiveDeficits(shipId: string, year: number): Promise<number> {
+    let periods = 1;
+    for (let previous = year - 1; previous >= FIRST_REPORTING_YEAR; previous--) {
+      const record = await this.complianceRepo.findByShipAndYear(shipId, previous);
+      if (!record || (await this.complianceRepo.findAdjustedCB(shipId, previous)) >= 0) {
+        break;
+      }
+      periods++;
+    }
+    return periods;
+  }
+}
+
+// core/application/useCases/CheckRfnboSubTargetUseCase.ts
+
+export interface RfnboSubTargetResult {
+  shipId: string;
+  year: number;
+  applies: boolean;
+  requiredPercent: number;
+  rfnboEnergy: number; // MJ
+  totalEnergy: number; // MJ
+  rfnboPercent: number;
+  shortfallEnergy: number; // MJ
+  met: boolean;
+}
+
+export class CheckRfnboSubTargetUseCase {
+  constructor(
+    private routeRepo: IRouteRepository,
+    private complianceRepo: IComplianceRepository,
+    // Set when the Commission finds 2031 RFNBO uptake below 1%
+    private subTargetTriggered: boolean
+  ) {}
+
+  async execute(shipId: string, year: number): Promise<RfnboSubTargetResult> {
+    assertReportingYear(year);
+
+    const cbRecord = await this.complianceRepo.findByShipAndYear(shipId, year);
+
+    if (!cbRecord || !cbRecord.routeId) {
+      throw new NotFoundError('Compliance balance not found');
+    }
+
+    const route = await this.routeRepo.findByRouteId(cbRecord.routeId);
+
+    if (!route) {
+      throw new NotFoundError('Route not found');
+    }
+
+    const applies = this.subTargetTriggered && year >= RFNBO_SUB_TARGET_FROM_YEAR;
+    const requiredPercent = applies ? RFNBO_SUB_TARGET_PERCENT : 0;
+    const rfnboEnergy = route.calculateRfnboEnergy();
+    const totalEnergy = route.calculateEnergyInScope();
+    const shortfallEnergy = Math.max(0, (requiredPercent / 100) * totalEnergy - rfnboEnergy);
+
+    return {
+      shipId,
+      year,
+      applies,
+      requiredPercent,
+      rfnboEnergy,
+      totalEnergy,
+      // A ship with no energy in scope has no share, and nothing to fall short of
+      rfnboPercent: totalEnergy > 0 ? (rfnboEnergy / totalEnergy) * 100 : 0,
+      shortfallEnergy,
+      met: shortfallEnergy === 0
+    };
+  }
+}
+
+// core/application/useCases/SimulateScenarioUseCase.ts
+
+export const MAX_SCENARIOS = 5;
+
+// Rounding tolerance on a fuel mix adding up to 100% of the energy
+const FUEL_MIX_TOLERANCE = 0.001;
+
+export interface FuelMixShare {
+  fuelType: FuelType;
+  energyShare: number; // 0..1 of the energy in scope
+}
+
+// Applies from its year until a later change takes over; fields left out keep their earlier value
+export interface ScenarioChange {
+  fromYear: number;
+  fuelMix?: FuelMixShare[]; // replaces the current mix at the same energy
+  consumptionChangePercent?: number; // more or less sailing than today, e.g. -10
+  efficiencyGainPercent?: number; // energy saved on the same sailing, e.g. 5 for a hull retrofit
+}
+
+export interface Scenario {
+  name: string;
+  changes: ScenarioChange[];
+}
+
+export interface ScenarioYear {
+  year: number;
+  targetIntensity: number;
+  ghgIntensity: number;
+  energyInScope: number; // MJ
+  cb: number; // tCO2e, before any banking, borrowing or pooling
+  penaltyEur: number;
+}
+
+export interface ScenarioProjection {
+  name: string;
+  firstDeficitYear: number | null;
+  totalPenaltyEur: number;
+  years: ScenarioYear[];
+}
+
+export interface ScenarioSimulation {
+  shipId: string;
+  baseYear: number; // year of the routes the projection starts from
+  baseFuels: FuelConsumption[]; // in-scope fuel of those routes, tonnes
+  scenarios: ScenarioProjection[];
+}
+
+// Projects a ship's current routes over the target schedule under hypothetical changes.
+// Intensities use the Annex II defaults, so a certified route intensity is not carried forward.
+// Read only: nothing is written to ship_compliance.
+export class SimulateScenarioUseCase {
+  constructor(
+    private routeRepo: IRouteRepository,
+    private vesselRepo: IVesselRepository
+  ) {}
+
+  async execute(shipId: string, scenarios: Scenario[]): Promise<ScenarioSimulation> {
+    if (scenarios.length === 0 || scenarios.length > MAX_SCENARIOS) {
+      throw new ValidationError(`Provide between 1 and ${MAX_SCENARIOS} scenarios`);
+    }
+    scenarios.forEach(scenario => this.validateScenario(scenario));
+
+    const vessel = await this.vesselRepo.findById(shipId);
+
+    if (!vessel) {
+      throw new NotFoundError('Vessel not found');
+    }
+
+    if (!vessel.isInScope()) {
+      throw new ValidationError(
+        `Vessel ${vessel.imoNumber} is below ${MIN_GROSS_TONNAGE} GT and out of scope`
+      );
+    }
+
+    const routes = await this.routeRepo.findAll({ shipId });
+
+    if (routes.length === 0) {
+      throw new ValidationError(`Vessel ${shipId} has no routes to project from`);
+    }
+
+    const baseYear = Math.max(...routes.map(r => r.year));
+    const baseFuels = sumFuelLines(routes.filter(r => r.year === baseYear).flatMap(r => r.getInScopeFuels()));
+    const windRewardFactor = vessel.windPropulsion ? vessel.windPropulsion.rewardFactor : 1;
+
+    return {
+      shipId,
+      baseYear,
+      baseFuels,
+      scenarios: scenarios.map(scenario => this.project(scenario, baseFuels, windRewardFactor))
+    };
+  }
+
+  private validateScenario(scenario: Scenario): void {
+    if (!scenario.name.trim()) {
+      throw new ValidationError('Scenario name is required');
+    }
+
+    let previousYear = 0;
+    for (const change of scenario.changes) {
+      assertReportingYear(change.fromYear);
+      if (change.fromYear <= previousYear) {
+        throw new ValidationError(`Changes of scenario ${scenario.name} must be in ascending year order`);
+      }
+      previousYear = change.fromYear;
+
+      if (change.fuelMix) {
+        change.fuelMix.forEach(share => getFuelProperties(share.fuelType));
+        if (new Set(change.fuelMix.map(share => share.fuelType)).size !== change.fuelMix.length) {
+          throw new ValidationError('Each fuel type may appear only once per fuel mix');
+        }
+        if (change.fuelMix.some(share => share.energyShare <= 0)) {
+          throw new ValidationError('Fuel mix shares must be positive');
+        }
+        const total = change.fuelMix.reduce((sum, share) => sum + share.energyShare, 0);
+        if (Math.abs(total - 1) > FUEL_MIX_TOLERANCE) {
+          throw new ValidationError(`Fuel mix of ${change.fromYear} must add up to 100% of the energy`);
+        }
+      }
+      if (change.consumptionChangePercent !== undefined && change.consumptionChangePercent <= -100) {
+        throw new ValidationError('Consumption change must be above -100%');
+      }
+      if (
+        change.efficiencyGainPercent !== undefined &&
+        (change.efficiencyGainPercent < 0 || change.efficiencyGainPercent >= 100)
+      ) {
+        throw new ValidationError('Efficiency gain must be from 0% up to, but not including, 100%');
+      }
+    }
+  }
+
+  private project(scenario: Scenario, baseFuels: FuelConsumption[], windRewardFactor: number): ScenarioProjection {
+    const years: ScenarioYear[] = [];
+    let fuelMix: FuelMixShare[] | undefined;
+    let consumptionChangePercent = 0;
+    let efficiencyGainPercent = 0;
+    let consecutiveDeficitPeriods = 0;
+
+    for (let year = FIRST_REPORTING_YEAR; year <= LAST_REPORTING_YEAR; year++) {
+      const change = scenario.changes.find(c => c.fromYear === year);
+      if (change) {
+        fuelMix = change.fuelMix ?? fuelMix;
+        consumptionChangePercent = change.consumptionChangePercent ?? consumptionChangePercent;
+        efficiencyGainPercent = change.efficiencyGainPercent ?? efficiencyGainPercent;
+      }
+
+      const energyFactor = (1 + consumptionChangePercent / 100) * (1 - efficiencyGainPercent / 100);
+      const fuels = (fuelMix ? this.applyFuelMix(baseFuels, fuelMix) : baseFuels)
+        .map(f => ({ fuelType: f.fuelType, consumption: f.consumption * energyFactor }));
+
+      const targetIntensity = getTargetIntensity(year);
+      const ghgIntensity = calculateWellToWakeIntensity(fuels, year) * windRewardFactor;
+      const energyInScope = fuels.reduce((sum, f) => sum + calculateFuelEnergy(f), 0);
+      const cb = ((targetIntensity - ghgIntensity) * energyInScope) / 1_000_000;
+
+      consecutiveDeficitPeriods = cb < 0 ? consecutiveDeficitPeriods + 1 : 0;
+
+      years.push({
+        year,
+        targetIntensity,
+        ghgIntensity,
+        energyInScope,
+        cb,
+        penaltyEur: calculatePenalty(cb, ghgIntensity, consecutiveDeficitPeriods)
+      });
+    }
+
+    return {
+      name: scenario.name,
+      firstDeficitYear: years.find(y => y.cb < 0)?.year ?? null,
+      totalPenaltyEur: years.reduce((sum, y) => sum + y.penaltyEur, 0),
+      years
+    };
+  }
+
+  // Same energy in scope, split over the new fuels by share
+  private applyFuelMix(baseFuels: FuelConsumption[], fuelMix: FuelMixShare[]): FuelConsumption[] {
+    const energy = baseFuels.reduce((sum, f) => sum + calculateFuelEnergy(f), 0);
+    return fuelMix.map(share => ({
+      fuelType: share.fuelType,
+      consumption: (energy * share.energyShare) / (getFuelProperties(share.fuelType).lcv * 1_000_000)
+    }));
+  }
+}
+
+// core/application/useCases/TransitionReportingPeriodUseCase.ts
+
+export interface TransitionReportingPeriodCommand {
+  shipId: string;
+  year: number;
+  action: ReportingPeriodAction;
+  comment?: string;
+}
+
+export class TransitionReportingPeriodUseCase {
+  constructor(private unitOfWork: IUnitOfWork) {}
+
+  async execute(
+    command: TransitionReportingPeriodCommand,
+    context: RequestContext
+  ): Promise<ReportingPeriodStatus> {
+    const { actor } = context;
+    const transition = REPORTING_PERIOD_TRANSITIONS[command.action];
+
+    if (!transition) {
+      throw new ValidationError(`Unknown action: ${command.action}`);
+    }
+
+    if (!transition.roles.includes(actor.role)) {
+      throw new ForbiddenError(`Role ${actor.role} cannot ${command.action} a reporting period`);
+    }
+
+    if (transition.commentRequired && !command.comment?.trim()) {
+      throw new ValidationError(`A comment is required to ${command.action} a reporting period`);
+    }
+
+    // Pool creation, consent and cancellation lock the member periods too
+    const lockKeys = [periodEntityId(command.shipId, command.year)];
+
+    await this.unitOfWork.run(lockKeys, async ({ complianceRepo, poolRepo, auditRepo, verificationRepo }) => {
+      const cbRecord = await complianceRepo.findByShipAndYear(command.shipId, command.year);
+
+      if (!cbRecord) {
+        throw new NotFoundError('Compliance balance not found');
+      }
+
+      if (cbRecord.status !== transition.from) {
+        throw new ConflictError(
+          `Cannot ${command.action} a ${cbRecord.status.toLowerCase()} period`
+        );
+      }
+
+      // Locking freezes the ship's pool, so its transfers stay part of the final CB
+      if (command.action === 'lock') {
+        const pool = await poolRepo.findActiveByShipAndYear(command.shipId, command.year);
+        if (pool?.status === PoolStatus.PENDING_CONSENT) {
+          throw new ConflictError(
+            `Pool ${pool.id} is still awaiting consent; cancel it or complete it before locking`
+          );
+        }
+        if (pool?.status === PoolStatus.ACTIVE) {
+          await poolRepo.updateStatus(pool.id, PoolStatus.LOCKED);
+        }
+      }
+
+      await complianceRepo.updateStatus(command.shipId, command.year, transition.to);
+
+      await auditRepo.append(createAuditEvent({
+        type: 'ReportingPeriodTransitioned',
+        entity: AuditEntity.COMPLIANCE,
+        entityId: periodEntityId(command.shipId, command.year),
+        shipIds: [command.shipId],
+        before: { status: transition.from },
+        after: { status: transition.to, action: command.action, comment: command.comment ?? null }
+      }, context));
+
+      await verificationRepo.addEntry({
+        shipId: command.shipId,
+        year: command.year,
+        action: command.action,
+        fromStatus: transition.from,
+        toStatus: transition.to,
+        actorId: actor.userId,
+        role: actor.role,
+        comment: command.comment
+      });
+    });
+
+    return transition.to;
+  }
+}
+
+// core/application/useCases/GetReportingPeriodUseCase.ts
+
+export class GetReportingPeriodUseCase {
+  constructor(
+    private complianceRepo: IComplianceRepository,
+    private verificationRepo: IVerificationRepository
+  ) {}
+
+  async execute(shipId: string, year: number): Promise<{
+    shipId: string;
+    year: number;
+    status: ReportingPeriodStatus;
+    history: VerificationEntry[];
+  }> {
+    const cbRecord = await this.complianceRepo.findByShipAndYear(shipId, year);
+
+    if (!cbRecord) {
+      throw new NotFoundError('Compliance balance not found');
+    }
+
+    return {
+      shipId,
+      year,
+      status: cbRecord.status,
+      history: await this.verificationRepo.findEntries(shipId, year)
+    };
+  }
+}
+
+// core/application/useCases/IssueDocumentOfComplianceUseCase.ts
+
+export class IssueDocumentOfComplianceUseCase {
+  constructor(
+    private unitOfWork: IUnitOfWork,
+    private vesselRepo: IVesselRepository,
+    private calculatePenaltyUseCase: CalculatePenaltyUseCase
+  ) {}
+
+  async execute(shipId: string, year: number, context: RequestContext): Promise<DocumentOfCompliance> {
+    const { actor } = context;
+
+    if (![UserRole.VERIFIER, UserRole.ADMIN].includes(actor.role)) {
+      throw new ForbiddenError(`Role ${actor.role} cannot issue a Document of Compliance`);
+    }
+
+    // Held like a period transition, so the period cannot be unlocked while the DoC is issued
+    const lockKeys = [periodEntityId(shipId, year)];
+
+    return this.unitOfWork.run(lockKeys, async ({ complianceRepo, poolRepo, docRepo, auditRepo }) => {
+      const cbRecord = await complianceRepo.findByShipAndYear(shipId, year);
+
+      if (!cbRecord) {
+        throw new NotFoundError('Compliance balance not found');
+      }
+
+      if (cbRecord.status !== ReportingPeriodStatus.LOCKED) {
+        throw new ConflictError('Document of Compliance requires a locked period');
+      }
+
+      if (await docRepo.findByShipAndYear(shipId, year)) {
+        throw new ConflictError(`Document of Compliance already issued for ${shipId} in ${year}`);
+      }
+
+      // The recorded CB must not move afterwards through a pool being cancelled or activated
+      const pool = await poolRepo.findActiveByShipAndYear(shipId, year);
+      if (pool && pool.status !== PoolStatus.LOCKED) {
+        throw new ConflictError(`Pool ${pool.id} of ${shipId} is ${pool.status.toLowerCase()}, not yet final`);
+      }
+
+      const vessel = await this.vesselRepo.findById(shipId);
+
+      if (!vessel) {
+        throw new NotFoundError('Vessel not found');
+      }
+
+      const penalty = await this.calculatePenaltyUseCase.execute(shipId, year);
+
+      const doc = await docRepo.create({
+        shipId,
+        imoNumber: vessel.imoNumber,
+        year,
+        cbAfter: penalty.cbAfter,
+        penaltyEur: penalty.penaltyEur,
+        issuedBy: actor.userId
+      });
+
+      await auditRepo.append(createAuditEvent({
+        type: 'DocumentOfComplianceIssued',
+        entity: AuditEntity.COMPLIANCE,
+        entityId: periodEntityId(shipId, year),
+        shipIds: [shipId],
+        before: null,
+        after: doc
+      }, context));
+
+      return doc;
+    });
+  }
+}
+
+// core/application/useCases/GetDocumentOfComplianceUseCase.ts
+
+export class GetDocumentOfComplianceUseCase {
+  constructor(private docRepo: IDocumentOfComplianceRepository) {}
+
+  async execute(shipId: string, year: number): Promise<DocumentOfCompliance | null> {
+    return this.docRepo.findByShipAndYear(shipId, year);
+  }
+}
+
+// core/application/useCases/GenerateComplianceReportUseCase.ts
+
+export interface ComplianceReportRoute {
+  routeId: string;
+  ghgIntensity: number;
+  distance: number;
+  energyInScope: number; // MJ
+  usedForCb: boolean;
+}
+
+export interface ComplianceReport {
+  shipId: string;
+  imoNumber: string;
+  vesselName: string;
+  year: number;
+  status: ReportingPeriodStatus;
+  routes: ComplianceReportRoute[];
+  targetIntensity: number;
+  actualIntensity: number;
+  windRewardFactor: number;
+  energyInScope: number; // MJ
+  cbBefore: number;
+  banked: number;
+  applied: number;
+  borrowed: number;
+  borrowingRepaid: number; // last period's borrowing with aggravation
+  pool: { poolId: string; status: PoolStatus; cbBefore: number; cbAfter: number } | null;
+  penalty: PenaltyResult;
+  generatedAt: Date;
+}
+
+export class GenerateComplianceReportUseCase {
+  constructor(
+    private routeRepo: IRouteRepository,
+    private complianceRepo: IComplianceRepository,
+    private bankRepo: IBankRepository,
+    private poolRepo: IPoolRepository,
+    private vesselRepo: IVesselRepository,
+    private calculatePenaltyUseCase: CalculatePenaltyUseCase
+  ) {}
+
+  async execute(shipId: string, year: number): Promise<ComplianceReport> {
+    const vessel = await this.vesselRepo.findById(shipId);
+
+    if (!vessel) {
+      throw new NotFoundError('Vessel not found');
+    }
+
+    const cbRecord = await this.complianceRepo.findByShipAndYear(shipId, year);
+
+    if (!cbRecord) {
+      throw new NotFoundError('Compliance balance not found');
+    }
+
+    const routes = await this.routeRepo.findAll({ shipId, year });
+
+    // The CB route may predate the ship link, list it anyway
+    if (cbRecord.routeId && !routes.some(r => r.routeId === cbRecord.routeId)) {
+      const cbRoute = await this.routeRepo.findByRouteId(cbRecord.routeId);
+      if (cbRoute) routes.unshift(cbRoute);
+    }
+
+    const borrowing = await this.bankRepo.findBorrowing(shipId, year);
+    const previousBorrowing = await this.bankRepo.findBorrowing(shipId, year - 1);
+    const pool = await this.poolRepo.findActiveByShipAndYear(shipId, year);
+    const poolMember = pool?.members.find(m => m.shipId === shipId);
+
+    return {
+      shipId,
+      imoNumber: vessel.imoNumber,
+      vesselName: vessel.name,
+      year,
+      status: cbRecord.status,
+      routes: routes.map(r => ({
+        routeId: r.routeId,
+        ghgIntensity: r.ghgIntensity,
+        distance: r.distance,
+        energyInScope: r.calculateEnergyInScope(),
+        usedForCb: r.routeId === cbRecord.routeId
+      })),
+      targetIntensity: getTargetIntensity(year),
+      actualIntensity: cbRecord.ghgIntensity,
+      windRewardFactor: cbRecord.windRewardFactor,
+      energyInScope: cbRecord.energyInScope,
+      cbBefore: cbRecord.cbGco2eq,
+      banked: await this.bankRepo.getTotalBanked(shipId, year),
+      applied: await this.bankRepo.getTotalApplied(shipId, year),
+      borrowed: borrowing?.amountGco2eq ?? 0,
+      borrowingRepaid: previousBorrowing?.repaymentGco2eq ?? 0,
+      pool: pool && poolMember
+        ? { poolId: pool.id, status: pool.status, cbBefore: poolMember.cbBefore, cbAfter: poolMember.cbAfter }
+        : null,
+      penalty: await this.calculatePenaltyUseCase.execute(shipId, year),
+      generatedAt: new Date()
+    };
+  }
+}
+
+// core/application/useCases/RegisterVesselUseCase.ts
+
+export class RegisterVesselUseCase {
+  constructor(
+    private vesselRepo: IVesselRepository,
+    private auditRepo: IAuditRepository
+  ) {}
+
+  // Vessels are always registered to the caller's company
+  async execute(props: VesselProps, context: RequestContext): Promise<Vessel> {
+    const vessel = Vessel.create({ ...props, companyId: context.actor.companyId });
+
+    if (await this.vesselRepo.findById(vessel.id)) {
+      throw new ConflictError(`Vessel ${vessel.id} already exists`);
+    }
+
+    if (await this.vesselRepo.findByImoNumber(vessel.imoNumber)) {
+      throw new ConflictError(`IMO ${vessel.imoNumber} is already registered`);
+    }
+
+    await this.vesselRepo.save(vessel);
+
+    await this.auditRepo.append(createAuditEvent({
+      type: 'VesselRegistered',
+      entity: AuditEntity.VESSEL,
+      entityId: vessel.id,
+      shipIds: [vessel.id],
+      before: null,
+      after: vessel.toProps()
+    }, context));
+
+    return vessel;
+  }
+}
+
+// core/application/useCases/UpdateVesselUseCase.ts
+
+export class UpdateVesselUseCase {
+  constructor(
+    private vesselRepo: IVesselRepository,
+    private auditRepo: IAuditRepository
+  ) {}
+
+  async execute(
+    id: string,
+    changes: Partial<Omit<VesselProps, 'id'>>,
+    context: RequestContext
+  ): Promise<Vessel> {
+    const existing = await this.vesselRepo.findById(id);
+
+    if (!existing || existing.companyId !== context.actor.companyId) {
+      throw new NotFoundError('Vessel not found');
+    }
+
+    const vessel = Vessel.create({
+      id,
+      imoNumber: changes.imoNumber ?? existing.imoNumber,
+      name: changes.name ?? existing.name,
+      vesselType: changes.vesselType ?? existing.vesselType,
+      grossTonnage: changes.grossTonnage ?? existing.grossTonnage,
+      iceClass: 'iceClass' in changes ? changes.iceClass : existing.iceClass,
+      managingCompany: changes.managingCompany ?? existing.managingCompany,
+      companyId: existing.companyId,
+      windPropulsion: 'windPropulsion' in changes ? changes.windPropulsion : existing.windPropulsion
+    });
+
+    const sameImo = await this.vesselRepo.findByImoNumber(vessel.imoNumber);
+
+    if (sameImo && sameImo.id !== id) {
+      throw new ConflictError(`IMO ${vessel.imoNumber} is already registered`);
+    }
+
+    await this.vesselRepo.save(vessel);
+
+    await this.auditRepo.append(createAuditEvent({
+      type: 'VesselUpdated',
+      entity: AuditEntity.VESSEL,
+      entityId: id,
+      shipIds: [id],
+      before: existing.toProps(),
+      after: vessel.toProps()
+    }, context));
+
+    return vessel;
+  }
+}
+
+// core/application/useCases/GetVesselsUseCase.ts
+
+export class GetVesselsUseCase {
+  constructor(private vesselRepo: IVesselRepository) {}
+
+  async execute(filters?: { companyId?: string }): Promise<Vessel[]> {
+    return this.vesselRepo.findAll(filters);
+  }
+}
+
+// core/application/useCases/GetVesselUseCase.ts
+
+export class GetVesselUseCase {
+  constructor(private vesselRepo: IVesselRepository) {}
+
+  async execute(id: string): Promise<Vessel | null> {
+    return this.vesselRepo.findById(id);
+  }
+}
+
+// core/application/useCases/DeleteVesselUseCase.ts
+
+export class DeleteVesselUseCase {
+  constructor(
+    private vesselRepo: IVesselRepository,
+    private complianceRepo: IComplianceRepository,
+    private auditRepo: IAuditRepository
+  ) {}
+
+  async execute(id: string, context: RequestContext): Promise<void> {
+    const vessel = await this.vesselRepo.findById(id);
+
+    if (!vessel || vessel.companyId !== context.actor.companyId) {
+      throw new NotFoundError('Vessel not found');
+    }
+
+    // Compliance records must stay traceable to their vessel
+    if ((await this.complianceRepo.findByShip(id)).length > 0) {
+      throw new ConflictError('Cannot delete a vessel with compliance records');
+    }
+
+    await this.vesselRepo.delete(id);
+
+    await this.auditRepo.append(createAuditEvent({
+      type: 'VesselDeleted',
+      entity: AuditEntity.VESSEL,
+      entityId: id,
+      shipIds: [id],
+      before: vessel.toProps(),
+      after: null
+    }, context));
+  }
+}
+
+// core/application/useCases/LoginUseCase.ts
+
+export interface LoginResult {
+  token: string;
+  expiresIn: number; // seconds
+  user: { id: string; email: string; role: UserRole; companyId: string; companyName: string };
+}
+
+export class LoginUseCase {
+  constructor(
+    private userRepo: IUserRepository,
+    private companyRepo: ICompanyRepository,
+    private passwordHasher: IPasswordHasher,
+    private tokenService: ITokenService
+  ) {}
+
+  async execute(email: string, password: string): Promise<LoginResult> {
+    const user = await this.userRepo.findByEmail((email ?? '').trim().toLowerCase());
+
+    // Same message for unknown email and wrong password
+    if (!user || !this.passwordHasher.verify(password ?? '', user.passwordHash)) {
+      throw new UnauthorizedError('Invalid email or password');
+    }
+
+    const company = await this.companyRepo.findById(user.companyId);
+
+    if (!company) {
+      throw new Error('Company not found');
+    }
+
+    const { token, expiresIn } = this.tokenService.issue({
+      userId: user.id,
+      role: user.role,
+      companyId: user.companyId
+    });
+
+    return {
+      token,
+      expiresIn,
+      user: { id: user.id, email: user.email, role: user.role, companyId: company.id, companyName: company.name }
+    };
+  }
+}
+
+// core/application/access/ShipAccess.ts
+
+// Ships, and everything recorded for them, are visible only to their owning company
+export class ShipAccess {
+  constructor(private vesselRepo: IVesselRepository) {}
+
+  async assertCanAccess(actor: Actor, shipId: string): Promise<void> {
+    const vessel = await this.vesselRepo.findById(shipId);
+
+    // Other companies' ships are reported as missing so their existence does not leak
+    if (!vessel || vessel.companyId !== actor.companyId) {
+      throw new NotFoundError('Vessel not found');
+    }
+  }
+}
+
+// core/application/useCases/GetAuditTrailUseCase.ts
+
+export class GetAuditTrailUseCase {
+  constructor(private auditRepo: IAuditRepository) {}
+
+  async execute(filters: AuditFilters): Promise<AuditEvent[]> {
+    if (filters.entity && !Object.values(AuditEntity).includes(filters.entity)) {
+      throw new ValidationError(`Unknown audit entity: ${filters.entity}`);
+    }
+
+    if (filters.from && filters.to && filters.from > filters.to) {
+      throw new ValidationError('from must not be after to');
+    }
+
+    return this.auditRepo.find(filters);
+  }
+}
+
+// ----- ADAPTER LAYER - HTTP CONTROLLERS -----
+// adapters/inbound/http/csv/parseCsv.ts
+
+export interface CsvRecord {
+  line: number; // physical line the record starts on, counting from 1
+  values: Record<string, string>;
+}
+
+// Minimal RFC 4180 parser: quoted fields, escaped quotes, CRLF or LF line endings.
+// Blank lines are skipped; line numbers still count them and line breaks inside quotes.
+export function parseCsv(text: string): CsvRecord[] {
+  const records: Array<{ line: number; values: string[] }> = [];
+  let record: string[] = [];
+  let field = '';
+  let inQuotes = false;
+  let line = 1;
+  let recordLine = 1;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        if (char === '\n' || (char === '\r' && text[i + 1] !== '\n')) line++;
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      record.push(field);
+      records.push({ line: recordLine, values: record });
+      record = [];
+      field = '';
+      line++;
+      recordLine = line;
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push({ line: recordLine, values: record });
+  }
+
+  const [header, ...rows] = records.filter(r => r.values.some(value => value.trim() !== ''));
+
+  if (!header) {
+    return [];
+  }
+
+  const keys = header.values.map(h => h.trim());
+  return rows.map(({ line, values }) => ({
+    line,
+    values: Object.fromEntries(keys.map((key, i) => [key, values[i] ?? '']))
+  }));
+}
+
+// adapters/inbound/mrv/parseMrvTabular.ts
+
+// Per-voyage MRV export, one row per voyage and fuel type
+const MRV_COLUMNS = {
+  voyageId: 'voyageid',
+  imoNumber: 'imonumber',
+  departurePort: 'portofdeparture',
+  arrivalPort: 'portofarrival',
+  departureDate: 'departuredate',
+  distance: 'distancenm',
+  fuelName: 'fueltype',
+  consumption: 'fuelconsumptiont'
+};
+
+const normalizeHeader = (header: string) => header.toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// A blank cell is missing, not 0 as Number('') would read it
+export const parseMrvFigure = (value: string | undefined) =>
+  (value ?? '').trim() === '' ? NaN : Number(value);
+
+// Repeated on every fuel row of a voyage
+const MRV_VOYAGE_FIELDS = ['imoNumber', 'departurePort', 'arrivalPort', 'departureDate', 'distance'] as const;
+
+export function parseMrvTabular(text: string): MrvVoyageRecord[] {
+  const rows = parseCsv(text).map(({ line, values }) => ({
+    line,
+    values: Object.fromEntries(Object.entries(values).map(([key, value]) => [normalizeHeader(key), value.trim()]))
+  }));
+  const voyages = new Map<string, MrvVoyageRecord>();
+
+  rows.forEach(({ line, values: row }) => {
+    const voyageId = row[MRV_COLUMNS.voyageId];
+    const fuel = {
+      fuelName: row[MRV_COLUMNS.fuelName],
+      consumption: parseMrvFigure(row[MRV_COLUMNS.consumption]),
+      line
+    };
+    const voyage: MrvVoyageRecord = {
+      line,
+      voyageId,
+      imoNumber: row[MRV_COLUMNS.imoNumber],
+      departurePort: row[MRV_COLUMNS.departurePort],
+      arrivalPort: row[MRV_COLUMNS.arrivalPort],
+      departureDate: row[MRV_COLUMNS.departureDate],
+      distance: parseMrvFigure(row[MRV_COLUMNS.distance]),
+      fuels: [fuel],
+      conflictingFields: []
+    };
+
+    const existing = voyages.get(voyageId);
+    if (!existing) {
+      voyages.set(voyageId, voyage);
+      return;
+    }
+
+    existing.fuels.push(fuel);
+    // Object.is, so two blank distances (NaN) agree
+    for (const field of MRV_VOYAGE_FIELDS) {
+      if (!Object.is(existing[field], voyage[field]) && !existing.conflictingFields!.includes(field)) {
+        existing.conflictingFields!.push(field);
+      }
+    }
+  });
+
+  return [...voyages.values()];
+}
+
+// adapters/inbound/mrv/parseMrvXml.ts
+
+// Reads <Voyage> elements of an MRV XML export; line is where each element starts
+export function parseMrvXml(xml: string): MrvVoyageRecord[] {
+  const lineAt = (offset: number) => xml.slice(0, offset).split('\n').length;
+  const text = (body: string, tag: string) => {
+    const match = body.match(new RegExp(`<${tag}>([\\s\\S]*?)</${tag}>`));
+    return match ? match[1].trim() : '';
+  };
+
+  const records: MrvVoyageRecord[] = [];
+
+  for (const voyage of xml.matchAll(/<Voyage>([\s\S]*?)<\/Voyage>/g)) {
+    const body = voyage[1];
+    const bodyOffset = voyage.index! + '<Voyage>'.length;
+
+    const fuels = [...body.matchAll(/<Fuel>([\s\S]*?)<\/Fuel>/g)].map(fuel => ({
+      fuelName: text(fuel[1], 'Type'),
+      consumption: parseMrvFigure(text(fuel[1], 'Consumption')),
+      line: lineAt(bodyOffset + fuel.index!)
+    }));
+
+    records.push({
+      line: lineAt(voyage.index!),
+      voyageId: text(body, 'VoyageId'),
+      imoNumber: text(body, 'IMONumber'),
+      departurePort: text(body, 'PortOfDeparture'),
+      arrivalPort: text(body, 'PortOfArrival'),
+      departureDate: text(body, 'DepartureDate'),
+      distance: parseMrvFigure(text(body, 'Distance')),
+      fuels
+    });
+  }
+
+  return records;
+}
+
+// adapters/inbound/http/pdf/buildTextPdf.ts
+
+// Minimal PDF 1.4 writer for plain text reports: A4 pages, standard Type 1 fonts, no embedding
+const PAGE_WIDTH = 595;
+const PAGE_HEIGHT = 842;
+const PAGE_MARGIN = 50;
+const LINE_HEIGHT = 14;
+const LINES_PER_PAGE = Math.floor((PAGE_HEIGHT - 2 * PAGE_MARGIN) / LINE_HEIGHT);
+
+export interface PdfLine {
+  text: string;
+  font?: 'regular' | 'bold' | 'mono';
+  size?: number;
+}
+
+const PDF_FONTS = { regular: 'F1', bold: 'F2', mono: 'F3' };
+
+// Standard fonts only cover WinAnsi; anything outside printable ASCII is replaced
+function escapePdfText(text: string): string {
+  return text.replace(/[\\()]/g, c => `\\${c}`).replace(/[^\x20-\x7e]/g, '?');
+}
+
+export function buildTextPdf(lines: PdfLine[]): Buffer {
+  const pages: PdfLine[][] = [];
+  for (let i = 0; i < lines.length; i += LINES_PER_PAGE) {
+    pages.push(lines.slice(i, i + LINES_PER_PAGE));
+  }
+  if (pages.length === 0) pages.push([]);
+
+  // Objects 1-5 are the catalog, page tree and fonts; each page adds itself and its content stream
+  const objects: string[] = [];
+  const pageIds = pages.map((_, i) => 6 + i * 2);
+
+  objects[1] = '<< /Type /Catalog /Pages 2 0 R >>';
+  objects[2] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>`;
+  objects[3] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>';
+  objects[4] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>';
+  objects[5] = '<< /Type /Font /Subtype /Type1 /BaseFont /Courier /Encoding /WinAnsiEncoding >>';
+
+  pages.forEach((pageLines, i) => {
+    const content = pageLines
+      .map((line, j) => {
+        const y = PAGE_HEIGHT - PAGE_MARGIN - j * LINE_HEIGHT;
+        return `BT /${PDF_FONTS[line.font ?? 'regular']} ${line.size ?? 10} Tf ${PAGE_MARGIN} ${y} Td (${escapePdfText(line.text)}) Tj ET`;
+      })
+      .join('\n');
+
+    objects[pageIds[i]] =
+      `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+      `/Resources << /Font << /F1 3 0 R /F2 4 0 R /F3 5 0 R >> >> /Contents ${pageIds[i] + 1} 0 R >>`;
+    objects[pageIds[i] + 1] = `<< /Length ${content.length} >>\nstream\n${content}\nendstream`;
+  });
+
+  // Content is ASCII only, so string length equals byte offset
+  let pdf = '%PDF-1.4\n';
+  const offsets: number[] = [];
+
+  for (let id = 1; id < objects.length; id++) {
+    offsets.push(pdf.length);
+    pdf += `${id} 0 obj\n${objects[id]}\nendobj\n`;
+  }
+
+  const xrefOffset = pdf.length;
+  pdf += `xref\n0 ${objects.length}\n0000000000 65535 f \n`;
+  pdf += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+  pdf += `trailer\n<< /Size ${objects.length} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+  return Buffer.from(pdf, 'ascii');
+}
+
+// adapters/inbound/http/pdf/renderComplianceReportPdf.ts
+
+const formatNumber = (value: number, digits = 2) =>
+  value.toLocaleString('en-US', { minimumFractionDigits: digits, maximumFractionDigits: digits });
+
+export function renderComplianceReportPdf(report: ComplianceReport): Buffer {
+  const { penalty, pool } = report;
+  const row = (label: string, value: string): PdfLine => ({ text: `${label.padEnd(34)}${value}`, font: 'mono' });
+
+  const lines: PdfLine[] = [
+    { text: `FuelEU Maritime Compliance Report ${report.year}`, font: 'bold', size: 16 },
+    { text: '' },
+    { text: `${report.vesselName} - IMO ${report.imoNumber} (ship ${report.shipId})` },
+    { text: `Reporting period status: ${report.status}` },
+    { text: `Generated ${report.generatedAt.toISOString()}` },
+    { text: '' },
+    { text: 'Routes', font: 'bold', size: 12 },
+    { text: `${'Route'.padEnd(14)}${'gCO2e/MJ'.padStart(12)}${'Distance nm'.padStart(14)}${'Energy in scope MJ'.padStart(22)}`, font: 'mono' },
+    ...report.routes.map(r => ({
+      text: `${(r.routeId + (r.usedForCb ? ' *' : '')).padEnd(14)}${formatNumber(r.ghgIntensity, 4).padStart(12)}` +
+        `${formatNumber(r.distance, 0).padStart(14)}${formatNumber(r.energyInScope, 0).padStart(22)}`,
+      font: 'mono' as const
+    })),
+    { text: '* route the compliance balance was computed from', size: 8 },
+    { text: '' },
+    { text: 'GHG intensity', font: 'bold', size: 12 },
+    row('Target', `${formatNumber(report.targetIntensity, 4)} gCO2e/MJ`),
+    row('Actual', `${formatNumber(report.actualIntensity, 4)} gCO2e/MJ`),
+    row('Wind reward factor', formatNumber(report.windRewardFactor)),
+    row('Energy in scope', `${formatNumber(report.energyInScope, 0)} MJ`),
+    { text: '' },
+    { text: 'Compliance balance (tCO2e)', font: 'bold', size: 12 },
+    row('CB before', formatNumber(report.cbBefore)),
+    row('Banked', formatNumber(report.banked)),
+    row('Applied from bank', formatNumber(report.applied)),
+    row('Borrowed', formatNumber(report.borrowed)),
+    ...(report.borrowingRepaid > 0
+      ? [row('Borrowing repaid', formatNumber(-report.borrowingRepaid))]
+      : []),
+    row('CB after', formatNumber(penalty.cbAfter)),
+    { text: '' },
+    { text: 'Pooling', font: 'bold', size: 12 },
+    ...(pool
+      ? [
+          row('Pool', `${pool.poolId} (${pool.status})`),
+          row('CB before pooling', formatNumber(pool.cbBefore)),
+          row('CB after pooling', formatNumber(pool.cbAfter))
+        ]
+      : [{ text: 'Not a member of a pool in this period' }]),
+    { text: '' },
+    { text: 'Penalty', font: 'bold', size: 12 },
+    row('Consecutive deficit periods', String(penalty.consecutiveDeficitPeriods)),
+    row('Multiplier', formatNumber(penalty.multiplier, 1)),
+    row('Penalty', `EUR ${formatNumber(penalty.penaltyEur)}`)
+  ];
+
+  return buildTextPdf(lines);
+}
+
+// adapters/outbound/auth/HmacJwtTokenService.ts
+
+const JWT_TTL_SECONDS = 8 * 60 * 60;
+
+// HS256 JSON Web Tokens signed with a local secret
+export class HmacJwtTokenService implements ITokenService {
+  constructor(
+    private secret: string,
+    private ttlSeconds: number = JWT_TTL_SECONDS
+  ) {}
+
+  issue(actor: Actor): { token: string; expiresIn: number } {
+    const now = Math.floor(Date.now() / 1000);
+    const header = this.encode({ alg: 'HS256', typ: 'JWT' });
+    const payload = this.encode({
+      sub: actor.userId,
+      role: actor.role,
+      companyId: actor.companyId,
+      iat: now,
+      exp: now + this.ttlSeconds
+    });
+
+    return { token: `${header}.${payload}.${this.sign(`${header}.${payload}`)}`, expiresIn: this.ttlSeconds };
+  }
+
+  verify(token: string): Actor {
+    const [header, payload, signature] = token.split('.');
+
+    if (!header || !payload || !signature) {
+      throw new UnauthorizedError('Malformed token');
+    }
+
+    const expected = Buffer.from(this.sign(`${header}.${payload}`));
+    const actual = Buffer.from(signature);
+
+    if (actual.length !== expected.length || !timingSafeEqual(actual, expected)) {
+      throw new UnauthorizedError('Invalid token signature');
+    }
+
+    // Only HS256 is accepted, whatever the header claims
+    if (this.decode(header).alg !== 'HS256') {
+      throw new UnauthorizedError('Unsupported token algorithm');
+    }
+
+    const claims = this.decode(payload);
+
+    if (typeof claims.exp !== 'number' || claims.exp <= Math.floor(Date.now() / 1000)) {
+      throw new UnauthorizedError('Token expired');
+    }
+
+    return { userId: claims.sub, role: claims.role, companyId: claims.companyId };
+  }
+
+  private sign(data: string): string {
+    return createHmac('sha256', this.secret).update(data).digest('base64url');
+  }
+
+  private encode(value: object): string {
+    return Buffer.from(JSON.stringify(value)).toString('base64url');
+  }
+
+  private decode(part: string): any {
+    try {
+      return JSON.parse(Buffer.from(part, 'base64url').toString());
+    } catch {
+      throw new UnauthorizedError('Malformed token');
+    }
+  }
+}
+
+// adapters/outbound/auth/ScryptPasswordHasher.ts
+
+// Stored as "scrypt$<salt>$<hash>", both hex
+export class ScryptPasswordHasher implements IPasswordHasher {
+  hash(password: string): string {
+    const salt = randomBytes(16).toString('hex');
+    return `scrypt$${salt}$${scryptSync(password, salt, 64).toString('hex')}`;
+  }
+
+  verify(password: string, passwordHash: string): boolean {
+    const [scheme, salt, hash] = passwordHash.split('$');
+
+    if (scheme !== 'scrypt' || !salt || !hash) {
+      return false;
+    }
+
+    const expected = Buffer.from(hash, 'hex');
+    return timingSafeEqual(scryptSync(password, salt, expected.length), expected);
+  }
+}
+
+// adapters/outbound/postgres/SqlSession.ts
+
+// The part of node-postgres' Pool and PoolClient the adapters use
+export interface SqlQueryable {
+  query(text: string, params?: unknown[]): Promise<{ rows: any[] }>;
+}
+
+export interface SqlPool extends SqlQueryable {
+  connect(): Promise<SqlQueryable & { release(): void }>;
+}
+
+// Queries the pool, or one client while a transaction is open
+export class SqlSession {
+  private constructor(
+    private db: SqlQueryable,
+    private pool: SqlPool | null // null inside a transaction
+  ) {}
+
+  static forPool(pool: SqlPool): SqlSession {
+    return new SqlSession(pool, pool);
+  }
+
+  async query<R = any>(text: string, params?: unknown[]): Promise<R[]> {
+    return (await this.db.query(text, params)).rows;
+  }
+
+  // Nested calls join the enclosing transaction
+  async transaction<T>(work: (tx: SqlSession) => Promise<T>): Promise<T> {
+    if (!this.pool) {
+      return work(this);
+    }
+
+    const client = await this.pool.connect();
+
+    try {
+      await client.query('BEGIN');
+      const result = await work(new SqlSession(client, null));
+      await client.query('COMMIT');
+      return result;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+}
+
+// node-postgres returns DECIMAL columns as strings
+function toNumber(value: string | number): number {
+  return Number(value);
+}
+
+const UNIQUE_VIOLATION = '23505';
+
+function isUniqueViolation(error: unknown): boolean {
+  return (error as { code?: string } | null)?.code === UNIQUE_VIOLATION;
+}
+
+// Collects numbered placeholders for a WHERE clause
+class SqlConditions {
+  readonly params: unknown[] = [];
+  private conditions: string[] = [];
+
+  param(value: unknown): string {
+    this.params.push(value);
+    return `$${this.params.length}`;
+  }
+
+  add(condition: string): void {
+    this.conditions.push(condition);
+  }
+
+  toSql(): string {
+    return this.conditions.length > 0 ? `WHERE ${this.conditions.join(' AND ')}` : '';
+  }
+}
+
+// Matches the text literally inside ILIKE '%...%'
+function escapeLike(text: string): string {
+  return text.replace(/[\\%_]/g, char => `\\${char}`);
+}
+
+// adapters/outbound/postgres/migrations.ts
+
+export interface Migration {
+  id: string;
+  sql: string;
+}
+
+// Applied in order and never edited once released; schema changes go in a new entry
+export const MIGRATIONS: ReadonlyArray<Migration> = [
+  {
+    id: '001_initial_schema',
+    sql: `
+      CREATE TABLE companies (
+        id VARCHAR PRIMARY KEY,
+        name VARCHAR
+      );
+
+      CREATE TABLE users (
+        id VARCHAR PRIMARY KEY,
+        email VARCHAR UNIQUE,
+        password_hash VARCHAR,
+        role VARCHAR,
+        company_id VARCHAR REFERENCES companies(id)
+      );
+
+      CREATE TABLE vessels (
+        id VARCHAR PRIMARY KEY,
+        imo_number CHAR(7) UNIQUE,
+        name VARCHAR,
+        vessel_type VARCHAR,
+        gross_tonnage DECIMAL(10,2),
+        ice_class VARCHAR,
+        managing_company VARCHAR,
+        company_id VARCHAR REFERENCES companies(id),
+        wind_power_kw DECIMAL(10,2),
+        propulsion_power_kw DECIMAL(10,2)
+      );
+
+      CREATE TABLE routes (
+        id VARCHAR PRIMARY KEY,
+        route_id VARCHAR UNIQUE,
+        ship_id VARCHAR REFERENCES vessels(id),
+        vessel_type VARCHAR,
+        year INTEGER,
+        ghg_intensity DECIMAL(10,4),
+        intensity_certified BOOLEAN,
+        distance DECIMAL(10,2),
+        total_emissions DECIMAL(12,2),
+        is_baseline BOOLEAN,
+        source_format VARCHAR,
+        source_report_id VARCHAR,
+        source_line INTEGER,
+        created_at TIMESTAMP
+      );
+
+      CREATE INDEX routes_year_idx ON routes (year);
+      CREATE INDEX routes_ghg_intensity_idx ON routes (ghg_intensity);
+
+      CREATE TABLE route_fuels (
+        id VARCHAR PRIMARY KEY,
+        route_id VARCHAR REFERENCES routes(id),
+        fuel_type VARCHAR,
+        fuel_consumption DECIMAL(10,2),
+        UNIQUE(route_id, fuel_type)
+      );
+
+      CREATE TABLE route_legs (
+        id VARCHAR PRIMARY KEY,
+        route_id VARCHAR REFERENCES routes(id),
+        sequence INTEGER,
+        origin_port VARCHAR,
+        origin_is_eu BOOLEAN,
+        origin_is_outermost BOOLEAN,
+        destination_port VARCHAR,
+        destination_is_eu BOOLEAN,
+        destination_is_outermost BOOLEAN
+      );
+
+      CREATE TABLE route_leg_fuels (
+        id VARCHAR PRIMARY KEY,
+        leg_id VARCHAR REFERENCES route_legs(id),
+        segment VARCHAR,
+        fuel_type VARCHAR,
+        fuel_consumption DECIMAL(10,2)
+      );
+
+      CREATE TABLE ship_compliance (
+        id VARCHAR PRIMARY KEY,
+        ship_id VARCHAR REFERENCES vessels(id),
+        year INTEGER,
+        cb_gco2eq DECIMAL(12,2),
+        ghg_intensity DECIMAL(10,4),
+        fuel_ghg_intensity DECIMAL(10,4),
+        wind_reward_factor DECIMAL(4,2),
+        energy_in_scope DECIMAL(16,2),
+        route_id VARCHAR,
+        status VARCHAR,
+        created_at TIMESTAMP,
+        UNIQUE(ship_id, year)
+      );
+
+      CREATE TABLE verification_entries (
+        id VARCHAR PRIMARY KEY,
+        ship_id VARCHAR,
+        year INTEGER,
+        action VARCHAR,
+        from_status VARCHAR,
+        to_status VARCHAR,
+        actor_id VARCHAR,
+        role VARCHAR,
+        comment TEXT,
+        created_at TIMESTAMP
+      );
+
+      CREATE TABLE documents_of_compliance (
+        id VARCHAR PRIMARY KEY,
+        ship_id VARCHAR REFERENCES vessels(id),
+        imo_number CHAR(7),
+        year INTEGER,
+        cb_after DECIMAL(12,2),
+        penalty_eur DECIMAL(14,2),
+        issued_by VARCHAR,
+        issued_at TIMESTAMP,
+        UNIQUE(ship_id, year)
+      );
+
+      CREATE TABLE audit_events (
+        id VARCHAR PRIMARY KEY,
+        type VARCHAR,
+        entity VARCHAR,
+        entity_id VARCHAR,
+        ship_ids VARCHAR[],
+        actor_id VARCHAR,
+        role VARCHAR,
+        company_id VARCHAR,
+        request_id VARCHAR,
+        before JSONB,
+        after JSONB,
+        occurred_at TIMESTAMP
+      );
+      REVOKE UPDATE, DELETE ON audit_events FROM PUBLIC;
+
+      CREATE TABLE bank_entries (
+        id VARCHAR PRIMARY KEY,
+        ship_id VARCHAR,
+        year INTEGER,
+        amount_gco2eq DECIMAL(12,2),
+        applied_amount DECIMAL(12,2),
+        created_at TIMESTAMP
+      );
+
+      CREATE TABLE bank_applications (
+        id VARCHAR PRIMARY KEY,
+        bank_entry_id VARCHAR REFERENCES bank_entries(id),
+        year INTEGER,
+        amount_gco2eq DECIMAL(12,2),
+        created_at TIMESTAMP
+      );
+
+      CREATE TABLE borrow_entries (
+        id VARCHAR PRIMARY KEY,
+        ship_id VARCHAR,
+        year INTEGER,
+        amount_gco2eq DECIMAL(12,2),
+        repayment_gco2eq DECIMAL(12,2),
+        created_at TIMESTAMP,
+        UNIQUE(ship_id, year)
+      );
+
+      CREATE TABLE pools (
+        id VARCHAR PRIMARY KEY,
+        year INTEGER,
+        status VARCHAR,
+        created_at TIMESTAMP
+      );
+
+      CREATE TABLE pool_companies (
+        pool_id VARCHAR REFERENCES pools(id),
+        company_id VARCHAR REFERENCES companies(id),
+        PRIMARY KEY (pool_id, company_id)
+      );
+
+      CREATE TABLE pool_consents (
+        pool_id VARCHAR REFERENCES pools(id),
+        company_id VARCHAR REFERENCES companies(id),
+        user_id VARCHAR REFERENCES users(id),
+        consented_at TIMESTAMP,
+        PRIMARY KEY (pool_id, company_id)
+      );
+
+      CREATE TABLE pool_members (
+        id VARCHAR PRIMARY KEY,
+        pool_id VARCHAR REFERENCES pools(id),
+        ship_id VARCHAR,
+        cb_before DECIMAL(12,2),
+        cb_after DECIMAL(12,2)
+      );
+    `
+  },
+  {
+    id: '002_idempotency_keys',
+    sql: `
+      CREATE TABLE idempotency_keys (
+        company_id VARCHAR REFERENCES companies(id),
+        key VARCHAR(255),
+        fingerprint CHAR(64),
+        response_status INTEGER,
+        response_body JSONB,
+        created_at TIMESTAMP,
+        PRIMARY KEY (company_id, key)
+      );
+    `
+  }
+];
+
+// Applies the pending migrations in one transaction; returns their ids
+export async function runMigrations(session: SqlSession): Promise<string[]> {
+  return session.transaction(async tx => {
+    await tx.query(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        id VARCHAR PRIMARY KEY,
+        applied_at TIMESTAMP
+      )
+    `);
+    // A second migrator waits here, then finds nothing pending
+    await tx.query('LOCK TABLE schema_migrations IN EXCLUSIVE MODE');
+
+    const applied = new Set((await tx.query<{ id: string }>('SELECT id FROM schema_migrations')).map(r => r.id));
+    const pending = MIGRATIONS.filter(m => !applied.has(m.id));
+
+    for (const migration of pending) {
+      await tx.query(migration.sql);
+      await tx.query('INSERT INTO schema_migrations (id, applied_at) VALUES ($1, now())', [migration.id]);
+    }
+
+    return pending.map(m => m.id);
+  });
+}
+
+// adapters/outbound/postgres/PostgresRouteRepository.ts
+
+const ROUTE_SORT_COLUMNS: Record<RouteSortKey, string> = {
+  routeId: 'r.route_id',
+  ghgIntensity: 'r.ghg_intensity',
+  totalEmissions: 'r.total_emissions',
+  distance: 'r.distance'
+};
+
+const ROUTES_FROM = 'FROM routes r LEFT JOIN vessels v ON v.id = r.ship_id';
+
+// ghg_intensity holds the route's effective intensity so it can be filtered and sorted on;
+// intensity_certified tells whether it is a certified value or computed from the fuel mix
+export class PostgresRouteRepository implements IRouteRepository {
+  constructor(private session: SqlSession) {}
+
+  async findAll(filters: RouteFilters = {}): Promise<Route[]> {
+    const where = this.where(filters);
+    const rows = await this.session.query(
+      `SELECT r.* ${ROUTES_FROM} ${where.toSql()} ORDER BY r.route_id`,
+      where.params
+    );
+    return this.hydrate(rows);
+  }
+
+  async findPage(filters: RouteFilters, sort: RouteSort, page: PageRequest): Promise<Page<Route>> {
+    const where = this.where(filters);
+    const [{ total }] = await this.session.query<{ total: string }>(
+      `SELECT COUNT(*) AS total ${ROUTES_FROM} ${where.toSql()}`,
+      where.params
+    );
+    const direction = sort.direction === 'desc' ? 'DESC' : 'ASC';
+    const limit = where.param(page.pageSize);
+    const offset = where.param((page.page - 1) * page.pageSize);
+    const rows = await this.session.query(
+      `SELECT r.* ${ROUTES_FROM} ${where.toSql()}
+       ORDER BY ${ROUTE_SORT_COLUMNS[sort.key]} ${direction}, r.route_id
+       LIMIT ${limit} OFFSET ${offset}`,
+      where.params
+    );
+
+    return {
+      items: await this.hydrate(rows),
+      page: page.page,
+      pageSize: page.pageSize,
+      total: toNumber(total)
+    };
+  }
+
+  async findFacets(filters: RouteFilters): Promise<RouteFacets> {
+    const where = this.where(filters);
+    const [row] = await this.session.query(
+      `SELECT
+         ARRAY(SELECT DISTINCT r.vessel_type ${ROUTES_FROM} ${where.toSql()} ORDER BY 1) AS vessel_types,
+         ARRAY(SELECT DISTINCT f.fuel_type ${ROUTES_FROM} JOIN route_fuels f ON f.route_id = r.id
+               ${where.toSql()} ORDER BY 1) AS fuel_types,
+         ARRAY(SELECT DISTINCT r.year ${ROUTES_FROM} ${where.toSql()} ORDER BY 1) AS years`,
+      where.params
+    );
+    return { vesselTypes: row.vessel_types, fuelTypes: row.fuel_types, years: row.years };
+  }
+
+  async findById(id: string): Promise<Route | null> {
+    const [route] = await this.hydrate(await this.session.query('SELECT * FROM routes WHERE id = $1', [id]));
+    return route ?? null;
+  }
+
+  async findByRouteId(routeId: string): Promise<Route | null> {
+    const [route] = await this.hydrate(
+      await this.session.query('SELECT * FROM routes WHERE route_id = $1', [routeId])
+    );
+    return route ?? null;
+  }
+
+  async findBaseline(): Promise<Route | null> {
+    const [route] = await this.hydrate(await this.session.query('SELECT * FROM routes WHERE is_baseline'));
+    return route ?? null;
+  }
+
+  async setBaseline(routeId: string): Promise<void> {
+    await this.session.query('UPDATE routes SET is_baseline = (route_id = $1)', [routeId]);
+  }
+
+  // Replaces the route and its fuel lines and legs. route_fuels always holds the voyage
+  // totals, so fuel type filters need no join through the legs.
+  async save(route: Route): Promise<void> {
+    await this.session.transaction(async tx => {
+      await tx.query(
+        `INSERT INTO routes (id, route_id, ship_id, vessel_type, year, ghg_intensity, intensity_certified,
+           distance, total_emissions, is_baseline, source_format, source_report_id, source_line, created_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, now())
+         ON CONFLICT (id) DO UPDATE SET
+           route_id = EXCLUDED.route_id, ship_id = EXCLUDED.ship_id, vessel_type = EXCLUDED.vessel_type,
+           year = EXCLUDED.year, ghg_intensity = EXCLUDED.ghg_intensity,
+           intensity_certified = EXCLUDED.intensity_certified, distance = EXCLUDED.distance,
+           total_emissions = EXCLUDED.total_emissions, is_baseline = EXCLUDED.is_baseline,
+           source_format = EXCLUDED.source_format, source_report_id = EXCLUDED.source_report_id,
+           source_line = EXCLUDED.source_line`,
+        [
+          route.id,
+          route.routeId,
+          route.shipId ?? null,
+          route.vesselType,
+          route.year,
+          route.ghgIntensity,
+          route.hasCertifiedIntensity,
+          route.distance,
+          route.calculateTotalEmissions(),
+          route.isBaseline,
+          route.source?.format ?? null,
+          route.source?.reportId ?? null,
+          route.source?.line ?? null
+        ]
+      );
+
+      await tx.query(
+        'DELETE FROM route_leg_fuels WHERE leg_id IN (SELECT id FROM route_legs WHERE route_id = $1)',
+        [route.id]
+      );
+      await tx.query('DELETE FROM route_legs WHERE route_id = $1', [route.id]);
+      await tx.query('DELETE FROM route_fuels WHERE route_id = $1', [route.id]);
+
+      for (const fuel of route.fuels) {
+        await tx.query(
+          'INSERT INTO route_fuels (id, route_id, fuel_type, fuel_consumption) VALUES ($1, $2, $3, $4)',
+          [crypto.randomUUID(), route.id, fuel.fuelType, fuel.consumption]
+        );
+      }
+
+      for (const [sequence, leg] of route.legs.entries()) {
+        const legId = crypto.randomUUID();
+        await tx.query(
+          `INSERT INTO route_legs (id, route_id, sequence, origin_port, origin_is_eu, origin_is_outermost,
+             destination_port, destination_is_eu, destination_is_outermost)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
+          [
+            legId,
+            route.id,
+            sequence,
+            leg.origin.code,
+            leg.origin.isEu,
+            leg.origin.isOutermostRegion,
+            leg.destination.code,
+            leg.destination.isEu,
+            leg.destination.isOutermostRegion
+          ]
+        );
+
+        const lines = [
+          ...leg.fuels.map(f => ({ segment: 'sea', ...f })),
+          ...leg.atBerthFuels.map(f => ({ segment: 'berth', ...f }))
+        ];
+        for (const line of lines) {
+          await tx.query(
+            `INSERT INTO route_leg_fuels (id, leg_id, segment, fuel_type, fuel_consumption)
+             VALUES ($1, $2, $3, $4, $5)`,
+            [crypto.randomUUID(), legId, line.segment, line.fuelType, line.consumption]
+          );
+        }
+      }
+    });
+  }
+
+  private where(filters: RouteFilters): SqlConditions {
+    const where = new SqlConditions();
+
+    if (filters.shipId) where.add(`r.ship_id = ${where.param(filters.shipId)}`);
+    if (filters.companyId) where.add(`v.company_id = ${where.param(filters.companyId)}`);
+    if (filters.vesselType) where.add(`r.vessel_type = ${where.param(filters.vesselType)}`);
+    if (filters.fuelType) {
+      where.add(
+        `EXISTS (SELECT 1 FROM route_fuels rf WHERE rf.route_id = r.id AND rf.fuel_type = ${where.param(filters.fuelType)})`
+      );
+    }
+    if (filters.year !== undefined) where.add(`r.year = ${where.param(filters.year)}`);
+    if (filters.search) {
+      const pattern = where.param(`%${escapeLike(filters.search)}%`);
+      where.add(`(r.route_id ILIKE ${pattern} OR r.ship_id ILIKE ${pattern} OR v.name ILIKE ${pattern})`);
+    }
+    if (filters.minIntensity !== undefined) where.add(`r.ghg_intensity >= ${where.param(filters.minIntensity)}`);
+    if (filters.maxIntensity !== undefined) where.add(`r.ghg_intensity <= ${where.param(filters.maxIntensity)}`);
+
+    return where;
+  }
+
+  // Loads the fuel lines and legs of the given route rows, keeping their order
+  private async hydrate(rows: any[]): Promise<Route[]> {
+    if (rows.length === 0) {
+      return [];
+    }
+
+    const ids = rows.map(r => r.id);
+    const fuelRows = await this.session.query(
+      'SELECT route_id, fuel_type, fuel_consumption FROM route_fuels WHERE route_id = ANY($1)',
+      [ids]
+    );
+    const legRows = await this.session.query(
+      'SELECT * FROM route_legs WHERE route_id = ANY($1) ORDER BY route_id, sequence',
+      [ids]
+    );
+    const legFuelRows = legRows.length > 0
+      ? await this.session.query(
+          'SELECT leg_id, segment, fuel_type, fuel_consumption FROM route_leg_fuels WHERE leg_id = ANY($1)',
+          [legRows.map(l => l.id)]
+        )
+      : [];
+
+    const toLine = (row: any): FuelConsumption => ({
+      fuelType: row.fuel_type,
+      consumption: toNumber(row.fuel_consumption)
+    });
+
+    return rows.map(row => {
+      const legs: VoyageLeg[] = legRows
+        .filter(leg => leg.route_id === row.id)
+        .map(leg => ({
+          origin: { code: leg.origin_port, isEu: leg.origin_is_eu, isOutermostRegion: leg.origin_is_outermost },
+          destination: {
+            code: leg.destination_port,
+            isEu: leg.destination_is_eu,
+            isOutermostRegion: leg.destination_is_outermost
+          },
+          fuels: legFuelRows.filter(f => f.leg_id === leg.id && f.segment === 'sea').map(toLine),
+          atBerthFuels: legFuelRows.filter(f => f.leg_id === leg.id && f.segment === 'berth').map(toLine)
+        }));
+
+      return Route.create({
+        id: row.id,
+        routeId: row.route_id,
+        shipId: row.ship_id ?? undefined,
+        vesselType: row.vessel_type,
+        // A leg route's fuel totals are derived from its legs again
+        ...(legs.length > 0
+          ? { legs }
+          : { fuels: fuelRows.filter(f => f.route_id === row.id).map(toLine) }),
+        year: row.year,
+        ghgIntensity: row.intensity_certified ? toNumber(row.ghg_intensity) : undefined,
+        distance: toNumber(row.distance),
+        isBaseline: row.is_baseline,
+        source: row.source_format
+          ? { format: row.source_format, reportId: row.source_report_id, line: row.source_line }
+          : undefined
+      });
+    });
+  }
+}
+
+// adapters/outbound/postgres/PostgresVesselRepository.ts
+
+export class PostgresVesselRepository implements IVesselRepository {
+  constructor(private session: SqlSession) {}
+
+  async findAll(filters: { companyId?: string } = {}): Promise<Vessel[]> {
+    const rows = filters.companyId
+      ? await this.session.query('SELECT * FROM vessels WHERE company_id = $1 ORDER BY id', [filters.companyId])
+      : await this.session.query('SELECT * FROM vessels ORDER BY id');
+    return rows.map(toVessel);
+  }
+
+  async findById(id: string): Promise<Vessel | null> {
+    const [row] = await this.session.query('SELECT * FROM vessels WHERE id = $1', [id]);
+    return row ? toVessel(row) : null;
+  }
+
+  async findByImoNumber(imoNumber: string): Promise<Vessel | null> {
+    const [row] = await this.session.query('SELECT * FROM vessels WHERE imo_number = $1', [imoNumber]);
+    return row ? toVessel(row) : null;
+  }
+
+  async save(vessel: Vessel): Promise<void> {
+    const props = vessel.toProps();
+    await this.session.query(
+      `INSERT INTO vessels (id, imo_number, name, vessel_type, gross_tonnage, ice_class, managing_company,
+         company_id, wind_power_kw, propulsion_power_kw)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+       ON CONFLICT (id) DO UPDATE SET
+         imo_number = EXCLUDED.imo_number, name = EXCLUDED.name, vessel_type = EXCLUDED.vessel_type,
+         gross_tonnage = EXCLUDED.gross_tonnage, ice_class = EXCLUDED.ice_class,
+         managing_company = EXCLUDED.managing_company, company_id = EXCLUDED.company_id,
+         wind_power_kw = EXCLUDED.wind_power_kw, propulsion_power_kw = EXCLUDED.propulsion_power_kw`,
+      [
+        props.id,
+        props.imoNumber,
+        props.name,
+        props.vesselType,
+        props.grossTonnage,
+        props.iceClass ?? null,
+        props.managingCompany,
+        props.companyId,
+        props.windPropulsion?.windPower ?? null,
+        props.windPropulsion?.propulsionPower ?? null
+      ]
+    );
+  }
+
+  async delete(id: string): Promise<void> {
+    await this.session.query('DELETE FROM vessels WHERE id = $1', [id]);
+  }
+}
+
+function toVessel(row: any): Vessel {
+  return Vessel.create({
+    id: row.id,
+    imoNumber: row.imo_number,
+    name: row.name,
+    vesselType: row.vessel_type,
+    grossTonnage: toNumber(row.gross_tonnage),
+    iceClass: row.ice_class ?? undefined,
+    managingCompany: row.managing_company,
+    companyId: row.company_id,
+    windPropulsion: row.propulsion_power_kw !== null
+      ? { windPower: toNumber(row.wind_power_kw), propulsionPower: toNumber(row.propulsion_power_kw) }
+      : undefined
+  });
+}
+
+// adapters/outbound/postgres/PostgresUserRepository.ts
+
+export class PostgresUserRepository implements IUserRepository {
+  constructor(private session: SqlSession) {}
+
+  async findByEmail(email: string): Promise<User | null> {
+    const [row] = await this.session.query('SELECT * FROM users WHERE email = $1', [email]);
+    return row
+      ? { id: row.id, email: row.email, passwordHash: row.password_hash, role: row.role, companyId: row.company_id }
+      : null;
+  }
+}
+
+// adapters/outbound/postgres/PostgresCompanyRepository.ts
+
+export class PostgresCompanyRepository implements ICompanyRepository {
+  constructor(private session: SqlSession) {}
+
+  async findById(id: string): Promise<Company | null> {
+    const [row] = await this.session.query('SELECT * FROM companies WHERE id = $1', [id]);
+    return row ? { id: row.id, name: row.name } : null;
+  }
+}
+
+// adapters/outbound/postgres/PostgresComplianceRepository.ts
+
+export class PostgresComplianceRepository implements IComplianceRepository {
+  constructor(private session: SqlSession) {}
+
+  // A recomputed period keeps its id and created_at
+  async save(record: Omit<ComplianceRecord, 'id' | 'createdAt'>): Promise<ComplianceRecord> {
+    const [row] = await this.session.query(
+      `INSERT INTO ship_compliance (id, ship_id, year, cb_gco2eq, ghg_intensity, fuel_ghg_intensity,
+         wind_reward_factor, energy_in_scope, route_id, status, created_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, now())
+       ON CONFLICT (ship_id, year) DO UPDATE SET
+         cb_gco2eq = EXCLUDED.cb_gco2eq, ghg_intensity = EXCLUDED.ghg_intensity,
+         fuel_ghg_intensity = EXCLUDED.fuel_ghg_intensity, wind_reward_factor = EXCLUDED.wind_reward_factor,
+         energy_in_scope = EXCLUDED.energy_in_scope, route_id = EXCLUDED.route_id, status = EXCLUDED.status
+       RETURNING *`,
+      [
+        crypto.randomUUID(),
+        record.shipId,
+        record.year,
+        record.cbGco2eq,
+        record.ghgIntensity,
+        record.fuelGhgIntensity,
+        record.windRewardFactor,
+        record.energyInScope,
+        record.routeId ?? null,
+        record.status
+      ]
+    );
+    return toComplianceRecord(row);
+  }
+
+  async findByShipAndYear(shipId: string, year: number): Promise<ComplianceRecord | null> {
+    const [row] = await this.session.query(
+      'SELECT * FROM ship_compliance WHERE ship_id = $1 AND year = $2',
+      [shipId, year]
+    );
+    return row ? toComplianceRecord(row) : null;
+  }
+
+  async findByShip(shipId: string): Promise<ComplianceRecord[]> {
+    const rows = await this.session.query('SELECT * FROM ship_compliance WHERE ship_id = $1 ORDER BY year', [shipId]);
+    return rows.map(toComplianceRecord);
+  }
+
+  // Banked surplus and last period's borrowing repaid leave the period;
+  // applied surplus, borrowing and the pool transfer enter it
+  async findAdjustedCB(shipId: string, year: number): Promise<number> {
+    const [row] = await this.session.query(
+      `SELECT c.cb_gco2eq
+         - COALESCE((SELECT SUM(e.amount_gco2eq) FROM bank_entries e
+                     WHERE e.ship_id = c.ship_id AND e.year = c.year), 0)
+         + COALESCE((SELECT SUM(a.amount_gco2eq) FROM bank_applications a
+                     JOIN bank_entries e ON e.id = a.bank_entry_id
+                     WHERE e.ship_id = c.ship_id AND a.year = c.year), 0)
+         + COALESCE((SELECT SUM(b.amount_gco2eq) FROM borrow_entries b
+                     WHERE b.ship_id = c.ship_id AND b.year = c.year), 0)
+         - COALESCE((SELECT SUM(b.repayment_gco2eq) FROM borrow_entries b
+                     WHERE b.ship_id = c.ship_id AND b.year = c.year - 1), 0)
+         + COALESCE((SELECT SUM(m.cb_after - m.cb_before) FROM pool_members m
+                     JOIN pools p ON p.id = m.pool_id
+                     WHERE m.ship_id = c.ship_id AND p.year = c.year AND p.status = ANY($3)), 0) AS adjusted
+       FROM ship_compliance c
+       WHERE c.ship_id = $1 AND c.year = $2`,
+      [shipId, year, [PoolStatus.ACTIVE, PoolStatus.LOCKED]]
+    );
+
+    if (!row) {
+      throw new NotFoundError('Compliance balance not found');
+    }
+
+    return toNumber(row.adjusted);
+  }
+
+  async updateStatus(shipId: string, year: number, status: ReportingPeriodStatus): Promise<void> {
+    await this.session.query(
+      'UPDATE ship_compliance SET status = $3 WHERE ship_id = $1 AND year = $2',
+      [shipId, year, status]
+    );
+  }
+}
+
+function toComplianceRecord(row: any): ComplianceRecord {
+  return {
+    id: row.id,
+    shipId: row.ship_id,
+    year: row.year,
+    cbGco2eq: toNumber(row.cb_gco2eq),
+    ghgIntensity: toNumber(row.ghg_intensity),
+    fuelGhgIntensity: toNumber(row.fuel_ghg_intensity),
+    windRewardFactor: toNumber(row.wind_reward_factor),
+    energyInScope: toNumber(row.energy_in_scope),
+    routeId: row.route_id ?? undefined,
+    status: row.status,
+    createdAt: row.created_at
+  };
+}
+
+// adapters/outbound/postgres/PostgresVerificationRepository.ts
+
+export class PostgresVerificationRepository implements IVerificationRepository {
+  constructor(private session: SqlSession) {}
+
+  async addEntry(entry: Omit<VerificationEntry, 'createdAt'>): Promise<void> {
+    await this.session.query(
+      `INSERT INTO verification_entries (id, ship_id, year, action, from_status, to_status, actor_id, role,
+         comment, created_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, now())`,
+      [
+        crypto.randomUUID(),
+        entry.shipId,
+        entry.year,
+        entry.action,
+        entry.fromStatus,
+        entry.toStatus,
+        entry.actorId,
+        entry.role,
+        entry.comment ?? null
+      ]
+    );
+  }
+
+  // Oldest first
+  async findEntries(shipId: string, year: number): Promise<VerificationEntry[]> {
+    const rows = await this.session.query(
+      'SELECT * FROM verification_entries WHERE ship_id = $1 AND year = $2 ORDER BY created_at, id',
+      [shipId, year]
+    );
+
+    return rows.map(row => ({
+      shipId: row.ship_id,
+      year: row.year,
+      action: row.action,
+      fromStatus: row.from_status,
+      toStatus: row.to_status,
+      actorId: row.actor_id,
+      role: row.role,
+      comment: row.comment ?? undefined,
+      createdAt: row.created_at
+    }));
+  }
+}
+
+// adapters/outbound/postgres/PostgresDocumentOfComplianceRepository.ts
+
+export class PostgresDocumentOfComplianceRepository implements IDocumentOfComplianceRepository {
+  constructor(private session: SqlSession) {}
+
+  async create(doc: Omit<DocumentOfCompliance, 'id' | 'issuedAt'>): Promise<DocumentOfCompliance> {
+    try {
+      const [row] = await this.session.query(
+        `INSERT INTO documents_of_compliance (id, ship_id, imo_number, year, cb_after, penalty_eur, issued_by,
+           issued_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, now())
+         RETURNING *`,
+        [crypto.randomUUID(), doc.shipId, doc.imoNumber, doc.year, doc.cbAfter, doc.penaltyEur, doc.issuedBy]
+      );
+      return toDocumentOfCompliance(row);
+    } catch (error) {
+      if (isUniqueViolation(error)) {
+        throw new ConflictError(`Document of Compliance already issued for ${doc.shipId} in ${doc.year}`);
+      }
+      throw error;
+    }
+  }
+
+  async findByShipAndYear(shipId: string, year: number): Promise<DocumentOfCompliance | null> {
+    const [row] = await this.session.query(
+      'SELECT * FROM documents_of_compliance WHERE ship_id = $1 AND year = $2',
+      [shipId, year]
+    );
+    return row ? toDocumentOfCompliance(row) : null;
+  }
+}
+
+function toDocumentOfCompliance(row: any): DocumentOfCompliance {
+  return {
+    id: row.id,
+    shipId: row.ship_id,
+    imoNumber: row.imo_number,
+    year: row.year,
+    cbAfter: toNumber(row.cb_after),
+    penaltyEur: toNumber(row.penalty_eur),
+    issuedBy: row.issued_by,
+    issuedAt: row.issued_at
+  };
+}
+
+// adapters/outbound/postgres/PostgresBankRepository.ts
+
+export class PostgresBankRepository implements IBankRepository {
+  constructor(private session: SqlSession) {}
+
+  async create(entry: { shipId: string; year: number; amountGco2eq: number }): Promise<void> {
+    await this.session.query(
+      `INSERT INTO bank_entries (id, ship_id, year, amount_gco2eq, applied_amount, created_at)
+       VALUES ($1, $2, $3, $4, 0, now())`,
+      [crypto.randomUUID(), entry.shipId, entry.year, entry.amountGco2eq]
+    );
+  }
+
+  async getTotalBanked(shipId: string, year: number): Promise<number> {
+    const [row] = await this.session.query(
+      'SELECT COALESCE(SUM(amount_gco2eq), 0) AS total FROM bank_entries WHERE ship_id = $1 AND year = $2',
+      [shipId, year]
+    );
+    return toNumber(row.total);
+  }
+
+  async getTotalApplied(shipId: string, year: number): Promise<number> {
+    const [row] = await this.session.query(
+      `SELECT COALESCE(SUM(a.amount_gco2eq), 0) AS total
+       FROM bank_applications a JOIN bank_entries e ON e.id = a.bank_entry_id
+       WHERE e.ship_id = $1 AND a.year = $2`,
+      [shipId, year]
+    );
+    return toNumber(row.total);
+  }
+
+  async findEntries(shipId: string): Promise<BankEntry[]> {
+    const rows = await this.session.query(
+      'SELECT * FROM bank_entries WHERE ship_id = $1 ORDER BY created_at, id',
+      [shipId]
+    );
+    return rows.map(row => ({
+      id: row.id,
+      shipId: row.ship_id,
+      year: row.year,
+      amountGco2eq: toNumber(row.amount_gco2eq),
+      appliedAmount: toNumber(row.applied_amount),
+      createdAt: row.created_at
+    }));
+  }
+
+  // The guarded update refuses to draw an entry below zero, whatever the caller read before
+  async applyFromEntry(entryId: string, targetYear: number, amount: number): Promise<void> {
+    await this.session.transaction(async tx => {
+      const updated = await tx.query(
+        `UPDATE bank_entries SET applied_amount = applied_amount + $2
+         WHERE id = $1 AND applied_amount + $2 <= amount_gco2eq
+         RETURNING id`,
+        [entryId, amount]
+      );
+
+      if (updated.length === 0) {
+        throw new ConflictError(`Bank entry ${entryId} has less surplus left than ${amount}`);
+      }
+
+      await tx.query(
+        `INSERT INTO bank_applications (id, bank_entry_id, year, amount_gco2eq, created_at)
+         VALUES ($1, $2, $3, $4, now())`,
+        [crypto.randomUUID(), entryId, targetYear, amount]
+      );
+    });
+  }
+
+  async createBorrowing(entry: BorrowEntry): Promise<void> {
+    try {
+      await this.session.query(
+        `INSERT INTO borrow_entries (id, ship_id, year, amount_gco2eq, repayment_gco2eq, created_at)
+         VALUES ($1, $2, $3, $4, $5, now())`,
+        [crypto.randomUUID(), entry.shipId, entry.year, entry.amountGco2eq, entry.repaymentGco2eq]
+      );
+    } catch (error) {
+      if (isUniqueViolation(error)) {
+        throw new ConflictError('Advance surplus already borrowed for this period');
+      }
+      throw error;
+    }
+  }
+
+  async findBorrowing(shipId: string, year: number): Promise<BorrowEntry | null> {
+    const [row] = await this.session.query(
+      'SELECT * FROM borrow_entries WHERE ship_id = $1 AND year = $2',
+      [shipId, year]
+    );
+    return row
+      ? {
+          shipId: row.ship_id,
+          year: row.year,
+          amountGco2eq: toNumber(row.amount_gco2eq),
+          repaymentGco2eq: toNumber(row.repayment_gco2eq)
+        }
+      : null;
+  }
+}
+
+// adapters/outbound/postgres/PostgresPoolRepository.ts
+
+// pool_companies records the member companies at creation, whose consent the pool needs
+export class PostgresPoolRepository implements IPoolRepository {
+  constructor(private session: SqlSession) {}
+
+  async create(pool: {
+    year: number;
+    members: PoolAllocation[];
+    companyIds: string[];
+    consents: PoolConsent[];
+    status: PoolStatus;
+  }): Promise<string> {
+    const id = crypto.randomUUID();
+
+    await this.session.transaction(async tx => {
+      await tx.query(
+        'INSERT INTO pools (id, year, status, created_at) VALUES ($1, $2, $3, now())',
+        [id, pool.year, pool.status]
+      );
+
+      for (const companyId of pool.companyIds) {
+        await tx.query('INSERT INTO pool_companies (pool_id, company_id) VALUES ($1, $2)', [id, companyId]);
+      }
+
+      for (const consent of pool.consents) {
+        await tx.query(
+          'INSERT INTO pool_consents (pool_id, company_id, user_id, consented_at) VALUES ($1, $2, $3, $4)',
+          [id, consent.companyId, consent.userId, consent.consentedAt]
+        );
+      }
+
+      for (const member of pool.members) {
+        await tx.query(
+          'INSERT INTO pool_members (id, pool_id, ship_id, cb_before, cb_after) VALUES ($1, $2, $3, $4, $5)',
+          [crypto.randomUUID(), id, member.shipId, member.cbBefore, member.cbAfter]
+        );
+      }
+    });
+
+    return id;
+  }
+
+  async findAll(filters: PoolFilters = {}): Promise<Pool[]> {
+    const where = new SqlConditions();
+
+    if (filters.year !== undefined) where.add(`p.year = ${where.param(filters.year)}`);
+    if (filters.companyId) {
+      where.add(
+        `EXISTS (SELECT 1 FROM pool_companies pc WHERE pc.pool_id = p.id AND pc.company_id = ${where.param(filters.companyId)})`
+      );
+    }
+
+    return this.hydrate(
+      await this.session.query(`SELECT p.* FROM pools p ${where.toSql()} ORDER BY p.created_at, p.id`, where.params)
+    );
+  }
+
+  async findById(id: string): Promise<Pool | null> {
+    const [pool] = await this.hydrate(await this.session.query('SELECT * FROM pools WHERE id = $1', [id]));
+    return pool ?? null;
+  }
+
+  async findActiveByShipAndYear(shipId: string, year: number): Promise<Pool | null> {
+    const [pool] = await this.hydrate(await this.session.query(
+      `SELECT p.* FROM pools p JOIN pool_members m ON m.pool_id = p.id
+       WHERE m.ship_id = $1 AND p.year = $2 AND p.status <> $3
+       LIMIT 1`,
+      [shipId, year, PoolStatus.CANCELLED]
+    ));
+    return pool ?? null;
+  }
+
+  async updateStatus(id: string, status: PoolStatus): Promise<void> {
+    await this.session.query('UPDATE pools SET status = $2 WHERE id = $1', [id, status]);
+  }
+
+  async addConsent(id: string, consent: PoolConsent): Promise<void> {
+    try {
+      await this.session.query(
+        'INSERT INTO pool_consents (pool_id, company_id, user_id, consented_at) VALUES ($1, $2, $3, $4)',
+        [id, consent.companyId, consent.userId, consent.consentedAt]
+      );
+    } catch (error) {
+      if (isUniqueViolation(error)) {
+        throw new ConflictError('Your company has already consented to this pool');
+      }
+      throw error;
+    }
+  }
+
+  private async hydrate(rows: any[]): Promise<Pool[]> {
+    if (rows.length === 0) {
+      return [];
+    }
+
+    const ids = rows.map(r => r.id);
+    const members = await this.session.query(
+      'SELECT * FROM pool_members WHERE pool_id = ANY($1) ORDER BY ship_id',
+      [ids]
+    );
+    const companies = await this.session.query(
+      'SELECT * FROM pool_companies WHERE pool_id = ANY($1) ORDER BY company_id',
+      [ids]
+    );
+    const consents = await this.session.query(
+      'SELECT * FROM pool_consents WHERE pool_id = ANY($1) ORDER BY consented_at',
+      [ids]
+    );
+
+    return rows.map(row => ({
+      id: row.id,
+      year: row.year,
+      status: row.status,
+      members: members
+        .filter(m => m.pool_id === row.id)
+        .map(m => ({ shipId: m.ship_id, cbBefore: toNumber(m.cb_before), cbAfter: toNumber(m.cb_after) })),
+      companyIds: companies.filter(c => c.pool_id === row.id).map(c => c.company_id),
+      consents: consents
+        .filter(c => c.pool_id === row.id)
+        .map(c => ({ companyId: c.company_id, userId: c.user_id, consentedAt: c.consented_at })),
+      createdAt: row.created_at
+    }));
+  }
+}
+
+// adapters/outbound/postgres/PostgresAuditRepository.ts
+
+export class PostgresAuditRepository implements IAuditRepository {
+  constructor(private session: SqlSession) {}
+
+  async append(event: AuditEvent): Promise<void> {
+    await this.session.query(
+      `INSERT INTO audit_events (id, type, entity, entity_id, ship_ids, actor_id, role, company_id,
+         request_id, before, after, occurred_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)`,
+      [
+        event.id,
+        event.type,
+        event.entity,
+        event.entityId,
+        event.shipIds,
+        event.actorId,
+        event.role,
+        event.companyId,
+        event.requestId,
+        JSON.stringify(event.before),
+        JSON.stringify(event.after),
+        event.occurredAt
+      ]
+    );
+  }
+
+  async find(filters: AuditFilters): Promise<AuditEvent[]> {
+    const where = new SqlConditions();
+
+    if (filters.entity) where.add(`entity = ${where.param(filters.entity)}`);
+    if (filters.shipId) where.add(`${where.param(filters.shipId)} = ANY(ship_ids)`);
+    if (filters.companyId) {
+      const companyId = where.param(filters.companyId);
+      where.add(
+        `(company_id = ${companyId} OR ship_ids && ARRAY(SELECT id FROM vessels WHERE company_id = ${companyId}))`
+      );
+    }
+    if (filters.from) where.add(`occurred_at >= ${where.param(filters.from)}`);
+    if (filters.to) where.add(`occurred_at <= ${where.param(filters.to)}`);
+
+    const rows = await this.session.query(
+      `SELECT * FROM audit_events ${where.toSql()} ORDER BY occurred_at, id`,
+      where.params
+    );
+
+    return rows.map(row => ({
+      id: row.id,
+      type: row.type,
+      entity: row.entity,
+      entityId: row.entity_id,
+      shipIds: row.ship_ids,
+      actorId: row.actor_id,
+      role: row.role,
+      companyId: row.company_id,
+      requestId: row.request_id,
+      before: row.before,
+      after: row.after,
+      occurredAt: row.occurred_at
+    }));
+  }
+}
+
+// adapters/outbound/postgres/PostgresIdempotencyRepository.ts
+
+export class PostgresIdempotencyRepository implements IIdempotencyRepository {
+  constructor(private session: SqlSession) {}
+
+  // The insert either takes the key, takes over an expired one, or leaves the holder in place
+  async claim(companyId: string, key: string, fingerprint: string): Promise<IdempotencyRecord | null> {
+    const claimed = await this.session.query(
+      `INSERT INTO idempotency_keys (company_id, key, fingerprint, created_at)
+       VALUES ($1, $2, $3, now())
+       ON CONFLICT (company_id, key) DO UPDATE SET
+         fingerprint = EXCLUDED.fingerprint, response_status = NULL, response_body = NULL, created_at = now()
+         WHERE idempotency_keys.created_at < now() - make_interval(hours => $4)
+       RETURNING key`,
+      [companyId, key, fingerprint, IDEMPOTENCY_KEY_TTL_HOURS]
+    );
+
+    if (claimed.length > 0) {
+      return null;
+    }
+
+    const [row] = await this.session.query(
+      'SELECT * FROM idempotency_keys WHERE company_id = $1 AND key = $2',
+      [companyId, key]
+    );
+
+    // Released in the meantime, so it is free again
+    if (!row) {
+      return this.claim(companyId, key, fingerprint);
+    }
+
+    return {
+      companyId: row.company_id,
+      key: row.key,
+      fingerprint: row.fingerprint,
+      response: row.response_status === null ? null : { status: row.response_status, body: row.response_body },
+      createdAt: row.created_at
+    };
+  }
+
+  async complete(companyId: string, key: string, response: IdempotentResponse): Promise<void> {
+    await this.session.query(
+      'UPDATE idempotency_keys SET response_status = $3, response_body = $4 WHERE company_id = $1 AND key = $2',
+      [companyId, key, response.status, JSON.stringify(response.body)]
+    );
+  }
+
+  async release(companyId: string, key: string): Promise<void> {
+    await this.session.query('DELETE FROM idempotency_keys WHERE company_id = $1 AND key = $2', [companyId, key]);
+  }
+}
+
+// adapters/outbound/postgres/PostgresUnitOfWork.ts
+
+// Lock keys become transaction-scoped advisory locks, so they need no row to exist
+// (e.g. a ship not yet in any pool). They are taken in sorted order, which rules out
+// deadlocks between units, and released at commit or rollback. Each statement then reads
+// what earlier units committed, as under READ COMMITTED every statement gets a fresh snapshot.
+export class PostgresUnitOfWork implements IUnitOfWork {
+  constructor(private session: SqlSession) {}
+
+  run<T>(lockKeys: string[], work: (repos: TransactionRepositories) => Promise<T>): Promise<T> {
+    return this.session.transaction(async tx => {
+      for (const key of [...new Set(lockKeys)].sort()) {
+        await tx.query('SELECT pg_advisory_xact_lock(hashtext($1))', [key]);
+      }
+
+      return work({
+        routeRepo: new PostgresRouteRepository(tx),
+        complianceRepo: new PostgresComplianceRepository(tx),
+        bankRepo: new PostgresBankRepository(tx),
+        poolRepo: new PostgresPoolRepository(tx),
+        auditRepo: new PostgresAuditRepository(tx),
+        verificationRepo: new PostgresVerificationRepository(tx),
+        docRepo: new PostgresDocumentOfComplianceRepository(tx)
+      });
+    });
+  }
+}
+
+// adapters/outbound/memory/InMemoryDatabase.ts
+
+export interface BankApplicationRow {
+  bankEntryId: string;
+  year: number;
+  amountGco2eq: number;
+}
+
+// Rows shared by the in-memory repositories, e.g. so the adjusted CB sees bank and pool writes.
+// Tables are replaced rather than changed in place, which lets a unit of work snapshot them
+// by reference; repositories hand out copies, never the stored rows.
+export class InMemoryDatabase {
+  companies: Company[] = [];
+  users: User[] = [];
+  routes: Route[] = [];
+  vessels: Vessel[] = [];
+  compliance: ComplianceRecord[] = [];
+  verificationEntries: VerificationEntry[] = [];
+  documentsOfCompliance: DocumentOfCompliance[] = [];
+  bankEntries: BankEntry[] = [];
+  bankApplications: BankApplicationRow[] = [];
+  borrowings: BorrowEntry[] = [];
+  pools: Pool[] = [];
+  auditEvents: AuditEvent[] = [];
+  idempotencyKeys: IdempotencyRecord[] = [];
+}
+
+// adapters/outbound/memory/InMemoryRouteRepository.ts
+
+const ROUTE_SORT_VALUES: Record<RouteSortKey, (route: Route) => string | number> = {
+  routeId: route => route.routeId,
+  ghgIntensity: route => route.ghgIntensity,
+  totalEmissions: route => route.calculateTotalEmissions(),
+  distance: route => route.distance
+};
+
+function compareValues(a: string | number, b: string | number): number {
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+export class InMemoryRouteRepository implements IRouteRepository {
+  constructor(private db: InMemoryDatabase) {}
+
+  async findAll(filters: RouteFilters = {}): Promise<Route[]> {
+    return this.db.routes
+      .filter(route => this.matches(route, filters))
+      .sort((a, b) => compareValues(a.routeId, b.routeId));
+  }
+
+  async findPage(filters: RouteFilters, sort: RouteSort, page: PageRequest): Promise<Page<Route>> {
+    const value = ROUTE_SORT_VALUES[sort.key];
+    const direction = sort.direction === 'desc' ? -1 : 1;
+    const routes = (await this.findAll(filters))
+      .sort((a, b) => direction * compareValues(value(a), value(b)) || compareValues(a.routeId, b.routeId));
+    const start = (page.page - 1) * page.pageSize;
+
+    return {
+      items: routes.slice(start, start + page.pageSize),
+      page: page.page,
+      pageSize: page.pageSize,
+      total: routes.length
+    };
+  }
+
+  async findFacets(filters: RouteFilters): Promise<RouteFacets> {
+    const routes = await this.findAll(filters);
+    return {
+      vesselTypes: [...new Set(routes.map(r => r.vesselType))].sort(),
+      fuelTypes: [...new Set(routes.flatMap(r => r.fuelTypes))].sort(),
+      years: [...new Set(routes.map(r => r.year))].sort((a, b) => a - b)
+    };
+  }
+
+  async findById(id: string): Promise<Route | null> {
+    return this.db.routes.find(r => r.id === id) ?? null;
+  }
+
+  async findByRouteId(routeId: string): Promise<Route | null> {
+    return this.db.routes.find(r => r.routeId === routeId) ?? null;
+  }
+
+  async findBaseline(): Promise<Route | null> {
+    return this.db.routes.find(r => r.isBaseline) ?? null;
+  }
+
+  // Routes are immutable, so the flag is changed by replacing them
+  async setBaseline(routeId: string): Promise<void> {
+    this.db.routes = this.db.routes.map(route =>
+      route.isBaseline === (route.routeId === routeId) ? route : withBaseline(route, !route.isBaseline)
+    );
+  }
+
+  async save(route: Route): Promise<void> {
+    this.db.routes = [...this.db.routes.filter(r => r.id !== route.id), route];
+  }
+
+  private matches(route: Route, filters: RouteFilters): boolean {
+    const vessel = this.db.vessels.find(v => v.id === route.shipId);
+    const search = filters.search?.toLowerCase();
+
+    return (
+      (!filters.shipId || route.shipId === filters.shipId) &&
+      (!filters.companyId || vessel?.companyId === filters.companyId) &&
+      (!filters.vesselType || route.vesselType === filters.vesselType) &&
+      (!filters.fuelType || route.fuelTypes.includes(filters.fuelType)) &&
+      (filters.year === undefined || route.year === filters.year) &&
+      (!search || [route.routeId, route.shipId, vessel?.name].some(text => text?.toLowerCase().includes(search))) &&
+      (filters.minIntensity === undefined || route.ghgIntensity >= filters.minIntensity) &&
+      (filters.maxIntensity === undefined || route.ghgIntensity <= filters.maxIntensity)
+    );
+  }
+}
+
+function withBaseline(route: Route, isBaseline: boolean): Route {
+  return Route.create({
+    id: route.id,
+    routeId: route.routeId,
+    shipId: route.shipId,
+    vesselType: route.vesselType,
+    ...(route.legs.length > 0 ? { legs: [...route.legs] } : { fuels: [...route.fuels] }),
+    year: route.year,
+    ghgIntensity: route.certifiedGhgIntensity,
+    distance: route.distance,
+    isBaseline,
+    source: route.source
+  });
+}
+
+// adapters/outbound/memory/InMemoryVesselRepository.ts
+
+export class InMemoryVesselRepository implements IVesselRepository {
+  constructor(private db: InMemoryDatabase) {}
+
+  async findAll(filters: { companyId?: string } = {}): Promise<Vessel[]> {
+    return this.db.vessels
+      .filter(v => !filters.companyId || v.companyId === filters.companyId)
+      .sort((a, b) => compareValues(a.id, b.id));
+  }
+
+  async findById(id: string): Promise<Vessel | null> {
+    return this.db.vessels.find(v => v.id === id) ?? null;
+  }
+
+  async findByImoNumber(imoNumber: string): Promise<Vessel | null> {
+    return this.db.vessels.find(v => v.imoNumber === imoNumber) ?? null;
+  }
+
+  async save(vessel: Vessel): Promise<void> {
+    this.db.vessels = [...this.db.vessels.filter(v => v.id !== vessel.id), vessel];
+  }
+
+  async delete(id: string): Promise<void> {
+    this.db.vessels = this.db.vessels.filter(v => v.id !== id);
+  }
+}
+
+// adapters/outbound/memory/InMemoryUserRepository.ts
+
+export class InMemoryUserRepository implements IUserRepository {
+  constructor(private db: InMemoryDatabase) {}
+
+  async findByEmail(email: string): Promise<User | null> {
+    const user = this.db.users.find(u => u.email === email);
+    return user ? { ...user } : null;
+  }
+}
+
+// adapters/outbound/memory/InMemoryCompanyRepository.ts
+
+export class InMemoryCompanyRepository implements ICompanyRepository {
+  constructor(private db: InMemoryDatabase) {}
+
+  async findById(id: string): Promise<Company | null> {
+    const company = this.db.companies.find(c => c.id === id);
+    return company ? { ...company } : null;
+  }
+}
+
+// adapters/outbound/memory/InMemoryComplianceRepository.ts
+
+export class InMemoryComplianceRepository implements IComplianceRepository {
+  constructor(private db: InMemoryDatabase) {}
+
+  // A recomputed period keeps its id and createdAt
+  async save(record: Omit<ComplianceRecord, 'id' | 'createdAt'>): Promise<ComplianceRecord> {
+    const existing = this.db.compliance.find(c => c.shipId === record.shipId && c.year === record.year);
+    const saved: ComplianceRecord = {
+      ...record,
+      id: existing?.id ?? crypto.randomUUID(),
+      createdAt: existing?.createdAt ?? new Date()
+    };
+
+    this.db.compliance = [...this.db.compliance.filter(c => c !== existing), saved];
+    return structuredClone(saved);
+  }
+
+  async findByShipAndYear(shipId: string, year: number): Promise<ComplianceRecord | null> {
+    const record = this.db.compliance.find(c => c.shipId === shipId && c.year === year);
+    return record ? structuredClone(record) : null;
+  }
+
+  async findByShip(shipId: string): Promise<ComplianceRecord[]> {
+    return structuredClone(
+      this.db.compliance.filter(c => c.shipId === shipId).sort((a, b) => a.year - b.year)
+    );
+  }
+
+  // Banked surplus and last period's borrowing repaid leave the period;
+  // applied surplus, borrowing and the pool transfer enter it
+  async findAdjustedCB(shipId: string, year: number): Promise<number> {
+    const record = this.db.compliance.find(c => c.shipId === shipId && c.year === year);
+
+    if (!record) {
+      throw new NotFoundError('Compliance balance not found');
+    }
+
+    const shipEntries = this.db.bankEntries.filter(e => e.shipId === shipId);
+    const banked = shipEntries
+      .filter(e => e.year === year)
+      .reduce((sum, e) => sum + e.amountGco2eq, 0);
+    const applied = this.db.bankApplications
+      .filter(a => a.year === year && shipEntries.some(e => e.id === a.bankEntryId))
+      .reduce((sum, a) => sum + a.amountGco2eq, 0);
+    const borrowed = this.db.borrowings
+      .filter(b => b.shipId === shipId && b.year === year)
+      .reduce((sum, b) => sum + b.amountGco2eq, 0);
+    const repaid = this.db.borrowings
+      .filter(b => b.shipId === shipId && b.year === year - 1)
+      .reduce((sum, b) => sum + b.repaymentGco2eq, 0);
+    const pooled = this.db.pools
+      .filter(p => p.year === year && (p.status === PoolStatus.ACTIVE || p.status === PoolStatus.LOCKED))
+      .flatMap(p => p.members.filter(m => m.shipId === shipId))
+      .reduce((sum, m) => sum + m.cbAfter - m.cbBefore, 0);
+
+    return record.cbGco2eq - banked + applied + borrowed - repaid + pooled;
+  }
+
+  async updateStatus(shipId: string, year: number, status: ReportingPeriodStatus): Promise<void> {
+    this.db.compliance = this.db.compliance.map(c =>
+      c.shipId === shipId && c.year === year ? { ...c, status } : c
+    );
+  }
+}
+
+// adapters/outbound/memory/InMemoryVerificationRepository.ts
+
+export class InMemoryVerificationRepository implements IVerificationRepository {
+  constructor(private db: InMemoryDatabase) {}
+
+  async addEntry(entry: Omit<VerificationEntry, 'createdAt'>): Promise<void> {
+    this.db.verificationEntries = [...this.db.verificationEntries, { ...entry, createdAt: new Date() }];
+  }
+
+  // Oldest first
+  async findEntries(shipId: string, year: number): Promise<VerificationEntry[]> {
+    return structuredClone(this.db.verificationEntries.filter(e => e.shipId === shipId && e.year === year));
+  }
+}
+
+// adapters/outbound/memory/InMemoryDocumentOfComplianceRepository.ts
+
+export class InMemoryDocumentOfComplianceRepository implements IDocumentOfComplianceRepository {
+  constructor(private db: InMemoryDatabase) {}
+
+  async create(doc: Omit<DocumentOfCompliance, 'id' | 'issuedAt'>): Promise<DocumentOfCompliance> {
+    if (this.db.documentsOfCompliance.some(d => d.shipId === doc.shipId && d.year === doc.year)) {
+      throw new ConflictError(`Document of Compliance already issued for ${doc.shipId} in ${doc.year}`);
+    }
+
+    const created = { ...doc, id: crypto.randomUUID(), issuedAt: new Date() };
+    this.db.documentsOfCompliance = [...this.db.documentsOfCompliance, created];
+    return { ...created };
+  }
+
+  async findByShipAndYear(shipId: string, year: number): Promise<DocumentOfCompliance | null> {
+    const doc = this.db.documentsOfCompliance.find(d => d.shipId === shipId && d.year === year);
+    return doc ? { ...doc } : null;
+  }
+}
+
+// adapters/outbound/memory/InMemoryBankRepository.ts
+
+export class InMemoryBankRepository implements IBankRepository {
+  constructor(private db: InMemoryDatabase) {}
+
+  async create(entry: { shipId: string; year: number; amountGco2eq: number }): Promise<void> {
+    this.db.bankEntries = [
+      ...this.db.bankEntries,
+      { ...entry, id: crypto.randomUUID(), appliedAmount: 0, createdAt: new Date() }
+    ];
+  }
+
+  async getTotalBanked(shipId: string, year: number): Promise<number> {
+    return this.db.bankEntries
+      .filter(e => e.shipId === shipId && e.year === year)
+      .reduce((sum, e) => sum + e.amountGco2eq, 0);
+  }
+
+  async getTotalApplied(shipId: string, year: number): Promise<number> {
+    const entryIds = new Set(this.db.bankEntries.filter(e => e.shipId === shipId).map(e => e.id));
+    return this.db.bankApplications
+      .filter(a => a.year === year && entryIds.has(a.bankEntryId))
+      .reduce((sum, a) => sum + a.amountGco2eq, 0);
+  }
+
+  async findEntries(shipId: string): Promise<BankEntry[]> {
+    return structuredClone(this.db.bankEntries.filter(e => e.shipId === shipId));
+  }
+
+  async applyFromEntry(entryId: string, targetYear: number, amount: number): Promise<void> {
+    const entry = this.db.bankEntries.find(e => e.id === entryId);
+
+    if (!entry || entry.appliedAmount + amount > entry.amountGco2eq) {
+      throw new ConflictError(`Bank entry ${entryId} has less surplus left than ${amount}`);
+    }
+
+    this.db.bankEntries = this.db.bankEntries.map(e =>
+      e === entry ? { ...e, appliedAmount: e.appliedAmount + amount } : e
+    );
+    this.db.bankApplications = [
+      ...this.db.bankApplications,
+      { bankEntryId: entryId, year: targetYear, amountGco2eq: amount }
+    ];
+  }
+
+  async createBorrowing(entry: BorrowEntry): Promise<void> {
+    if (this.db.borrowings.some(b => b.shipId === entry.shipId && b.year === entry.year)) {
+      throw new ConflictError('Advance surplus already borrowed for this period');
+    }
+
+    this.db.borrowings = [...this.db.borrowings, { ...entry }];
+  }
+
+  async findBorrowing(shipId: string, year: number): Promise<BorrowEntry | null> {
+    const entry = this.db.borrowings.find(b => b.shipId === shipId && b.year === year);
+    return entry ? { ...entry } : null;
+  }
+}
+
+// adapters/outbound/memory/InMemoryPoolRepository.ts
+
+export class InMemoryPoolRepository implements IPoolRepository {
+  constructor(private db: InMemoryDatabase) {}
+
+  async create(pool: {
+    year: number;
+    members: PoolAllocation[];
+    companyIds: string[];
+    consents: PoolConsent[];
+    status: PoolStatus;
+  }): Promise<string> {
+    const id = crypto.randomUUID();
+    this.db.pools = [...this.db.pools, structuredClone({ ...pool, id, createdAt: new Date() })];
+    return id;
+  }
+
+  async findAll(filters: PoolFilters = {}): Promise<Pool[]> {
+    return structuredClone(this.db.pools.filter(p =>
+      (filters.year === undefined || p.year === filters.year) &&
+      (!filters.companyId || p.companyIds.includes(filters.companyId))
+    ));
+  }
+
+  async findById(id: string): Promise<Pool | null> {
+    const pool = this.db.pools.find(p => p.id === id);
+    return pool ? structuredClone(pool) : null;
+  }
+
+  async findActiveByShipAndYear(shipId: string, year: number): Promise<Pool | null> {
+    const pool = this.db.pools.find(p =>
+      p.year === year && p.status !== PoolStatus.CANCELLED && p.members.some(m => m.shipId === shipId)
+    );
+    return pool ? structuredClone(pool) : null;
+  }
+
+  async updateStatus(id: string, status: PoolStatus): Promise<void> {
+    this.db.pools = this.db.pools.map(p => (p.id === id ? { ...p, status } : p));
+  }
+
+  async addConsent(id: string, consent: PoolConsent): Promise<void> {
+    const pool = this.db.pools.find(p => p.id === id);
+
+    if (pool?.consents.some(c => c.companyId === consent.companyId)) {
+      throw new ConflictError('Your company has already consented to this pool');
+    }
+
+    this.db.pools = this.db.pools.map(p =>
+      p.id === id ? { ...p, consents: [...p.consents, { ...consent }] } : p
+    );
+  }
+}
+
+// adapters/outbound/memory/InMemoryAuditRepository.ts
+
+export class InMemoryAuditRepository implements IAuditRepository {
+  constructor(private db: InMemoryDatabase) {}
+
+  async append(event: AuditEvent): Promise<void> {
+    this.db.auditEvents = [...this.db.auditEvents, structuredClone(event)];
+  }
+
+  async find(filters: AuditFilters): Promise<AuditEvent[]> {
+    const companyShipIds = new Set(
+      this.db.vessels.filter(v => v.companyId === filters.companyId).map(v => v.id)
+    );
+
+    return structuredClone(this.db.auditEvents.filter(e =>
+      (!filters.entity || e.entity === filters.entity) &&
+      (!filters.shipId || e.shipIds.includes(filters.shipId)) &&
+      (!filters.companyId || e.companyId === filters.companyId || e.shipIds.some(id => companyShipIds.has(id))) &&
+      (!filters.from || e.occurredAt >= filters.from) &&
+      (!filters.to || e.occurredAt <= filters.to)
+    ));
+  }
+}
+
+// adapters/outbound/memory/InMemoryIdempotencyRepository.ts
+
+export class InMemoryIdempotencyRepository implements IIdempotencyRepository {
+  constructor(private db: InMemoryDatabase) {}
+
+  async claim(companyId: string, key: string, fingerprint: string): Promise<IdempotencyRecord | null> {
+    const expiredBefore = Date.now() - IDEMPOTENCY_KEY_TTL_HOURS * 60 * 60 * 1000;
+    const existing = this.db.idempotencyKeys.find(r => r.companyId === companyId && r.key === key);
+
+    if (existing && existing.createdAt.getTime() >= expiredBefore) {
+      return structuredClone(existing);
+    }
+
+    this.db.idempotencyKeys = [
+      ...this.db.idempotencyKeys.filter(r => r !== existing),
+      { companyId, key, fingerprint, response: null, createdAt: new Date() }
+    ];
+    return null;
+  }
+
+  async complete(companyId: string, key: string, response: IdempotentResponse): Promise<void> {
+    this.db.idempotencyKeys = this.db.idempotencyKeys.map(r =>
+      r.companyId === companyId && r.key === key ? { ...r, response: structuredClone(response) } : r
+    );
+  }
+
+  async release(companyId: string, key: string): Promise<void> {
+    this.db.idempotencyKeys = this.db.idempotencyKeys.filter(r => !(r.companyId === companyId && r.key === key));
+  }
+}
+
+// adapters/outbound/memory/InMemoryUnitOfWork.ts
+
+// Units run one at a time whatever their lock keys. A failed unit puts back the tables
+// its repositories can write, as they were when it started.
+export class InMemoryUnitOfWork implements IUnitOfWork {
+  private queue: Promise<unknown> = Promise.resolve();
+
+  constructor(private db: InMemoryDatabase) {}
+
+  run<T>(_lockKeys: string[], work: (repos: TransactionRepositories) => Promise<T>): Promise<T> {
+    const result = this.queue.then(async () => {
+      const {
+        routes, compliance, bankEntries, bankApplications, borrowings, pools, auditEvents, verificationEntries,
+        documentsOfCompliance
+      } = this.db;
+
+      try {
+        return await work({
+          routeRepo: new InMemoryRouteRepository(this.db),
+          complianceRepo: new InMemoryComplianceRepository(this.db),
+          bankRepo: new InMemoryBankRepository(this.db),
+          poolRepo: new InMemoryPoolRepository(this.db),
+          auditRepo: new InMemoryAuditRepository(this.db),
+          verificationRepo: new InMemoryVerificationRepository(this.db),
+          docRepo: new InMemoryDocumentOfComplianceRepository(this.db)
+        });
+      } catch (error) {
+        Object.assign(this.db, {
+          routes, compliance, bankEntries, bankApplications, borrowings, pools, auditEvents, verificationEntries,
+          documentsOfCompliance
+        });
+        throw error;
+      }
+    });
+
+    this.queue = result.catch(() => undefined);
+    return result;
+  }
+}
+
+// adapters/inbound/http/requestContext.ts
+
+export const OPERATOR_ROLES = [UserRole.OPERATOR, UserRole.ADMIN];
+export const OVERSIGHT_ROLES = [UserRole.VERIFIER, UserRole.ADMIN];
+export const ADMIN_ROLES = [UserRole.ADMIN];
+
+// Set from the bearer token by AuthController.authenticate
+export function getActor(req: any): Actor {
+  if (!req.actor) {
+    throw new UnauthorizedError('Authentication required');
+  }
+  return req.actor;
+}
+
+// Reuses the gateway's X-Request-Id so audit events can be joined with access logs
+export function getRequestContext(req: any): RequestContext {
+  return {
+    actor: getActor(req),
+    requestId: req.headers['x-request-id'] ?? crypto.randomUUID()
+  };
+}
+
+// Returns the caller's context, or throws if their role may not perform the action
+export function authorize(req: any, roles: UserRole[] = Object.values(UserRole)): RequestContext {
+  const context = getRequestContext(req);
+
+  if (!roles.includes(context.actor.role)) {
+    throw new ForbiddenError(`Role ${context.actor.role} cannot ${req.method} ${req.path}`);
+  }
+
+  return context;
+}
+
+// adapters/inbound/http/errors.ts
+
+export interface FieldError {
+  field: string;   // e.g. "query.year" or "body.members[0].shipId"
+  message: string;
+}
+
+// The request does not match its route's schema; raised before any use case runs
+export class RequestValidationError extends Error {
+  constructor(public readonly details: FieldError[]) {
+    super('Request validation failed');
+    this.name = 'RequestValidationError';
+  }
+}
+
+// First match wins; anything not listed is an unexpected failure
+const ERROR_RESPONSES: Array<{ type: new (...args: any[]) => Error; status: number; code: string }> = [
+  { type: RequestValidationError, status: 400, code: 'INVALID_REQUEST' },
+  { type: UnauthorizedError, status: 401, code: 'UNAUTHORIZED' },
+  { type: ForbiddenError, status: 403, code: 'FORBIDDEN' },
+  { type: NotFoundError, status: 404, code: 'NOT_FOUND' },
+  { type: ConflictError, status: 409, code: 'CONFLICT' },
+  { type: ValidationError, status: 422, code: 'VALIDATION_ERROR' }
+];
+
+// Every error response has the body { code, message, details }
+export function sendError(res: any, error: unknown): void {
+  const match = ERROR_RESPONSES.find(({ type }) => error instanceof type);
+
+  if (!match) {
+    // Internal messages may expose storage details, so they are not returned; logging them is up to the caller
+    res.status(500).json({ code: 'INTERNAL_ERROR', message: 'Internal server error', details: [] });
+    return;
+  }
+
+  res.status(match.status).json({
+    code: match.code,
+    message: (error as Error).message,
+    details: error instanceof RequestValidationError ? error.details : []
+  });
+}
+
+// adapters/inbound/http/validation/schema.ts
+
+interface FieldOptions {
+  required?: boolean;
+  nullable?: boolean; // null is accepted and passed on, e.g. to clear an optional vessel field
+}
+
+export type FieldSchema = FieldOptions & (
+  | { type: 'string' }
+  | { type: 'enum'; values: readonly string[] }
+  | { type: 'integer'; min?: number; max?: number }
+  | { type: 'number'; positive?: boolean }
+  | { type: 'date' }
+  | { type: 'object'; fields: ObjectSchema }
+  | { type: 'array'; items: FieldSchema }
+);
+
+export type ObjectSchema = Record<string, FieldSchema>;
+
+export interface RequestSchema {
+  params?: ObjectSchema;
+  query?: ObjectSchema;
+  body?: ObjectSchema;
+  bodyText?: string; // a text/plain body is read as this body field
+}
+
+export interface ParsedRequest {
+  params: Record<string, any>;
+  query: Record<string, any>;
+  body: Record<string, any>;
+}
+
+// Path and query values arrive as strings, so numbers are coerced there but not in JSON bodies
+function checkValue(
+  value: any,
+  schema: FieldSchema,
+  path: string,
+  fromString: boolean,
+  errors: FieldError[]
+): any {
+  if (value === null && schema.nullable) {
+    return null;
+  }
+
+  if (value === null) {
+    errors.push({ field: path, message: 'must not be null' });
+    return undefined;
+  }
+
+  switch (schema.type) {
+    case 'string':
+      if (typeof value !== 'string') {
+        errors.push({ field: path, message: 'must be a string' });
+      } else if (schema.required && value.trim() === '') {
+        errors.push({ field: path, message: 'must not be empty' });
+      }
+      return value;
+
+    case 'enum':
+      if (!schema.values.includes(value)) {
+        errors.push({ field: path, message: `must be one of: ${schema.values.join(', ')}` });
+      }
+      return value;
+
+    case 'integer': {
+      const parsed = fromString && typeof value === 'string' && /^-?\d+$/.test(value) ? Number(value) : value;
+      if (!Number.isInteger(parsed)) {
+        errors.push({ field: path, message: 'must be an integer' });
+      } else if (schema.min !== undefined && parsed < schema.min) {
+        errors.push({ field: path, message: `must be at least ${schema.min}` });
+      } else if (schema.max !== undefined && parsed > schema.max) {
+        errors.push({ field: path, message: `must be at most ${schema.max}` });
+      }
+      return parsed;
+    }
+
+    case 'number': {
+      const parsed = fromString && typeof value === 'string' ? Number(value) : value;
+      if (typeof parsed !== 'number' || !Number.isFinite(parsed)) {
+        errors.push({ field: path, message: 'must be a number' });
+      } else if (schema.positive && parsed <= 0) {
+        errors.push({ field: path, message: 'must be positive' });
+      }
+      return parsed;
+    }
+
+    case 'date': {
+      const parsed = typeof value === 'string' ? new Date(value) : undefined;
+      if (!parsed || Number.isNaN(parsed.getTime())) {
+        errors.push({ field: path, message: 'must be an ISO 8601 date' });
+      }
+      return parsed;
+    }
+
+    case 'object':
+      if (typeof value !== 'object' || Array.isArray(value)) {
+        errors.push({ field: path, message: 'must be an object' });
+        return undefined;
+      }
+      return checkObject(value, schema.fields, path, fromString, errors);
+
+    case 'array':
+      if (!Array.isArray(value)) {
+        errors.push({ field: path, message: 'must be an array' });
+        return undefined;
+      }
+      return value.map((item, i) => checkValue(item, schema.items, `${path}[${i}]`, fromString, errors));
+  }
+}
+
+// Unknown keys are dropped; absent keys stay absent so partial updates can tell "unset" from "not sent"
+function checkObject(
+  input: Record<string, any>,
+  fields: ObjectSchema,
+  prefix: string,
+  fromString: boolean,
+  errors: FieldError[]
+): Record<string, any> {
+  const result: Record<string, any> = {};
+
+  for (const [key, schema] of Object.entries(fields)) {
+    const value = input[key];
+    const path = `${prefix}.${key}`;
+
+    if (value === undefined || (fromString && value === '')) {
+      if (schema.required) {
+        errors.push({ field: path, message: 'is required' });
+      }
+      continue;
+    }
+
+    result[key] = checkValue(value, schema, path, fromString, errors);
+  }
+
+  return result;
+}
+
+export function parseRequest(req: any, schema: RequestSchema): ParsedRequest {
+  const errors: FieldError[] = [];
+  let body = req.body ?? {};
+
+  if (typeof body === 'string' && schema.bodyText) {
+    body = { [schema.bodyText]: body };
+  }
+
+  if (typeof body !== 'object' || Array.isArray(body)) {
+    errors.push({ field: 'body', message: 'must be a JSON object' });
+    body = {};
+  }
+
+  const parsed = {
+    params: checkObject(req.params ?? {}, schema.params ?? {}, 'params', true, errors),
+    query: checkObject(req.query ?? {}, schema.query ?? {}, 'query', true, errors),
+    body: checkObject(body, schema.body ?? {}, 'body', false, errors)
+  };
+
+  if (errors.length > 0) {
+    throw new RequestValidationError(errors);
+  }
+
+  return parsed;
+}
+
+// Middleware: parses the request into req.input or answers 400
+export function validate(schema: RequestSchema) {
+  return (req: any, res: any, next: () => void): void => {
+    try {
+      req.input = parseRequest(req, schema);
+      next();
+    } catch (error) {
+      sendError(res, error);
+    }
+  };
+}
+
+// adapters/inbound/http/validation/requestSchemas.ts
+
+// Schemas check the shape of a request only; business rules stay in the use cases
+const SHIP_YEAR: ObjectSchema = {
+  shipId: { type: 'string', required: true },
+  year: { type: 'integer', required: true }
+};
+
+const ID: ObjectSchema = {
+  id: { type: 'string', required: true }
+};
+
+const VESSEL_FIELDS: ObjectSchema = {
+  id: { type: 'string', required: true },
+  imoNumber: { type: 'string', required: true },
+  name: { type: 'string', required: true },
+  vesselType: { type: 'enum', values: Object.values(VesselType), required: true },
+  grossTonnage: { type: 'number', positive: true, required: true },
+  iceClass: { type: 'enum', values: Object.values(IceClass), nullable: true },
+  managingCompany: { type: 'string', required: true },
+  windPropulsion: {
+    type: 'object',
+    nullable: true,
+    fields: {
+      windPower: { type: 'number', required: true },
+      propulsionPower: { type: 'number', required: true }
+    }
+  }
+};
+
+const FLEXIBILITY_COMMAND: ObjectSchema = {
+  ...SHIP_YEAR,
+  amount: { type: 'number', positive: true, required: true }
+};
+
+const POOL_COMMAND: ObjectSchema = {
+  year: { type: 'integer', required: true },
+  members: {
+    type: 'array',
+    required: true,
+    items: {
+      type: 'object',
+      fields: {
+        shipId: { type: 'string', required: true },
+        cbBefore: { type: 'number' }
+      }
+    }
+  },
+  strategy: { type: 'enum', values: Object.keys(POOL_ALLOCATION_STRATEGIES) }
+};
+
+const SCENARIO_CHANGE: FieldSchema = {
+  type: 'object',
+  fields: {
+    fromYear: { type: 'integer', required: true },
+    fuelMix: {
+      type: 'array',
+      items: {
+        type: 'object',
+        fields: {
+          fuelType: { type: 'enum', values: Object.values(FuelType), required: true },
+          energyShare: { type: 'number', positive: true, required: true }
+        }
+      }
+    },
+    consumptionChangePercent: { type: 'number' },
+    efficiencyGainPercent: { type: 'number' }
+  }
+};
+
+const SCENARIO_SIMULATION: ObjectSchema = {
+  shipId: { type: 'string', required: true },
+  scenarios: {
+    type: 'array',
+    required: true,
+    items: {
+      type: 'object',
+      fields: {
+        name: { type: 'string', required: true },
+        changes: { type: 'array', required: true, items: SCENARIO_CHANGE }
+      }
+    }
+  }
+};
+
+function optional(fields: ObjectSchema): ObjectSchema {
+  return Object.fromEntries(
+    Object.entries(fields).map(([key, field]) => [key, { ...field, required: false }])
+  );
+}
+
+export const REQUEST_SCHEMAS = {
+  login: {
+    body: {
+      email: { type: 'string', required: true },
+      password: { type: 'string', required: true }
+    }
+  },
+  listRoutes: {
+    query: {
+      vesselType: { type: 'enum', values: Object.values(VesselType) },
+      fuelType: { type: 'enum', values: Object.values(FuelType) },
+      year: { type: 'integer' },
+      search: { type: 'string' },
+      minIntensity: { type: 'number' },
+      maxIntensity: { type: 'number' },
+      sort: { type: 'enum', values: ['routeId', 'ghgIntensity', 'totalEmissions', 'distance'] },
+      order: { type: 'enum', values: ['asc', 'desc'] },
+      page: { type: 'integer', min: 1 },
+      pageSize: { type: 'integer', min: 1, max: MAX_ROUTE_PAGE_SIZE }
+    }
+  },
+  importRoutes: {
+    query: { mode: { type: 'enum', values: ['all-or-nothing', 'skip-invalid'] } },
+    body: { csv: { type: 'string', required: true } },
+    bodyText: 'csv'
+  },
+  importMrv: {
+    query: {
+      reportId: { type: 'string', required: true },
+      format: { type: 'enum', values: ['tabular', 'xml'] }
+    },
+    body: { content: { type: 'string', required: true } },
+    bodyText: 'content'
+  },
+  setBaseline: { params: ID },
+  compareRoutes: { query: { year: { type: 'integer' } } },
+  vessel: { params: ID },
+  createVessel: { body: VESSEL_FIELDS },
+  updateVessel: { params: ID, body: optional(VESSEL_FIELDS) },
+  shipYearQuery: { query: SHIP_YEAR },
+  adjustedCb: { query: { year: { type: 'integer', required: true } } },
+  timeline: {
+    query: {
+      shipId: { type: 'string', required: true },
+      from: { type: 'integer', required: true },
+      to: { type: 'integer', required: true }
+    }
+  },
+  period: { params: SHIP_YEAR },
+  transitionPeriod: {
+    params: {
+      ...SHIP_YEAR,
+      action: { type: 'enum', values: Object.keys(REPORTING_PERIOD_TRANSITIONS), required: true }
+    },
+    body: { comment: { type: 'string' } }
+  },
+  flexibilityCommand: { body: FLEXIBILITY_COMMAND },
+  bankRecords: { query: { shipId: { type: 'string', required: true } } },
+  poolCommand: { body: POOL_COMMAND },
+  listPools: { query: { year: { type: 'integer' } } },
+  pool: { params: ID },
+  shipReport: { params: SHIP_YEAR },
+  scenarioSimulation: { body: SCENARIO_SIMULATION },
+  audit: {
+    query: {
+      entity: { type: 'enum', values: Object.values(AuditEntity) },
+      shipId: { type: 'string' },
+      from: { type: 'date' },
+      to: { type: 'date' }
+    }
+  }
+} satisfies Record<string, RequestSchema>;
+
+// adapters/inbound/http/dto.ts
+
+// Response shapes of the HTTP API; the dashboard's API client is typed against these
+// and the use-case result types (ComparisonResult, PoolPreview, ...) the controllers return as-is
+
+export interface RouteDto {
+  routeId: string;
+  shipId: string | null;
+  vesselType: VesselType;
+  year: number;
+  ghgIntensity: number;
+  intensitySource: 'certified' | 'calculated';
+  fuelConsumption: number;
+  fuels: FuelBreakdown[];
+  totalEnergy: number;
+  energyInScope: number;
+  scopeSplit: ScopeSplit;
+  legs: Array<{ origin: string; destination: string; scopeFactor: number; berthScopeFactor: number }>;
+  distance: number;
+  totalEmissions: number;
+  isBaseline: boolean;
+  source: RouteSource | null;
+}
+
+export type RoutePageDto = Page<RouteDto>;
+
+export interface VesselDto {
+  id: string;
+  imoNumber: string;
+  name: string;
+  vesselType: VesselType;
+  grossTonnage: number;
+  iceClass: IceClass | null;
+  managingCompany: string;
+  companyId: string;
+  windPropulsion: { windPower: number; propulsionPower: number; rewardFactor: number } | null;
+  inScope: boolean;
+}
+
+export interface RegulationTargetsDto {
+  referenceIntensity: number;
+  targets: TargetIntensityEntry[];
+}
+
+export interface ErrorResponse {
+  code: string;
+  message: string;
+  details: FieldError[];
+}
+
+// adapters/inbound/http/controllers/RouteController.ts
+
+function toRouteDto(r: Route): RouteDto {
+  return {
+    routeId: r.routeId,
+    shipId: r.shipId ?? null,
+    vesselType: r.vesselType,
+    year: r.year,
+    ghgIntensity: r.ghgIntensity,
+    intensitySource: r.hasCertifiedIntensity ? 'certified' : 'calculated',
+    fuelConsumption: r.fuelConsumption,
+    fuels: r.getFuelBreakdown(),
+    totalEnergy: r.calculateTotalEnergy(),
+    energyInScope: r.calculateEnergyInScope(),
+    scopeSplit: r.getScopeSplit(),
+    legs: r.legs.map(leg => ({
+      origin: leg.origin.code,
+      destination: leg.destination.code,
+      scopeFactor: getVoyageScopeFactor(leg.origin, leg.destination),
+      berthScopeFactor: getBerthScopeFactor(leg.destination)
+    })),
+    distance: r.distance,
+    totalEmissions: r.calculateTotalEmissions(),
+    isBaseline: r.isBaseline,
+    source: r.source ?? null
+  };
+}
+
+export class RouteController {
+  constructor(
+    private listRoutesUseCase: ListRoutesUseCase,
+    private getRouteFacetsUseCase: GetRouteFacetsUseCase,
+    private setBaselineUseCase: SetBaselineUseCase,
+    private compareRoutesUseCase: CompareRoutesUseCase,
+    private importRoutesUseCase: ImportRoutesUseCase,
+    private importMrvReportUseCase: ImportMrvReportUseCase
+  ) {}
+
+  async getAll(req: any, res: any): Promise<void> {
+    try {
+      const { actor } = authorize(req);
+      const {
+        vesselType, fuelType, year, search, minIntensity, maxIntensity,
+        sort = 'routeId', order = 'asc', page = 1, pageSize = 25
+      } = req.input.query;
+      const filters: RouteFilters = {
+        companyId: actor.companyId,
+        vesselType,
+        fuelType,
+        year,
+        search,
+        minIntensity,
+        maxIntensity
+      };
+
+      const result = await this.listRoutesUseCase.execute(filters, { key: sort, direction: order }, { page, pageSize });
+      res.json({ ...result, items: result.items.map(toRouteDto) });
+    } catch (error) {
+      sendError(res, error);
+    }
+  }
+
+  async getFacets(req: any, res: any): Promise<void> {
+    try {
+      const { actor } = authorize(req);
+      const facets = await this.getRouteFacetsUseCase.execute(actor.companyId);
+      res.json(facets);
+    } catch (error) {
+      sendError(res, error);
+    }
+  }
+
+  async setBaseline(req: any, res: any): Promise<void> {
+    try {
+      const { id } = req.input.params;
+      // The baseline is shared by every company
+      await this.setBaselineUseCase.execute(id, authorize(req, ADMIN_ROLES));
+      res.json({ success: true, routeId: id });
+    } catch (error) {
+      sendError(res, error);
+    }
+  }
+
+  async importCsv(req: any, res: any): Promise<void> {
+    try {
+      const context = authorize(req, OPERATOR_ROLES);
+      // Accepts a text/csv body or JSON { csv }
+      const { csv } = req.input.body;
+      const mode: ImportMode = req.input.query.mode ?? 'all-or-nothing';
+
+      const result = await this.importRoutesUseCase.execute(parseCsv(csv), mode, context);
+      res.status(result.imported === 0 && result.rejected > 0 ? 422 : 200).json(result);
+    } catch (error) {
+      sendError(res, error);
+    }
+  }
+
+  async importMrv(req: any, res: any): Promise<void> {
+    try {
+      const context = authorize(req, OPERATOR_ROLES);
+      const { reportId, format } = req.input.query;
+      const { content } = req.input.body;
+
+      const records = format === 'xml' ? parseMrvXml(content) : parseMrvTabular(content);
+      const result = await this.importMrvReportUseCase.execute(
+        reportId,
+        format === 'xml' ? 'mrv-xml' : 'mrv-tabular',
+        records,
+        context
+      );
+      res.json(result);
+    } catch (error) {
+      sendError(res, error);
+    }
+  }
+
+  async getComparison(req: any, res: any): Promise<void> {
+    try {
+      const { actor } = authorize(req);
+      const result = await this.compareRoutesUseCase.execute(req.input.query.year, actor.companyId);
+      res.json(result);
+    } catch (error) {
+      sendError(res, error);
+    }
+  }
+}
+
+// adapters/inbound/http/controllers/ComplianceController.ts
+
+export class ComplianceController {
+  constructor(
+    private getComplianceBalanceUseCase: GetComplianceBalanceUseCase,
+    private getAdjustedCBUseCase: GetAdjustedCBUseCase,
+    private calculatePenaltyUseCase: CalculatePenaltyUseCase,
+    private checkRfnboSubTargetUseCase: CheckRfnboSubTargetUseCase,
+    private getCBBreakdownUseCase: GetCBBreakdownUseCase,
+    private getComplianceTimelineUseCase: GetComplianceTimelineUseCase,
+    private shipAccess: ShipAccess
+  ) {}
+
+  async getCB(req: any, res: any): Promise<void> {
+    try {
+      const { shipId, year } = req.input.query;
+      await this.shipAccess.assertCanAccess(authorize(req).actor, shipId);
+      const result = await this.getComplianceBalanceUseCase.execute(shipId, year);
+      res.json(result);
+    } catch (error) {
+      sendError(res, error);
+    }
+  }
+
+  async getAdjustedCB(req: any, res: any): Promise<void> {
+    try {
+      const { actor } = authorize(req);
+      const result = await this.getAdjustedCBUseCase.execute(actor.companyId, req.input.query.year);
+      res.json(result);
+    } catch (error) {
+      sendError(res, error);
+    }
+  }
+
+  async getBreakdown(req: any, res: any): Promise<void> {
+    try {
+      const { shipId, year } = req.input.query;
+      await this.shipAccess.assertCanAccess(authorize(req).actor, shipId);
+      const result = await this.getCBBreakdownUseCase.execute(shipId, year);
+      res.json(result);
+    } catch (error) {
+      sendError(res, error);
+    }
+  }
+
+  async getTimeline(req: any, res: any): Promise<void> {
+    try {
+      const { shipId, from, to } = req.input.query;
+      await this.shipAccess.assertCanAccess(authorize(req).actor, shipId);
+      const result = await this.getComplianceTimelineUseCase.execute(shipId, from, to);
+      res.json(result);
+    } catch (error) {
+      sendError(res, error);
+    }
+  }
+
+  async getRfnbo(req: any, res: any): Promise<void> {
+    try {
+      const { shipId, year } = req.input.query;
+      await this.shipAccess.assertCanAccess(authorize(req).actor, shipId);
+      const result = await this.checkRfnboSubTargetUseCase.execute(shipId, year);
+      res.json(result);
+    } catch (error) {
+      sendError(res, error);
+    }
+  }
+
+  async getPenalty(req: any, res: any): Promise<void> {
+    try {
+      const { shipId, year } = req.input.query;
+      await this.shipAccess.assertCanAccess(authorize(req).actor, shipId);
+      const result = await this.calculatePenaltyUseCase.execute(shipId, year);
+      res.json(result);
+    } catch (error) {
+      sendError(res, error);
+    }
+  }
+}
+
+// adapters/inbound/http/controllers/ReportingPeriodController.ts
+
+export class ReportingPeriodController {
+  constructor(
+    private transitionReportingPeriodUseCase: TransitionReportingPeriodUseCase,
+    private getReportingPeriodUseCase: GetReportingPeriodUseCase,
+    private issueDocumentOfComplianceUseCase: IssueDocumentOfComplianceUseCase,
+    private getDocumentOfComplianceUseCase: GetDocumentOfComplianceUseCase,
+    private shipAccess: ShipAccess
+  ) {}
+
+  async getPeriod(req: any, res: any): Promise<void> {
+    try {
+      const { shipId, year } = req.input.params;
+      await this.shipAccess.assertCanAccess(authorize(req).actor, shipId);
+      const result = await this.getReportingPeriodUseCase.execute(shipId, year);
+      res.json(result);
+    } catch (error) {
+      sendError(res, error);
+    }
+  }
+
+  async transition(req: any, res: any): Promise<void> {
+    try {
+      const { shipId, year, action } = req.input.params;
+      // Which role may take which action is part of the workflow itself
+      const context = authorize(req);
+      await this.shipAccess.assertCanAccess(context.actor, shipId);
+      const status = await this.transitionReportingPeriodUseCase.execute(
+        { shipId, year, action, comment: req.input.body.comment },
+        context
+      );
+      res.json({ success: true, shipId, year, status });
+    } catch (error) {
+      sendError(res, error);
+    }
+  }
+
+  async issueDocument(req: any, res: any): Promise<void> {
+    try {
+      const { shipId, year } = req.input.params;
+      const context = authorize(req, OVERSIGHT_ROLES);
+      await this.shipAccess.assertCanAccess(context.actor, shipId);
+      const doc = await this.issueDocumentOfComplianceUseCase.execute(shipId, year, context);
+      res.status(201).json(doc);
+    } catch (error) {
+      sendError(res, error);
+    }
+  }
+
+  async getDocument(req: any, res: any): Promise<void> {
+    try {
+      const { shipId, year } = req.input.params;
+      await this.shipAccess.assertCanAccess(authorize(req).actor, shipId);
+      const doc = await this.getDocumentOfComplianceUseCase.execute(shipId, year);
+      if (!doc) {
+        throw new NotFoundError('Document of Compliance not found');
+      }
+      res.json(doc);
+    } catch (error) {
+      sendError(res, error);
     }
+  }
+}
 
-    const allRoutes = await this.routeRepo.findAll();
-    const target = 89.3368; // 2% below 91.16
+// adapters/inbound/http/controllers/BankingController.ts
 
-    const comparisons = allRoutes
-      .filter(r => r.routeId !== baseline.routeId)
-      .map(route => {
-        const percentDiff = ((route.ghgIntensity / baseline.ghgIntensity) - 1) * 100;
-        const compliant = route.ghgIntensity <= target;
+export class BankingController {
+  constructor(
+    private bankSurplusUseCase: BankSurplusUseCase,
+    private applyBankedUseCase: ApplyBankedUseCase,
+    private borrowUseCase: BorrowUseCase,
+    private getBankLedgerUseCase: GetBankLedgerUseCase,
+    private shipAccess: ShipAccess
+  ) {}
 
-        return {
-          routeId: route.routeId,
-          ghgIntensity: route.ghgIntensity,
-          percentDiff,
-          compliant
-        };
-      });
+  async bankSurplus(req: any, res: any): Promise<void> {
+    try {
+      const { shipId, year, amount } = req.input.body;
+      const context = authorize(req, OPERATOR_ROLES);
+      await this.shipAccess.assertCanAccess(context.actor, shipId);
+      await this.bankSurplusUseCase.execute({ shipId, year, amount }, context);
+      res.json({ success: true, banked: amount });
+    } catch (error) {
+      sendError(res, error);
+    }
+  }
 
-    return {
-      baseline: {
-        routeId: baseline.routeId,
-        ghgIntensity: baseline.ghgIntensity
-      },
-      comparisons,
-      target
-    };
+  async applyBanked(req: any, res: any): Promise<void> {
+    try {
+      const { shipId, year, amount } = req.input.body;
+      const context = authorize(req, OPERATOR_ROLES);
+      await this.shipAccess.assertCanAccess(context.actor, shipId);
+      const result = await this.applyBankedUseCase.execute({ shipId, year, amount }, context);
+      res.json({ success: true, ...result });
+    } catch (error) {
+      sendError(res, error);
+    }
   }
-}
 
-// core/application/useCases/BankSurplusUseCase.ts
+  async getRecords(req: any, res: any): Promise<void> {
+    try {
+      const { shipId } = req.input.query;
+      await this.shipAccess.assertCanAccess(authorize(req).actor, shipId);
+      const result = await this.getBankLedgerUseCase.execute(shipId);
+      res.json(result);
+    } catch (error) {
+      sendError(res, error);
+    }
+  }
 
-export interface BankSurplusCommand {
-  shipId: string;
-  year: number;
-  amount: number;
+  async borrow(req: any, res: any): Promise<void> {
+    try {
+      const { shipId, year, amount } = req.input.body;
+      const context = authorize(req, OPERATOR_ROLES);
+      await this.shipAccess.assertCanAccess(context.actor, shipId);
+      const entry = await this.borrowUseCase.execute({ shipId, year, amount }, context);
+      res.json({ success: true, ...entry });
+    } catch (error) {
+      sendError(res, error);
+    }
+  }
 }
 
-export interface IBankRepository {
-  create(entry: { shipId: string; year: number; amountGco2eq: number }): Promise<void>;
-  getTotalBanked(shipId: string, year: number): Promise<number>;
-  applyBanked(shipId: string, year: number, amount: number): Promise<void>;
-}
+// adapters/inbound/http/controllers/PoolController.ts
 
-export class BankSurplusUseCase {
+export class PoolController {
   constructor(
-    private complianceRepo: IComplianceRepository,
-    private bankRepo: IBankRepository
+    private createPoolUseCase: CreatePoolUseCase,
+    private getPoolsUseCase: GetPoolsUseCase,
+    private getPoolUseCase: GetPoolUseCase,
+    private cancelPoolUseCase: CancelPoolUseCase,
+    private consentToPoolUseCase: ConsentToPoolUseCase
   ) {}
 
-  async execute(command: BankSurplusCommand): Promise<void> {
-    const cbRecord = await this.complianceRepo.findByShipAndYear(
-      command.shipId,
-      command.year
-    );
-
-    if (!cbRecord) {
-      throw new Error('Compliance balance not found');
+  async getAll(req: any, res: any): Promise<void> {
+    try {
+      const { actor } = authorize(req);
+      const pools = await this.getPoolsUseCase.execute({ year: req.input.query.year, companyId: actor.companyId });
+      res.json(pools);
+    } catch (error) {
+      sendError(res, error);
     }
+  }
 
-    if (cbRecord.cbGco2eq <= 0) {
-      throw new ValidationError('Cannot bank negative or zero CB');
+  async getById(req: any, res: any): Promise<void> {
+    try {
+      const { actor } = authorize(req);
+      const pool = await this.getPoolUseCase.execute(req.input.params.id);
+      if (!pool || !pool.companyIds.includes(actor.companyId)) {
+        throw new NotFoundError('Pool not found');
+      }
+      res.json(pool);
+    } catch (error) {
+      sendError(res, error);
     }
+  }
 
-    if (command.amount > cbRecord.cbGco2eq) {
-      throw new ValidationError('Amount exceeds available CB');
+  async cancel(req: any, res: any): Promise<void> {
+    try {
+      const { id } = req.input.params;
+      await this.cancelPoolUseCase.execute(id, authorize(req, OPERATOR_ROLES));
+      res.json({ success: true, poolId: id, status: PoolStatus.CANCELLED });
+    } catch (error) {
+      sendError(res, error);
     }
+  }
 
-    await this.bankRepo.create({
-      shipId: command.shipId,
-      year: command.year,
-      amountGco2eq: command.amount
-    });
+  async consent(req: any, res: any): Promise<void> {
+    try {
+      const { id } = req.input.params;
+      const status = await this.consentToPoolUseCase.execute(id, authorize(req, OPERATOR_ROLES));
+      res.json({ success: true, poolId: id, status });
+    } catch (error) {
+      sendError(res, error);
+    }
   }
-}
 
-// core/application/useCases/CreatePoolUseCase.ts
+  async createPool(req: any, res: any): Promise<void> {
+    try {
+      const { year, members, strategy } = req.input.body;
+      const result = await this.createPoolUseCase.execute({ year, members, strategy }, authorize(req, OPERATOR_ROLES));
+      res.status(201).json(result);
+    } catch (error) {
+      sendError(res, error);
+    }
+  }
 
-export interface PoolMemberInput {
-  shipId: string;
-  cbBefore: number;
+  async previewPool(req: any, res: any): Promise<void> {
+    try {
+      const { year, members, strategy } = req.input.body;
+      const { actor } = authorize(req, OPERATOR_ROLES);
+      const result = await this.createPoolUseCase.preview({ year, members, strategy }, actor);
+      res.json(result);
+    } catch (error) {
+      sendError(res, error);
+    }
+  }
 }
 
-export interface PoolAllocation {
-  shipId: string;
-  cbBefore: number;
-  cbAfter: number;
-}
+// adapters/inbound/http/controllers/VesselController.ts
 
-export interface CreatePoolCommand {
-  year: number;
-  members: PoolMemberInput[];
+function toVesselDto(v: Vessel): VesselDto {
+  return {
+    id: v.id,
+    imoNumber: v.imoNumber,
+    name: v.name,
+    vesselType: v.vesselType,
+    grossTonnage: v.grossTonnage,
+    iceClass: v.iceClass ?? null,
+    managingCompany: v.managingCompany,
+    companyId: v.companyId,
+    windPropulsion: v.windPropulsion
+      ? {
+          windPower: v.windPropulsion.windPower,
+          propulsionPower: v.windPropulsion.propulsionPower,
+          rewardFactor: v.windPropulsion.rewardFactor
+        }
+      : null,
+    inScope: v.isInScope()
+  };
 }
 
-export interface IPoolRepository {
-  create(pool: { year: number; members: PoolAllocation[] }): Promise<string>;
-}
+export class VesselController {
+  constructor(
+    private registerVesselUseCase: RegisterVesselUseCase,
+    private updateVesselUseCase: UpdateVesselUseCase,
+    private getVesselsUseCase: GetVesselsUseCase,
+    private getVesselUseCase: GetVesselUseCase,
+    private deleteVesselUseCase: DeleteVesselUseCase
+  ) {}
 
-export class CreatePoolUseCase {
-  constructor(private poolRepo: IPoolRepository) {}
+  async getAll(req: any, res: any): Promise<void> {
+    try {
+      const { actor } = authorize(req);
+      const vessels = await this.getVesselsUseCase.execute({ companyId: actor.companyId });
+      res.json(vessels.map(toVesselDto));
+    } catch (error) {
+      sendError(res, error);
+    }
+  }
 
-  async execute(command: CreatePoolCommand): Promise<{
-    poolId: string;
-    allocations: PoolAllocation[];
-  }> {
-    // Validate minimum members
-    if (command.members.length < 2) {
-      throw new ValidationError('Pool must have at least 2 members');
+  async getById(req: any, res: any): Promise<void> {
+    try {
+      const { actor } = authorize(req);
+      const vessel = await this.getVesselUseCase.execute(req.input.params.id);
+      if (!vessel || vessel.companyId !== actor.companyId) {
+        throw new NotFoundError('Vessel not found');
+      }
+      res.json(toVesselDto(vessel));
+    } catch (error) {
+      sendError(res, error);
     }
+  }
 
-    // Validate total CB >= 0
-    const totalCB = command.members.reduce((sum, m) => sum + m.cbBefore, 0);
-    
-    if (totalCB < 0) {
-      throw new ValidationError('Pool total CB must be non-negative');
+  async create(req: any, res: any): Promise<void> {
+    try {
+      const vessel = await this.registerVesselUseCase.execute(req.input.body, authorize(req, OPERATOR_ROLES));
+      res.status(201).json(toVesselDto(vessel));
+    } catch (error) {
+      sendError(res, error);
     }
+  }
 
-    // Perform greedy allocation
-    const allocations = this.greedyAllocate(command.members);
-    
-    // Validate pooling rules
-    this.validatePoolingRules(command.members, allocations);
-    
-    // Create pool in database
-    const poolId = await this.poolRepo.create({
-      year: command.year,
-      members: allocations
-    });
+  async update(req: any, res: any): Promise<void> {
+    try {
+      const vessel = await this.updateVesselUseCase.execute(req.input.params.id, req.input.body, authorize(req, OPERATOR_ROLES));
+      res.json(toVesselDto(vessel));
+    } catch (error) {
+      sendError(res, error);
+    }
+  }
 
-    return { poolId, allocations };
+  async delete(req: any, res: any): Promise<void> {
+    try {
+      const { id } = req.input.params;
+      await this.deleteVesselUseCase.execute(id, authorize(req, ADMIN_ROLES));
+      res.json({ success: true, id });
+    } catch (error) {
+      sendError(res, error);
+    }
   }
+}
 
-  private greedyAllocate(members: PoolMemberInput[]): PoolAllocation[] {
-    // Sort by CB descending (surplus first)
-    const sorted = [...members].sort((a, b) => b.cbBefore - a.cbBefore);
-    
-    const allocations: PoolAllocation[] = sorted.map(m => ({
-      shipId: m.shipId,
-      cbBefore: m.cbBefore,
-      cbAfter: m.cbBefore
-    }));
+// adapters/inbound/http/controllers/RegulationController.ts
 
-    // Transfer surplus to deficits
-    for (let i = 0; i < allocations.length; i++) {
-      if (allocations[i].cbAfter > 0) {
-        // Ship has surplus
-        for (let j = allocations.length - 1; j >= 0; j--) {
-          if (allocations[j].cbAfter < 0) {
-            // Ship has deficit
-            const transfer = Math.min(
-              allocations[i].cbAfter,
-              Math.abs(allocations[j].cbAfter)
-            );
-            
-            allocations[i].cbAfter -= transfer;
-            allocations[j].cbAfter += transfer;
-            
-            if (allocations[i].cbAfter === 0) break;
-          }
-        }
-      }
+export class RegulationController {
+  async getTargets(req: any, res: any): Promise<void> {
+    try {
+      res.json({
+        referenceIntensity: REFERENCE_GHG_INTENSITY,
+        targets: getTargetSchedule()
+      });
+    } catch (error) {
+      sendError(res, error);
     }
-
-    return allocations;
   }
+}
 
-  private validatePoolingRules(
-    original: PoolMemberInput[],
-    allocated: PoolAllocation[]
-  ): void {
-    const originalMap = new Map(original.map(m => [m.shipId, m.cbBefore]));
-
-    for (const alloc of allocated) {
-      const before = originalMap.get(alloc.shipId)!;
-      const after = alloc.cbAfter;
+// adapters/inbound/http/controllers/ReportController.ts
 
-      // Rule: Deficit ship cannot exit worse
-      if (before < 0 && after < before) {
-        throw new ValidationError(
-          `Ship ${alloc.shipId} would exit worse (${after} < ${before})`
-        );
-      }
+export class ReportController {
+  constructor(
+    private generateComplianceReportUseCase: GenerateComplianceReportUseCase,
+    private shipAccess: ShipAccess
+  ) {}
 
-      // Rule: Surplus ship cannot exit negative
-      if (before > 0 && after < 0) {
-        throw new ValidationError(
-          `Ship ${alloc.shipId} would exit negative (${after})`
-        );
-      }
+  async getShipReport(req: any, res: any): Promise<void> {
+    try {
+      const { shipId, year } = req.input.params;
+      await this.shipAccess.assertCanAccess(authorize(req).actor, shipId);
+      const report = await this.generateComplianceReportUseCase.execute(shipId, year);
+      res.setHeader('Content-Type', 'application/pdf');
+      res.setHeader('Content-Disposition', `attachment; filename="fueleu-report-${shipId}-${year}.pdf"`);
+      res.send(renderComplianceReportPdf(report));
+    } catch (error) {
+      sendError(res, error);
     }
   }
 }
 
-// ----- ADAPTER LAYER - HTTP CONTROLLERS -----
-// adapters/inbound/http/controllers/RouteController.ts
+// adapters/inbound/http/controllers/ScenarioController.ts
 
-export class RouteController {
+export class ScenarioController {
   constructor(
-    private getRoutesUseCase: { execute: (filters?: RouteFilters) => Promise<Route[]> },
-    private setBaselineUseCase: { execute: (routeId: string) => Promise<void> },
-    private compareRoutesUseCase: CompareRoutesUseCase
+    private simulateScenarioUseCase: SimulateScenarioUseCase,
+    private shipAccess: ShipAccess
   ) {}
 
+  async simulate(req: any, res: any): Promise<void> {
+    try {
+      const { shipId, scenarios } = req.input.body;
+      await this.shipAccess.assertCanAccess(authorize(req).actor, shipId);
+      const result = await this.simulateScenarioUseCase.execute(shipId, scenarios);
+      res.json(result);
+    } catch (error) {
+      sendError(res, error);
+    }
+  }
+}
+
+// adapters/inbound/http/controllers/AuditController.ts
+
+export class AuditController {
+  constructor(private getAuditTrailUseCase: GetAuditTrailUseCase) {}
+
   async getAll(req: any, res: any): Promise<void> {
     try {
-      const filters: RouteFilters = {
-        vesselType: req.query.vesselType,
-        fuelType: req.query.fuelType,
-        year: req.query.year ? parseInt(req.query.year) : undefined
-      };
+      const { actor } = authorize(req, OVERSIGHT_ROLES);
+      const { entity, shipId, from, to } = req.input.query;
+      const events = await this.getAuditTrailUseCase.execute({
+        entity,
+        shipId,
+        companyId: actor.companyId,
+        from,
+        to
+      });
+      res.json(events);
+    } catch (error) {
+      sendError(res, error);
+    }
+  }
+}
 
-      const routes = await this.getRoutesUseCase.execute(filters);
-      
-      res.json(routes.map(r => ({
-        routeId: r.routeId,
-        vesselType: r.vesselType,
-        fuelType: r.fuelType,
-        year: r.year,
-        ghgIntensity: r.ghgIntensity,
-        fuelConsumption: r.fuelConsumption,
-        distance: r.distance,
-        totalEmissions: r.calculateTotalEmissions(),
-        isBaseline: r.isBaseline
-      })));
+// adapters/inbound/http/controllers/AuthController.ts
+
+export class AuthController {
+  constructor(
+    private loginUseCase: LoginUseCase,
+    private tokenService: ITokenService
+  ) {}
+
+  async login(req: any, res: any): Promise<void> {
+    try {
+      const { email, password } = req.input.body;
+      const result = await this.loginUseCase.execute(email, password);
+      res.json(result);
     } catch (error) {
-      res.status(500).json({ error: (error as Error).message });
+      sendError(res, error);
     }
   }
 
-  async setBaseline(req: any, res: any): Promise<void> {
+  // Middleware: resolves the bearer token to req.actor or answers 401
+  authenticate(req: any, res: any, next: () => void): void {
+    const [scheme, token] = (req.headers.authorization ?? '').split(' ');
+
     try {
-      const { id } = req.params;
-      await this.setBaselineUseCase.execute(id);
-      res.json({ success: true, routeId: id });
+      if (scheme !== 'Bearer' || !token) {
+        throw new UnauthorizedError('Bearer token required');
+      }
+
+      req.actor = this.tokenService.verify(token);
+      next();
     } catch (error) {
-      res.status(400).json({ error: (error as Error).message });
+      sendError(res, error);
     }
   }
+}
+
+// adapters/inbound/http/controllers/IdempotencyController.ts
+
+// Visible ASCII, as in the IETF Idempotency-Key header draft
+const IDEMPOTENCY_KEY_PATTERN = /^[\x21-\x7e]{1,255}$/;
+
+export class IdempotencyController {
+  constructor(private idempotencyRepo: IIdempotencyRepository) {}
+
+  // Middleware: a repeated Idempotency-Key gets the stored response of its first request
+  // (marked Idempotent-Replayed) instead of running again. Without the header the request
+  // runs as usual.
+  async handle(req: any, res: any, next: () => void): Promise<void> {
+    const key = req.headers['idempotency-key'];
+
+    if (key === undefined) {
+      next();
+      return;
+    }
 
-  async getComparison(req: any, res: any): Promise<void> {
     try {
-      const result = await this.compareRoutesUseCase.execute();
-      res.json(result);
+      if (!IDEMPOTENCY_KEY_PATTERN.test(key)) {
+        throw new RequestValidationError([
+          { field: 'headers.idempotency-key', message: 'must be 1 to 255 visible ASCII characters' }
+        ]);
+      }
+
+      const { companyId } = getActor(req);
+      const fingerprint = createHash('sha256')
+        .update(JSON.stringify([req.method, req.path, req.input?.body ?? null]))
+        .digest('hex');
+      const existing = await this.idempotencyRepo.claim(companyId, key, fingerprint);
+
+      if (!existing) {
+        this.storeResponse(res, companyId, key);
+        next();
+        return;
+      }
+
+      if (existing.fingerprint !== fingerprint) {
+        throw new ValidationError('Idempotency-Key was already used for a different request');
+      }
+
+      if (!existing.response) {
+        throw new ConflictError('A request with this Idempotency-Key is still in progress');
+      }
+
+      res.set('Idempotent-Replayed', 'true');
+      res.status(existing.response.status).json(existing.response.body);
     } catch (error) {
-      res.status(500).json({ error: (error as Error).message });
+      sendError(res, error);
+    }
+  }
+
+  // Stores the response before sending it, so a retry never finds the key still running.
+  // A server error frees the key instead, as the request may succeed when retried.
+  // A key left claimed is answered through sendError, never with the original response.
+  private storeResponse(res: any, companyId: string, key: string): void {
+    const send = res.json.bind(res);
+
+    res.json = (body: unknown) => {
+      // The error answer below goes out as is
+      res.json = send;
+      const status = res.statusCode;
+      const stored = status >= 500
+        ? this.idempotencyRepo.release(companyId, key)
+        : this.saveResponse(companyId, key, { status, body });
+
+      stored.then(() => send(body), error => sendError(res, error));
+      return res;
+    };
+  }
+
+  // A key that cannot be completed is freed, so retries are not refused as still in progress.
+  // Rejects only when the key stays claimed.
+  private async saveResponse(companyId: string, key: string, response: IdempotentResponse): Promise<void> {
+    try {
+      await this.idempotencyRepo.complete(companyId, key, response);
+    } catch {
+      await this.idempotencyRepo.release(companyId, key);
     }
   }
 }
@@ -499,27 +6841,105 @@ export class RouteController {
 // adapters/inbound/http/routes/index.ts
 
 export function setupRoutes(app: any, controllers: any) {
+  // Routes that take input are checked against REQUEST_SCHEMAS before their controller runs
+
+  // Goes after validate, so a request is fingerprinted by its parsed body
+  const idempotent = (req: any, res: any, next: any) => 
+    controllers.idempotency.handle(req, res, next);
+
+  // Authentication; every route registered below requires a bearer token
+  app.post('/auth/login', validate(REQUEST_SCHEMAS.login), (req: any, res: any) => 
+    controllers.auth.login(req, res));
+  app.use((req: any, res: any, next: any) => 
+    controllers.auth.authenticate(req, res, next));
+
   // Routes
-  app.get('/routes', (req: any, res: any) => 
+  app.get('/routes', validate(REQUEST_SCHEMAS.listRoutes), (req: any, res: any) => 
     controllers.route.getAll(req, res));
-  app.post('/routes/:id/baseline', (req: any, res: any) => 
+  app.get('/routes/facets', (req: any, res: any) => 
+    controllers.route.getFacets(req, res));
+  app.post('/routes/import', validate(REQUEST_SCHEMAS.importRoutes), (req: any, res: any) => 
+    controllers.route.importCsv(req, res));
+  app.post('/routes/import/mrv', validate(REQUEST_SCHEMAS.importMrv), (req: any, res: any) => 
+    controllers.route.importMrv(req, res));
+  app.post('/routes/:id/baseline', validate(REQUEST_SCHEMAS.setBaseline), (req: any, res: any) => 
     controllers.route.setBaseline(req, res));
-  app.get('/routes/comparison', (req: any, res: any) => 
+  app.get('/routes/comparison', validate(REQUEST_SCHEMAS.compareRoutes), (req: any, res: any) => 
     controllers.route.getComparison(req, res));
 
+  // Vessels
+  app.get('/vessels', (req: any, res: any) => 
+    controllers.vessel.getAll(req, res));
+  app.get('/vessels/:id', validate(REQUEST_SCHEMAS.vessel), (req: any, res: any) => 
+    controllers.vessel.getById(req, res));
+  app.post('/vessels', validate(REQUEST_SCHEMAS.createVessel), (req: any, res: any) => 
+    controllers.vessel.create(req, res));
+  app.put('/vessels/:id', validate(REQUEST_SCHEMAS.updateVessel), (req: any, res: any) => 
+    controllers.vessel.update(req, res));
+  app.delete('/vessels/:id', validate(REQUEST_SCHEMAS.vessel), (req: any, res: any) => 
+    controllers.vessel.delete(req, res));
+
+  // Regulation
+  app.get('/regulation/targets', (req: any, res: any) => 
+    controllers.regulation.getTargets(req, res));
+
   // Compliance
-  app.get('/compliance/cb', (req: any, res: any) => 
+  app.get('/compliance/cb', validate(REQUEST_SCHEMAS.shipYearQuery), (req: any, res: any) => 
     controllers.compliance.getCB(req, res));
-  app.get('/compliance/adjusted-cb', (req: any, res: any) => 
+  app.get('/compliance/adjusted-cb', validate(REQUEST_SCHEMAS.adjustedCb), (req: any, res: any) => 
     controllers.compliance.getAdjustedCB(req, res));
+  app.get('/compliance/breakdown', validate(REQUEST_SCHEMAS.shipYearQuery), (req: any, res: any) => 
+    controllers.compliance.getBreakdown(req, res));
+  app.get('/compliance/timeline', validate(REQUEST_SCHEMAS.timeline), (req: any, res: any) => 
+    controllers.compliance.getTimeline(req, res));
+  app.get('/compliance/penalty', validate(REQUEST_SCHEMAS.shipYearQuery), (req: any, res: any) => 
+    controllers.compliance.getPenalty(req, res));
+  app.get('/compliance/rfnbo', validate(REQUEST_SCHEMAS.shipYearQuery), (req: any, res: any) => 
+    controllers.compliance.getRfnbo(req, res));
+
+  // Reporting periods
+  app.get('/compliance/periods/:shipId/:year', validate(REQUEST_SCHEMAS.period), (req: any, res: any) => 
+    controllers.reportingPeriod.getPeriod(req, res));
+  app.post('/compliance/periods/:shipId/:year/document', validate(REQUEST_SCHEMAS.period), (req: any, res: any) => 
+    controllers.reportingPeriod.issueDocument(req, res));
+  app.get('/compliance/periods/:shipId/:year/document', validate(REQUEST_SCHEMAS.period), (req: any, res: any) => 
+    controllers.reportingPeriod.getDocument(req, res));
+  app.post('/compliance/periods/:shipId/:year/:action', validate(REQUEST_SCHEMAS.transitionPeriod), (req: any, res: any) => 
+    controllers.reportingPeriod.transition(req, res));
 
   // Banking
-  app.post('/banking/bank', (req: any, res: any) => 
+  app.post('/banking/bank', validate(REQUEST_SCHEMAS.flexibilityCommand), idempotent, (req: any, res: any) => 
     controllers.banking.bankSurplus(req, res));
-  app.post('/banking/apply', (req: any, res: any) => 
+  app.post('/banking/apply', validate(REQUEST_SCHEMAS.flexibilityCommand), idempotent, (req: any, res: any) => 
     controllers.banking.applyBanked(req, res));
+  app.post('/banking/borrow', validate(REQUEST_SCHEMAS.flexibilityCommand), (req: any, res: any) => 
+    controllers.banking.borrow(req, res));
+  app.get('/banking/records', validate(REQUEST_SCHEMAS.bankRecords), (req: any, res: any) => 
+    controllers.banking.getRecords(req, res));
 
   // Pooling
-  app.post('/pools', (req: any, res: any) => 
+  app.post('/pools', validate(REQUEST_SCHEMAS.poolCommand), idempotent, (req: any, res: any) => 
     controllers.pool.createPool(req, res));
+  app.post('/pools/preview', validate(REQUEST_SCHEMAS.poolCommand), (req: any, res: any) => 
+    controllers.pool.previewPool(req, res));
+  app.get('/pools', validate(REQUEST_SCHEMAS.listPools), (req: any, res: any) => 
+    controllers.pool.getAll(req, res));
+  app.get('/pools/:id', validate(REQUEST_SCHEMAS.pool), (req: any, res: any) => 
+    controllers.pool.getById(req, res));
+  app.post('/pools/:id/cancel', validate(REQUEST_SCHEMAS.pool), (req: any, res: any) => 
+    controllers.pool.cancel(req, res));
+  app.post('/pools/:id/consent', validate(REQUEST_SCHEMAS.pool), (req: any, res: any) => 
+    controllers.pool.consent(req, res));
+
+  // Reports
+  app.get('/reports/ship/:shipId/:year.pdf', validate(REQUEST_SCHEMAS.shipReport), (req: any, res: any) => 
+    controllers.report.getShipReport(req, res));
+
+  // Scenarios; a simulation only reads, so it is open to every role
+  app.post('/scenarios/simulate', validate(REQUEST_SCHEMAS.scenarioSimulation), (req: any, res: any) => 
+    controllers.scenario.simulate(req, res));
+
+  // Audit
+  app.get('/audit', validate(REQUEST_SCHEMAS.audit), (req: any, res: any) => 
+    controllers.audit.getAll(req, res));
 }
\ No newline at end of file
@@ -1,182 +1,423 @@
-import React, { useState, useEffect } from 'react';
-import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
-import { Ship, TrendingDown, Droplet, Users, CheckCircle, XCircle, AlertCircle } from 'lucide-react';
-
-// Mock API client (replace with actual API calls)
-const api = {
-  getRoutes: async () => [
-    { routeId: 'R001', vesselType: 'Container', fuelType: 'HFO', year: 2024, ghgIntensity: 91.0, fuelConsumption: 5000, distance: 12000, totalEmissions: 4500, isBaseline: false },
-    { routeId: 'R002', vesselType: 'BulkCarrier', fuelType: 'LNG', year: 2024, ghgIntensity: 88.0, fuelConsumption: 4800, distance: 11500, totalEmissions: 4200, isBaseline: true },
-    { routeId: 'R003', vesselType: 'Tanker', fuelType: 'MGO', year: 2024, ghgIntensity: 93.5, fuelConsumption: 5100, distance: 12500, totalEmissions: 4700, isBaseline: false },
-    { routeId: 'R004', vesselType: 'RoRo', fuelType: 'HFO', year: 2025, ghgIntensity: 89.2, fuelConsumption: 4900, distance: 11800, totalEmissions: 4300, isBaseline: false },
-    { routeId: 'R005', vesselType: 'Container', fuelType: 'LNG', year: 2025, ghgIntensity: 90.5, fuelConsumption: 4950, distance: 11900, totalEmissions: 4400, isBaseline: false }
-  ],
-  setBaseline: async (routeId) => ({ success: true, routeId }),
-  getComparison: async () => ({
-    baseline: { routeId: 'R002', ghgIntensity: 88.0 },
-    comparisons: [
-      { routeId: 'R001', ghgIntensity: 91.0, percentDiff: 3.41, compliant: false },
-      { routeId: 'R003', ghgIntensity: 93.5, percentDiff: 6.25, compliant: false },
-      { routeId: 'R004', ghgIntensity: 89.2, percentDiff: 1.36, compliant: false },
-      { routeId: 'R005', ghgIntensity: 90.5, percentDiff: 2.84, compliant: false }
-    ]
-  }),
-  getCB: async (year) => ({ year, cbBefore: 1250.5, banked: 500, cbAfter: 750.5 }),
-  bankCB: async (amount) => ({ success: true, banked: amount }),
-  applyBanked: async (amount) => ({ success: true, applied: amount }),
-  getAdjustedCB: async (year) => [
-    { shipId: 'S001', cbBefore: 1250.5, cbAfter: 1250.5 },
-    { shipId: 'S002', cbBefore: -800.0, cbAfter: -800.0 },
-    { shipId: 'S003', cbBefore: 500.0, cbAfter: 500.0 }
-  ],
-  createPool: async (members) => ({ success: true, poolId: 'P001', members })
+import React, { useState, useEffect, useRef } from 'react';
+import { BarChart, ComposedChart, Bar, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
+import { Ship, TrendingDown, Droplet, Users, CheckCircle, XCircle, AlertCircle, Upload, Download, History, CalendarRange, FlaskConical, LogIn, LogOut, ArrowUp, ArrowDown } from 'lucide-react';
+import { createApiClient } from './apiClient';
+import { mockApi } from './mockApi';
+
+const OPERATOR_ROLES = ['operator', 'admin'];
+const OVERSIGHT_ROLES = ['verifier', 'admin'];
+// The backend accepts reporting years 2025 to 2050; the year tabs open on the first one
+const REPORTING_YEARS = { from: 2025, to: 2050 };
+// Default range of the timeline tab
+const TIMELINE_RANGE = { from: 2025, to: 2030 };
+// Tabs whose figures are for a single reporting year
+const YEAR_TABS = ['compare', 'banking', 'pooling'];
+const VESSEL_TYPE_LABELS = { BulkCarrier: 'Bulk Carrier' };
+const RFNBO_FUELS = ['e-Methanol', 'e-Ammonia'];
+const FUEL_TYPES = ['HFO', 'LNG', 'MGO', 'Bio-LNG', ...RFNBO_FUELS];
+const MAX_SCENARIOS = 5;
+const SCENARIO_COLORS = ['#6366f1', '#10b981', '#f59e0b', '#ef4444', '#8b5cf6'];
+// Form values are strings; a fuel mix is kept as percent per fuel type
+const EMPTY_SCENARIO_CHANGE = { fromYear: '2030', fuelMix: {}, consumptionChangePercent: '', efficiencyGainPercent: '' };
+const INITIAL_SCENARIOS = [
+  { name: 'Current fuel mix', changes: [] },
+  { name: '30% Bio-LNG from 2030', changes: [{ ...EMPTY_SCENARIO_CHANGE, fuelMix: { HFO: '70', 'Bio-LNG': '30' } }] }
+];
+const INITIAL_ROUTE_QUERY = {
+  vesselType: '', fuelType: '', year: '', search: '', minIntensity: '', maxIntensity: '',
+  sort: 'routeId', order: 'asc', page: 1, pageSize: 25
 };
 
-const TARGET_INTENSITY = 89.3368;
+// VITE_API_MODE=mock runs the dashboard against in-memory fixtures for UI work
+const api = import.meta.env.VITE_API_MODE === 'mock'
+  ? mockApi
+  : createApiClient({ baseUrl: import.meta.env.VITE_API_URL ?? 'http://localhost:3000' });
 
 function App() {
+  const [session, setSession] = useState(null);
   const [activeTab, setActiveTab] = useState('routes');
-  const [routes, setRoutes] = useState([]);
+  const [routeQuery, setRouteQuery] = useState(INITIAL_ROUTE_QUERY);
+  const [routePage, setRoutePage] = useState(null);
+  const [routeFacets, setRouteFacets] = useState(null);
   const [comparison, setComparison] = useState(null);
+  const [regulation, setRegulation] = useState(null);
+  const [vessels, setVessels] = useState([]);
+  const [shipId, setShipId] = useState(null);
+  const [reportingYear, setReportingYear] = useState(REPORTING_YEARS.from);
   const [cbData, setCbData] = useState(null);
+  const [penalty, setPenalty] = useState(null);
+  const [breakdown, setBreakdown] = useState(null);
+  const [timeline, setTimeline] = useState(null);
+  const [simulation, setSimulation] = useState(null);
   const [adjustedCB, setAdjustedCB] = useState([]);
-  const [filters, setFilters] = useState({ vesselType: '', fuelType: '', year: '' });
-  const [loading, setLoading] = useState(false);
+  const [pendingPools, setPendingPools] = useState([]);
+  const [auditEvents, setAuditEvents] = useState(null);
+  // Per tab (and 'login'): { loading, error }
+  const [requestStatus, setRequestStatus] = useState({});
+  // Idempotency-Key per intended action, e.g. "bank:S001:2025:100"
+  const idempotencyKeys = useRef(new Map());
+
+  useEffect(() => {
+    if (session) loadRouteFacets();
+  }, [session]);
 
   useEffect(() => {
-    loadRoutes();
-  }, []);
-
-  const loadRoutes = async () => {
-    setLoading(true);
-    const data = await api.getRoutes();
-    setRoutes(data);
-    setLoading(false);
+    if (!session) return undefined;
+    // Debounced so typing a search or an intensity bound sends one request, not one per key
+    const timer = setTimeout(loadRoutes, 300);
+    return () => clearTimeout(timer);
+  }, [session, routeQuery]);
+
+  const role = session?.user.role;
+  const canOperate = OPERATOR_ROLES.includes(role);
+
+  // Runs a request for a tab, tracking its loading and error state; resolves to undefined on failure
+  const run = async (tab, request) => {
+    setRequestStatus(prev => ({ ...prev, [tab]: { loading: true, error: null } }));
+    try {
+      const result = await request();
+      setRequestStatus(prev => ({ ...prev, [tab]: { loading: false, error: null } }));
+      return result;
+    } catch (error) {
+      if (error.status === 401 && tab !== 'login') {
+        // Expired or revoked token: back to the login form with the reason
+        handleLogout();
+        setRequestStatus({ login: { loading: false, error } });
+        return undefined;
+      }
+      setRequestStatus(prev => ({ ...prev, [tab]: { loading: false, error } }));
+      return undefined;
+    }
+  };
+
+  // Reuses the action's key until the server answers, so resending after a network failure
+  // cannot bank or pool twice; any answer, success or error, is final for that key
+  const withIdempotencyKey = async (action, request) => {
+    const key = idempotencyKeys.current.get(action) ?? crypto.randomUUID();
+    idempotencyKeys.current.set(action, key);
+    try {
+      const result = await request(key);
+      idempotencyKeys.current.delete(action);
+      return result;
+    } catch (error) {
+      if (error.status !== 0) idempotencyKeys.current.delete(action);
+      throw error;
+    }
   };
 
-  const loadComparison = async () => {
-    setLoading(true);
-    const data = await api.getComparison();
-    setComparison(data);
-    setLoading(false);
+  const fetchRoutes = async () => {
+    setRoutePage(await api.getRoutes(routeQuery));
   };
 
-  const loadCB = async (year) => {
-    setLoading(true);
-    const data = await api.getCB(year);
+  const fetchCB = async (shipId, year) => {
+    const [data, penaltyData, breakdownData] = await Promise.all([
+      api.getCB(shipId, year),
+      api.getPenalty(shipId, year),
+      api.getCBBreakdown(shipId, year)
+    ]);
     setCbData(data);
-    setLoading(false);
+    setPenalty(penaltyData);
+    setBreakdown(breakdownData);
   };
 
-  const loadAdjustedCB = async (year) => {
-    setLoading(true);
-    const data = await api.getAdjustedCB(year);
+  const fetchPooling = async (year) => {
+    const [data, pools] = await Promise.all([api.getAdjustedCB(year), api.getPools(year)]);
     setAdjustedCB(data);
-    setLoading(false);
+    setPendingPools(pools.filter(p =>
+      p.status === 'PendingConsent' && !p.consents.some(c => c.companyId === session.user.companyId)
+    ));
   };
 
-  const handleSetBaseline = async (routeId) => {
-    await api.setBaseline(routeId);
-    loadRoutes();
-  };
+  const loadRoutes = () => run('routes', fetchRoutes);
 
-  const handleBankCB = async (amount) => {
-    if (cbData.cbBefore <= 0) {
-      alert('Cannot bank negative or zero CB');
-      return;
-    }
-    await api.bankCB(amount);
-    loadCB(cbData.year);
+  const loadRouteFacets = () =>
+    run('routes', async () => {
+      setRouteFacets(await api.getRouteFacets());
+    });
+
+  const loadComparison = (year = reportingYear) =>
+    run('compare', async () => {
+      const [data, targets] = await Promise.all([api.getComparison(year), api.getTargets()]);
+      setComparison(data);
+      setRegulation(targets);
+    });
+
+  // Opens on the company's first ship
+  const loadBanking = () =>
+    run('banking', async () => {
+      const fleet = await api.getVessels();
+      setVessels(fleet);
+      if (fleet.length > 0) {
+        setShipId(fleet[0].id);
+        await fetchCB(fleet[0].id, reportingYear);
+      }
+    });
+
+  const loadCB = (id) => {
+    setShipId(id);
+    // Never show one ship's figures under another ship's name
+    setCbData(null);
+    return run('banking', () => fetchCB(id, reportingYear));
   };
 
-  const handleApplyBanked = async (amount) => {
-    if (amount > cbData.banked) {
-      alert('Cannot apply more than banked amount');
-      return;
-    }
-    await api.applyBanked(amount);
-    loadCB(cbData.year);
+  const loadTimeline = (id, from, to) =>
+    run('timeline', async () => {
+      setTimeline(await api.getTimeline(id, from, to));
+    });
+
+  // Opens on the company's first ship, like the banking tab
+  const loadTimelineTab = () =>
+    run('timeline', async () => {
+      const fleet = vessels.length > 0 ? vessels : await api.getVessels();
+      setVessels(fleet);
+      if (fleet.length > 0) {
+        setTimeline(await api.getTimeline(fleet[0].id, TIMELINE_RANGE.from, TIMELINE_RANGE.to));
+      }
+    });
+
+  const loadScenarioVessels = () =>
+    run('scenarios', async () => {
+      setVessels(await api.getVessels());
+    });
+
+  const handleSimulate = (id, scenarios) =>
+    run('scenarios', async () => {
+      setSimulation(await api.simulateScenarios(id, scenarios));
+    });
+
+  const loadPooling = (year = reportingYear) => run('pooling', () => fetchPooling(year));
+
+  // Figures of the previous year are dropped so no tab shows them under the new one
+  const handleSelectYear = (year) => {
+    setReportingYear(year);
+    setComparison(null);
+    setCbData(null);
+    setAdjustedCB([]);
+    setPendingPools([]);
+    if (activeTab === 'compare') loadComparison(year);
+    if (activeTab === 'banking' && shipId) run('banking', () => fetchCB(shipId, year));
+    if (activeTab === 'pooling') loadPooling(year);
   };
 
-  const handleCreatePool = async (selectedMembers) => {
-    const totalCB = selectedMembers.reduce((sum, m) => sum + m.cbBefore, 0);
-    if (totalCB < 0) {
-      alert('Pool total CB must be non-negative');
-      return;
-    }
-    await api.createPool(selectedMembers);
-    loadAdjustedCB(2024);
+  const loadAudit = (auditFilters) =>
+    run('audit', async () => {
+      setAuditEvents(await api.getAudit(auditFilters));
+    });
+
+  const handleLogin = (email, password) =>
+    run('login', async () => {
+      setSession(await api.login(email, password));
+    });
+
+  // Drop everything loaded for the previous company
+  const handleLogout = () => {
+    api.logout();
+    setSession(null);
+    setActiveTab('routes');
+    setRouteQuery(INITIAL_ROUTE_QUERY);
+    setRoutePage(null);
+    setRouteFacets(null);
+    setComparison(null);
+    setVessels([]);
+    setShipId(null);
+    setReportingYear(REPORTING_YEARS.from);
+    setCbData(null);
+    setTimeline(null);
+    setSimulation(null);
+    setAdjustedCB([]);
+    setPendingPools([]);
+    setAuditEvents(null);
+    setRequestStatus({});
   };
 
-  const filteredRoutes = routes.filter(r => 
-    (!filters.vesselType || r.vesselType === filters.vesselType) &&
-    (!filters.fuelType || r.fuelType === filters.fuelType) &&
-    (!filters.year || r.year.toString() === filters.year)
-  );
+  const handleConsentToPool = (poolId) =>
+    run('pooling', async () => {
+      await api.consentToPool(poolId);
+      await fetchPooling(reportingYear);
+    });
+
+  const handleSetBaseline = (routeId) =>
+    run('routes', async () => {
+      await api.setBaseline(routeId);
+      await fetchRoutes();
+    });
+
+  const handleImportRoutes = (csv, mode) =>
+    run('routes', async () => {
+      const report = await api.importRoutes(csv, mode);
+      if (report.imported > 0) {
+        // New voyages may bring new years or fuels into the dropdowns
+        const [, facets] = await Promise.all([fetchRoutes(), api.getRouteFacets()]);
+        setRouteFacets(facets);
+      }
+      return report;
+    });
+
+  const handleBankCB = (amount) =>
+    run('banking', async () => {
+      await withIdempotencyKey(`bank:${cbData.shipId}:${cbData.year}:${amount}`, key =>
+        api.bankCB(cbData.shipId, cbData.year, amount, key));
+      await fetchCB(cbData.shipId, cbData.year);
+    });
+
+  const handleApplyBanked = (amount) =>
+    run('banking', async () => {
+      await withIdempotencyKey(`apply:${cbData.shipId}:${cbData.year}:${amount}`, key =>
+        api.applyBanked(cbData.shipId, cbData.year, amount, key));
+      await fetchCB(cbData.shipId, cbData.year);
+    });
+
+  const handleBorrow = (amount) =>
+    run('banking', async () => {
+      await api.borrow(cbData.shipId, cbData.year, amount);
+      await fetchCB(cbData.shipId, cbData.year);
+    });
+
+  const handleDownloadReport = () =>
+    run('banking', async () => {
+      const blob = await api.downloadReport(cbData.shipId, cbData.year);
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `fueleu-report-${cbData.shipId}-${cbData.year}.pdf`;
+      link.click();
+      URL.revokeObjectURL(url);
+    });
+
+  const handleCreatePool = (selectedMembers, strategy) =>
+    run('pooling', async () => {
+      const shipIds = selectedMembers.map(m => m.shipId).join(',');
+      await withIdempotencyKey(`pool:${reportingYear}:${strategy}:${shipIds}`, key =>
+        api.createPool(reportingYear, selectedMembers, strategy, key));
+      await fetchPooling(reportingYear);
+    });
+
+  const handlePreviewPool = (selectedMembers, strategy) =>
+    run('pooling', () => api.previewPool(reportingYear, selectedMembers, strategy));
+
+  if (!session) {
+    return <LoginForm onLogin={handleLogin} status={requestStatus.login} />;
+  }
 
   return (
     <div className="min-h-screen bg-gradient-to-br from-blue-50 to-indigo-100">
       <div className="container mx-auto px-4 py-8">
-        <header className="mb-8">
-          <h1 className="text-4xl font-bold text-indigo-900 flex items-center gap-3">
-            <Ship className="w-10 h-10" />
-            FuelEU Maritime Compliance Dashboard
-          </h1>
-          <p className="text-indigo-600 mt-2">Monitor routes, compliance, banking & pooling</p>
+        <header className="mb-8 flex items-start justify-between">
+          <div>
+            <h1 className="text-4xl font-bold text-indigo-900 flex items-center gap-3">
+              <Ship className="w-10 h-10" />
+              FuelEU Maritime Compliance Dashboard
+            </h1>
+            <p className="text-indigo-600 mt-2">Monitor routes, compliance, banking & pooling</p>
+          </div>
+          <div className="text-right text-sm text-indigo-900">
+            <p className="font-semibold">{session.user.companyName}</p>
+            <p className="text-indigo-600">{session.user.email} · {role}</p>
+            <button onClick={handleLogout} className="mt-1 text-indigo-600 hover:underline flex items-center gap-1 ml-auto">
+              <LogOut className="w-4 h-4" />
+              Sign out
+            </button>
+          </div>
         </header>
 
         <div className="bg-white rounded-lg shadow-lg overflow-hidden">
           <nav className="flex border-b">
-            {['routes', 'compare', 'banking', 'pooling'].map(tab => (
-              <button
-                key={tab}
-                onClick={() => {
-                  setActiveTab(tab);
-                  if (tab === 'compare' && !comparison) loadComparison();
-                  if (tab === 'banking' && !cbData) loadCB(2024);
-                  if (tab === 'pooling' && adjustedCB.length === 0) loadAdjustedCB(2024);
-                }}
-                className={`flex-1 px-6 py-4 font-semibold capitalize transition-colors ${
-                  activeTab === tab
-                    ? 'bg-indigo-600 text-white'
-                    : 'bg-gray-50 text-gray-700 hover:bg-gray-100'
-                }`}
-              >
-                {tab === 'routes' && <Ship className="inline w-5 h-5 mr-2" />}
-                {tab === 'compare' && <TrendingDown className="inline w-5 h-5 mr-2" />}
-                {tab === 'banking' && <Droplet className="inline w-5 h-5 mr-2" />}
-                {tab === 'pooling' && <Users className="inline w-5 h-5 mr-2" />}
-                {tab}
-              </button>
-            ))}
+            {['routes', 'compare', 'banking', 'timeline', 'scenarios', 'pooling', 'audit']
+              .filter(tab => tab !== 'audit' || OVERSIGHT_ROLES.includes(role))
+              .map(tab => (
+                <button
+                  key={tab}
+                  onClick={() => {
+                    setActiveTab(tab);
+                    if (tab === 'compare' && !comparison) loadComparison();
+                    if (tab === 'banking' && !cbData) loadBanking();
+                    if (tab === 'timeline' && !timeline) loadTimelineTab();
+                    if (tab === 'scenarios' && vessels.length === 0) loadScenarioVessels();
+                    if (tab === 'pooling' && adjustedCB.length === 0) loadPooling();
+                    if (tab === 'audit' && !auditEvents) loadAudit({});
+                  }}
+                  className={`flex-1 px-6 py-4 font-semibold capitalize transition-colors ${
+                    activeTab === tab
+                      ? 'bg-indigo-600 text-white'
+                      : 'bg-gray-50 text-gray-700 hover:bg-gray-100'
+                  }`}
+                >
+                  {tab === 'routes' && <Ship className="inline w-5 h-5 mr-2" />}
+                  {tab === 'compare' && <TrendingDown className="inline w-5 h-5 mr-2" />}
+                  {tab === 'banking' && <Droplet className="inline w-5 h-5 mr-2" />}
+                  {tab === 'timeline' && <CalendarRange className="inline w-5 h-5 mr-2" />}
+                  {tab === 'scenarios' && <FlaskConical className="inline w-5 h-5 mr-2" />}
+                  {tab === 'pooling' && <Users className="inline w-5 h-5 mr-2" />}
+                  {tab === 'audit' && <History className="inline w-5 h-5 mr-2" />}
+                  {tab}
+                </button>
+              ))}
           </nav>
 
           <div className="p-6">
-            {activeTab === 'routes' && (
+            {YEAR_TABS.includes(activeTab) && (
+              <YearPicker year={reportingYear} onSelect={handleSelectYear} />
+            )}
+            <RequestStatus status={requestStatus[activeTab]} />
+            {activeTab === 'routes' && routePage && routeFacets && (
               <RoutesTab
-                routes={filteredRoutes}
-                filters={filters}
-                setFilters={setFilters}
-                onSetBaseline={handleSetBaseline}
-                loading={loading}
+                routePage={routePage}
+                facets={routeFacets}
+                query={routeQuery}
+                onQueryChange={setRouteQuery}
+                onSetBaseline={role === 'admin' ? handleSetBaseline : null}
+                onImport={canOperate ? handleImportRoutes : null}
               />
             )}
-            {activeTab === 'compare' && comparison && (
-              <CompareTab comparison={comparison} target={TARGET_INTENSITY} />
+            {activeTab === 'compare' && comparison && regulation && (
+              <CompareTab comparison={comparison} regulation={regulation} />
+            )}
+            {activeTab === 'banking' && vessels.length > 0 && (
+              <ShipPicker vessels={vessels} shipId={shipId} onSelect={loadCB} />
             )}
             {activeTab === 'banking' && cbData && (
               <BankingTab
                 cbData={cbData}
+                penalty={penalty}
+                breakdown={breakdown}
                 onBank={handleBankCB}
                 onApply={handleApplyBanked}
+                onBorrow={handleBorrow}
+                onDownloadReport={handleDownloadReport}
+                canOperate={canOperate}
+                busy={requestStatus.banking?.loading}
+              />
+            )}
+            {activeTab === 'timeline' && timeline && (
+              <TimelineTab
+                vessels={vessels}
+                timeline={timeline}
+                onLoad={loadTimeline}
+                loading={requestStatus.timeline?.loading}
+              />
+            )}
+            {activeTab === 'scenarios' && vessels.length > 0 && (
+              <ScenariosTab
+                vessels={vessels}
+                simulation={simulation}
+                onSimulate={handleSimulate}
+                busy={requestStatus.scenarios?.loading}
               />
             )}
             {activeTab === 'pooling' && adjustedCB.length > 0 && (
               <PoolingTab
                 adjustedCB={adjustedCB}
+                pendingPools={pendingPools}
                 onCreatePool={handleCreatePool}
+                onPreviewPool={handlePreviewPool}
+                onConsent={handleConsentToPool}
+                canOperate={canOperate}
+                busy={requestStatus.pooling?.loading}
               />
             )}
+            {activeTab === 'audit' && auditEvents && (
+              <AuditTab events={auditEvents} onFilter={loadAudit} loading={requestStatus.audit?.loading} />
+            )}
           </div>
         </div>
       </div>
@@ -184,40 +425,143 @@ function App() {
   );
 }
 
-function RoutesTab({ routes, filters, setFilters, onSetBaseline, loading }) {
+function RequestStatus({ status }) {
+  if (status?.loading) {
+    return <p className="mb-4 text-sm text-gray-500">Loading…</p>;
+  }
+  if (!status?.error) {
+    return null;
+  }
+
+  return (
+    <div className="mb-4 p-4 bg-red-50 rounded-lg text-sm text-red-700">
+      <p className="flex items-center gap-2">
+        <AlertCircle className="w-4 h-4" />
+        {status.error.message}
+      </p>
+      {status.error.details?.map(d => (
+        <p key={d.field} className="ml-6">{d.field}: {d.message}</p>
+      ))}
+    </div>
+  );
+}
+
+function LoginForm({ onLogin, status }) {
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-blue-50 to-indigo-100 flex items-center justify-center">
+      <form
+        onSubmit={(e) => {
+          e.preventDefault();
+          onLogin(email, password);
+        }}
+        className="bg-white rounded-lg shadow-lg p-8 w-full max-w-sm"
+      >
+        <h1 className="text-2xl font-bold text-indigo-900 flex items-center gap-2 mb-6">
+          <Ship className="w-8 h-8" />
+          FuelEU Maritime
+        </h1>
+        <RequestStatus status={status} />
+        <input
+          type="email"
+          value={email}
+          onChange={(e) => setEmail(e.target.value)}
+          placeholder="Email"
+          className="w-full px-4 py-2 border rounded-lg mb-4 focus:ring-2 focus:ring-indigo-500"
+        />
+        <input
+          type="password"
+          value={password}
+          onChange={(e) => setPassword(e.target.value)}
+          placeholder="Password"
+          className="w-full px-4 py-2 border rounded-lg mb-6 focus:ring-2 focus:ring-indigo-500"
+        />
+        <button
+          type="submit"
+          disabled={!email || !password || status?.loading}
+          className="w-full px-4 py-2 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 disabled:bg-gray-300 flex items-center justify-center gap-2"
+        >
+          <LogIn className="w-4 h-4" />
+          Sign in
+        </button>
+      </form>
+    </div>
+  );
+}
+
+function RoutesTab({ routePage, facets, query, onQueryChange, onSetBaseline, onImport }) {
+  // Any filter or sort change starts again from the first page
+  const update = (changes) => onQueryChange({ ...query, page: 1, ...changes });
+  const pageCount = Math.max(1, Math.ceil(routePage.total / routePage.pageSize));
+
+  const sortButton = (key, label) => (
+    <button
+      onClick={() => update({ sort: key, order: query.sort === key && query.order === 'asc' ? 'desc' : 'asc' })}
+      className="inline-flex items-center gap-1 hover:underline"
+    >
+      {label}
+      {query.sort === key && (query.order === 'asc' ? <ArrowUp className="w-3 h-3" /> : <ArrowDown className="w-3 h-3" />)}
+    </button>
+  );
+
   return (
     <div>
+      {onImport && <RouteImportPanel onImport={onImport} />}
+
       <div className="mb-6 grid grid-cols-1 md:grid-cols-3 gap-4">
         <select
-          value={filters.vesselType}
-          onChange={(e) => setFilters({ ...filters, vesselType: e.target.value })}
+          value={query.vesselType}
+          onChange={(e) => update({ vesselType: e.target.value })}
           className="px-4 py-2 border rounded-lg focus:ring-2 focus:ring-indigo-500"
         >
           <option value="">All Vessel Types</option>
-          <option value="Container">Container</option>
-          <option value="BulkCarrier">Bulk Carrier</option>
-          <option value="Tanker">Tanker</option>
-          <option value="RoRo">RoRo</option>
+          {facets.vesselTypes.map(type => (
+            <option key={type} value={type}>{VESSEL_TYPE_LABELS[type] ?? type}</option>
+          ))}
         </select>
         <select
-          value={filters.fuelType}
-          onChange={(e) => setFilters({ ...filters, fuelType: e.target.value })}
+          value={query.fuelType}
+          onChange={(e) => update({ fuelType: e.target.value })}
           className="px-4 py-2 border rounded-lg focus:ring-2 focus:ring-indigo-500"
         >
           <option value="">All Fuel Types</option>
-          <option value="HFO">HFO</option>
-          <option value="LNG">LNG</option>
-          <option value="MGO">MGO</option>
+          {facets.fuelTypes.map(fuel => (
+            <option key={fuel} value={fuel}>{RFNBO_FUELS.includes(fuel) ? `${fuel} (RFNBO)` : fuel}</option>
+          ))}
         </select>
         <select
-          value={filters.year}
-          onChange={(e) => setFilters({ ...filters, year: e.target.value })}
+          value={query.year}
+          onChange={(e) => update({ year: e.target.value })}
           className="px-4 py-2 border rounded-lg focus:ring-2 focus:ring-indigo-500"
         >
           <option value="">All Years</option>
-          <option value="2024">2024</option>
-          <option value="2025">2025</option>
+          {facets.years.map(year => (
+            <option key={year} value={year}>{year}</option>
+          ))}
         </select>
+        <input
+          type="search"
+          value={query.search}
+          onChange={(e) => update({ search: e.target.value })}
+          placeholder="Route, ship or vessel name"
+          className="px-4 py-2 border rounded-lg focus:ring-2 focus:ring-indigo-500"
+        />
+        <input
+          type="number"
+          value={query.minIntensity}
+          onChange={(e) => update({ minIntensity: e.target.value })}
+          placeholder="Min intensity (gCO₂e/MJ)"
+          className="px-4 py-2 border rounded-lg focus:ring-2 focus:ring-indigo-500"
+        />
+        <input
+          type="number"
+          value={query.maxIntensity}
+          onChange={(e) => update({ maxIntensity: e.target.value })}
+          placeholder="Max intensity (gCO₂e/MJ)"
+          className="px-4 py-2 border rounded-lg focus:ring-2 focus:ring-indigo-500"
+        />
       </div>
 
       <div className="overflow-x-auto">
@@ -226,30 +570,45 @@ function RoutesTab({ routes, filters, setFilters, onSetBaseline, loading }) {
             <tr>
               <th className="px-4 py-3 text-left text-sm font-semibold text-indigo-900">Route ID</th>
               <th className="px-4 py-3 text-left text-sm font-semibold text-indigo-900">Vessel Type</th>
-              <th className="px-4 py-3 text-left text-sm font-semibold text-indigo-900">Fuel Type</th>
+              <th className="px-4 py-3 text-left text-sm font-semibold text-indigo-900">Fuel Mix</th>
               <th className="px-4 py-3 text-left text-sm font-semibold text-indigo-900">Year</th>
-              <th className="px-4 py-3 text-right text-sm font-semibold text-indigo-900">GHG Intensity</th>
+              <th className="px-4 py-3 text-right text-sm font-semibold text-indigo-900">{sortButton('ghgIntensity', 'GHG Intensity')}</th>
               <th className="px-4 py-3 text-right text-sm font-semibold text-indigo-900">Fuel (t)</th>
-              <th className="px-4 py-3 text-right text-sm font-semibold text-indigo-900">Distance (km)</th>
-              <th className="px-4 py-3 text-right text-sm font-semibold text-indigo-900">Emissions (t)</th>
+              <th className="px-4 py-3 text-right text-sm font-semibold text-indigo-900">{sortButton('distance', 'Distance (nm)')}</th>
+              <th className="px-4 py-3 text-right text-sm font-semibold text-indigo-900">{sortButton('totalEmissions', 'Emissions (t)')}</th>
+              <th className="px-4 py-3 text-right text-sm font-semibold text-indigo-900">Energy in Scope</th>
               <th className="px-4 py-3 text-center text-sm font-semibold text-indigo-900">Action</th>
             </tr>
           </thead>
           <tbody className="divide-y">
-            {routes.map(route => (
+            {routePage.items.map(route => (
               <tr key={route.routeId} className={route.isBaseline ? 'bg-green-50' : 'hover:bg-gray-50'}>
                 <td className="px-4 py-3 text-sm font-medium">{route.routeId}</td>
                 <td className="px-4 py-3 text-sm">{route.vesselType}</td>
-                <td className="px-4 py-3 text-sm">{route.fuelType}</td>
+                <td className="px-4 py-3 text-sm">
+                  {route.fuels.map(f => (
+                    <div key={f.fuelType} className="whitespace-nowrap">
+                      {f.fuelType} {f.consumption.toLocaleString()} t
+                      <span className="text-gray-500"> ({(f.energyShare * 100).toFixed(0)}%)</span>
+                    </div>
+                  ))}
+                </td>
                 <td className="px-4 py-3 text-sm">{route.year}</td>
                 <td className="px-4 py-3 text-sm text-right">{route.ghgIntensity.toFixed(2)}</td>
                 <td className="px-4 py-3 text-sm text-right">{route.fuelConsumption.toLocaleString()}</td>
                 <td className="px-4 py-3 text-sm text-right">{route.distance.toLocaleString()}</td>
                 <td className="px-4 py-3 text-sm text-right">{route.totalEmissions.toLocaleString()}</td>
+                <td className="px-4 py-3 text-sm text-right whitespace-nowrap">
+                  {((route.energyInScope / route.totalEnergy) * 100).toFixed(0)}%
+                  <div className="text-xs text-gray-500">
+                    100%: {(route.scopeSplit.fullScopeEnergy / 1000).toLocaleString(undefined, { maximumFractionDigits: 0 })} GJ
+                    {' · '}50%: {(route.scopeSplit.halfScopeEnergy / 1000).toLocaleString(undefined, { maximumFractionDigits: 0 })} GJ
+                  </div>
+                </td>
                 <td className="px-4 py-3 text-center">
                   {route.isBaseline ? (
                     <span className="text-green-600 font-semibold text-sm">Baseline</span>
-                  ) : (
+                  ) : onSetBaseline && (
                     <button
                       onClick={() => onSetBaseline(route.routeId)}
                       className="px-3 py-1 bg-indigo-600 text-white rounded hover:bg-indigo-700 text-sm"
@@ -262,12 +621,104 @@ function RoutesTab({ routes, filters, setFilters, onSetBaseline, loading }) {
             ))}
           </tbody>
         </table>
+        {routePage.total === 0 && (
+          <p className="text-sm text-gray-500 mt-4">No routes match these filters</p>
+        )}
+      </div>
+
+      <div className="mt-4 flex items-center justify-between text-sm">
+        <p className="text-gray-600">{routePage.total.toLocaleString()} routes</p>
+        <div className="flex items-center gap-2">
+          <button
+            onClick={() => onQueryChange({ ...query, page: routePage.page - 1 })}
+            disabled={routePage.page <= 1}
+            className="px-3 py-1 border rounded hover:bg-gray-50 disabled:text-gray-300 disabled:cursor-not-allowed"
+          >
+            Previous
+          </button>
+          <span>Page {routePage.page} of {pageCount}</span>
+          <button
+            onClick={() => onQueryChange({ ...query, page: routePage.page + 1 })}
+            disabled={routePage.page >= pageCount}
+            className="px-3 py-1 border rounded hover:bg-gray-50 disabled:text-gray-300 disabled:cursor-not-allowed"
+          >
+            Next
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function RouteImportPanel({ onImport }) {
+  const [file, setFile] = useState(null);
+  const [mode, setMode] = useState('all-or-nothing');
+  const [report, setReport] = useState(null);
+
+  const handleImport = async () => {
+    setReport(await onImport(await file.text(), mode));
+  };
+
+  return (
+    <div className="mb-6 p-4 border rounded-lg">
+      <h3 className="font-semibold mb-2 flex items-center gap-2">
+        <Upload className="w-5 h-5" />
+        Import Voyages (CSV)
+      </h3>
+      <p className="text-sm text-gray-600 mb-4">
+        Columns: routeId, shipId, vesselType, year, distance, ghgIntensity (optional) and one column per fuel type in tonnes
+      </p>
+      <div className="flex flex-wrap items-center gap-4">
+        <input
+          type="file"
+          accept=".csv,text/csv"
+          onChange={(e) => {
+            setFile(e.target.files[0] || null);
+            setReport(null);
+          }}
+          className="text-sm"
+        />
+        <select
+          value={mode}
+          onChange={(e) => setMode(e.target.value)}
+          className="px-4 py-2 border rounded-lg focus:ring-2 focus:ring-indigo-500"
+        >
+          <option value="all-or-nothing">All or nothing</option>
+          <option value="skip-invalid">Skip invalid rows</option>
+        </select>
+        <button
+          onClick={handleImport}
+          disabled={!file}
+          className="px-4 py-2 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 disabled:bg-gray-300 disabled:cursor-not-allowed"
+        >
+          Import
+        </button>
       </div>
+
+      {report && (
+        <div className="mt-4">
+          <p className="text-sm mb-2">
+            <strong>Imported:</strong> {report.imported}
+            <strong className="ml-4">Rejected:</strong> {report.rejected}
+            {report.mode === 'all-or-nothing' && report.rejected > 0 && (
+              <span className="text-red-600 ml-4">Nothing imported, fix the rejected rows and retry</span>
+            )}
+          </p>
+          {report.rows.filter(r => r.status === 'rejected').map(r => (
+            <p key={r.line} className="text-sm text-red-600 flex items-center gap-2">
+              <XCircle className="w-4 h-4" />
+              Line {r.line}{r.routeId && ` (${r.routeId})`}: {r.error}
+            </p>
+          ))}
+        </div>
+      )}
     </div>
   );
 }
 
-function CompareTab({ comparison, target }) {
+function CompareTab({ comparison, regulation }) {
+  const { target } = comparison;
+  const targetEntry = regulation.targets.find(t => t.year === comparison.year);
   const chartData = comparison.comparisons.map(c => ({
     name: c.routeId,
     baseline: comparison.baseline.ghgIntensity,
@@ -281,7 +732,8 @@ function CompareTab({ comparison, target }) {
         <p className="text-sm text-blue-900">
           <strong>Baseline:</strong> {comparison.baseline.routeId} ({comparison.baseline.ghgIntensity.toFixed(2)} gCO₂e/MJ)
           <br />
-          <strong>Target Intensity:</strong> {target.toFixed(4)} gCO₂e/MJ (2% below 91.16)
+          <strong>Target Intensity ({comparison.year}):</strong> {target.toFixed(4)} gCO₂e/MJ
+          {targetEntry && ` (${targetEntry.reductionPercent}% below ${regulation.referenceIntensity})`}
         </p>
       </div>
 
@@ -337,13 +789,66 @@ function CompareTab({ comparison, target }) {
   );
 }
 
-function BankingTab({ cbData, onBank, onApply }) {
+function ShipPicker({ vessels, shipId, onSelect }) {
+  return (
+    <div className="mb-6">
+      <select
+        value={shipId ?? ''}
+        onChange={(e) => onSelect(e.target.value)}
+        className="px-4 py-2 border rounded-lg focus:ring-2 focus:ring-indigo-500"
+      >
+        <option value="" disabled>Select a ship</option>
+        {vessels.map(v => (
+          <option key={v.id} value={v.id}>{v.name} ({v.id})</option>
+        ))}
+      </select>
+    </div>
+  );
+}
+
+function YearPicker({ year, onSelect }) {
+  const years = Array.from({ length: REPORTING_YEARS.to - REPORTING_YEARS.from + 1 }, (_, i) => REPORTING_YEARS.from + i);
+
+  return (
+    <div className="mb-6">
+      <select
+        value={year}
+        onChange={(e) => onSelect(Number(e.target.value))}
+        className="px-4 py-2 border rounded-lg focus:ring-2 focus:ring-indigo-500"
+      >
+        {years.map(y => (
+          <option key={y} value={y}>Reporting year {y}</option>
+        ))}
+      </select>
+    </div>
+  );
+}
+
+function BankingTab({ cbData, penalty, breakdown, onBank, onApply, onBorrow, onDownloadReport, canOperate, busy }) {
   const [bankAmount, setBankAmount] = useState('');
   const [applyAmount, setApplyAmount] = useState('');
+  const [borrowAmount, setBorrowAmount] = useState('');
+
+  // Banking, borrowing and pooling are only open to operators while the period is verified
+  const periodOpen = canOperate && cbData.status === 'Verified';
+  const borrowLimit = Math.min(cbData.borrowCap, Math.abs(Math.min(cbData.cbAfter, 0)));
+  const canBorrow = periodOpen && cbData.cbAfter < 0 && cbData.borrowed <= 0 && !cbData.borrowedPreviousYear;
+  // Surplus already banked or pooled away is no longer available
+  const bankable = Math.max(cbData.cbAfter, 0);
 
   return (
     <div>
-      <div className="grid grid-cols-1 md:grid-cols-3 gap-6 mb-8">
+      <div className="flex justify-end mb-4">
+        <button
+          onClick={onDownloadReport}
+          className="px-4 py-2 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 flex items-center gap-2"
+        >
+          <Download className="w-4 h-4" />
+          Download report
+        </button>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-4 gap-6 mb-8">
         <div className="p-6 bg-blue-50 rounded-lg">
           <h3 className="text-sm font-semibold text-blue-900 mb-2">CB Before</h3>
           <p className="text-3xl font-bold text-blue-700">{cbData.cbBefore.toFixed(2)}</p>
@@ -359,34 +864,64 @@ function BankingTab({ cbData, onBank, onApply }) {
           <p className="text-3xl font-bold text-green-700">{cbData.cbAfter.toFixed(2)}</p>
           <p className="text-sm text-green-600 mt-1">tCO₂eq</p>
         </div>
+        <div className={`p-6 rounded-lg ${penalty.penaltyEur > 0 ? 'bg-red-50' : 'bg-gray-50'}`}>
+          <h3 className={`text-sm font-semibold mb-2 ${penalty.penaltyEur > 0 ? 'text-red-900' : 'text-gray-900'}`}>Penalty Exposure</h3>
+          <p className={`text-3xl font-bold ${penalty.penaltyEur > 0 ? 'text-red-700' : 'text-gray-700'}`}>
+            €{penalty.penaltyEur.toLocaleString(undefined, { maximumFractionDigits: 0 })}
+          </p>
+          <p className={`text-sm mt-1 ${penalty.penaltyEur > 0 ? 'text-red-600' : 'text-gray-600'}`}>
+            {penalty.consecutiveDeficitPeriods > 1
+              ? `×${penalty.multiplier.toFixed(1)} for ${penalty.consecutiveDeficitPeriods} consecutive deficits`
+              : 'EUR'}
+          </p>
+        </div>
+      </div>
+
+      {canOperate && !periodOpen && (
+        <p className="mb-4 text-sm text-amber-700 flex items-center gap-2">
+          <AlertCircle className="w-4 h-4" />
+          Reporting period is {cbData.status.toLowerCase()}; banking and borrowing require a verified period
+        </p>
+      )}
+
+      <div className="mb-8 p-4 bg-blue-50 rounded-lg">
+        <p className="text-sm text-blue-900">
+          <strong>Period status:</strong> {cbData.status}
+          <br />
+          <strong>Intensity:</strong> {breakdown.fuelGhgIntensity.toFixed(2)} gCO₂e/MJ from fuel
+          {breakdown.windRewardFactor < 1 && ` × ${breakdown.windRewardFactor} wind reward`}
+          {' '}= {breakdown.actualIntensity.toFixed(2)} gCO₂e/MJ (target {breakdown.targetIntensity.toFixed(4)})
+          <br />
+          <strong>Wind assist earned:</strong> {breakdown.windCb.toFixed(2)} tCO₂eq
+        </p>
       </div>
 
-      <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
         <div className="p-6 border rounded-lg">
           <h3 className="text-lg font-semibold mb-4">Bank Surplus</h3>
-          <p className="text-sm text-gray-600 mb-4">Bank positive CB for future use</p>
+          <p className="text-sm text-gray-600 mb-4">Bank up to {bankable.toFixed(2)} tCO₂eq for future use</p>
           <input
             type="number"
             value={bankAmount}
             onChange={(e) => setBankAmount(e.target.value)}
             placeholder="Amount to bank"
             className="w-full px-4 py-2 border rounded-lg mb-4 focus:ring-2 focus:ring-indigo-500"
-            disabled={cbData.cbBefore <= 0}
+            disabled={!periodOpen || bankable <= 0}
           />
           <button
             onClick={() => {
               onBank(parseFloat(bankAmount));
               setBankAmount('');
             }}
-            disabled={cbData.cbBefore <= 0 || !bankAmount}
+            disabled={!periodOpen || bankable <= 0 || !bankAmount || parseFloat(bankAmount) > bankable || busy}
             className="w-full px-4 py-2 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 disabled:bg-gray-300 disabled:cursor-not-allowed"
           >
             Bank Amount
           </button>
-          {cbData.cbBefore <= 0 && (
+          {bankable <= 0 && (
             <p className="text-sm text-red-600 mt-2 flex items-center gap-2">
               <AlertCircle className="w-4 h-4" />
-              Cannot bank negative or zero CB
+              {cbData.cbBefore <= 0 ? 'Cannot bank negative or zero CB' : 'No surplus left to bank'}
             </p>
           )}
         </div>
@@ -400,14 +935,14 @@ function BankingTab({ cbData, onBank, onApply }) {
             onChange={(e) => setApplyAmount(e.target.value)}
             placeholder="Amount to apply"
             className="w-full px-4 py-2 border rounded-lg mb-4 focus:ring-2 focus:ring-indigo-500"
-            disabled={cbData.banked <= 0}
+            disabled={!periodOpen || cbData.banked <= 0}
           />
           <button
             onClick={() => {
               onApply(parseFloat(applyAmount));
               setApplyAmount('');
             }}
-            disabled={cbData.banked <= 0 || !applyAmount || parseFloat(applyAmount) > cbData.banked}
+            disabled={!periodOpen || cbData.banked <= 0 || !applyAmount || parseFloat(applyAmount) > cbData.banked || busy}
             className="w-full px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 disabled:bg-gray-300 disabled:cursor-not-allowed"
           >
             Apply Amount
@@ -419,15 +954,408 @@ function BankingTab({ cbData, onBank, onApply }) {
             </p>
           )}
         </div>
+
+        <div className="p-6 border rounded-lg">
+          <h3 className="text-lg font-semibold mb-4">Borrow Advance</h3>
+          <p className="text-sm text-gray-600 mb-4">
+            Borrow up to {borrowLimit.toFixed(2)} tCO₂eq, repaid ×1.1 from next year's CB
+          </p>
+          <input
+            type="number"
+            value={borrowAmount}
+            onChange={(e) => setBorrowAmount(e.target.value)}
+            placeholder="Amount to borrow"
+            className="w-full px-4 py-2 border rounded-lg mb-4 focus:ring-2 focus:ring-indigo-500"
+            disabled={!canBorrow}
+          />
+          <button
+            onClick={() => {
+              onBorrow(parseFloat(borrowAmount));
+              setBorrowAmount('');
+            }}
+            disabled={!canBorrow || !borrowAmount || parseFloat(borrowAmount) > borrowLimit || busy}
+            className="w-full px-4 py-2 bg-amber-600 text-white rounded-lg hover:bg-amber-700 disabled:bg-gray-300 disabled:cursor-not-allowed"
+          >
+            Borrow Amount
+          </button>
+          {borrowAmount && parseFloat(borrowAmount) > 0 && (
+            <p className="text-sm text-gray-600 mt-2">
+              Repayment next year: {(parseFloat(borrowAmount) * 1.1).toFixed(2)} tCO₂eq
+            </p>
+          )}
+          {periodOpen && !canBorrow && (
+            <p className="text-sm text-red-600 mt-2 flex items-center gap-2">
+              <AlertCircle className="w-4 h-4" />
+              {cbData.cbAfter >= 0
+                ? 'No deficit to cover'
+                : 'Borrowing not allowed in consecutive periods'}
+            </p>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function TimelineTab({ vessels, timeline, onLoad, loading }) {
+  const [range, setRange] = useState({ from: timeline.from, to: timeline.to });
+
+  // Banking and repaying take surplus out of the year, so they are drawn below the axis
+  const chartData = timeline.years.map(y => ({
+    year: y.year,
+    cbBefore: y.cbBefore,
+    banked: -y.banked,
+    applied: y.applied,
+    borrowed: y.borrowed,
+    borrowingRepaid: -y.borrowingRepaid,
+    pooled: y.pooled,
+    cbAfter: y.cbAfter,
+    bankBalance: y.bankBalance
+  }));
+
+  const formatCb = (value) => value.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+
+  return (
+    <div>
+      <div className="mb-6 flex flex-wrap items-start gap-4">
+        <ShipPicker vessels={vessels} shipId={timeline.shipId} onSelect={(id) => onLoad(id, range.from, range.to)} />
+        <input
+          type="number"
+          value={range.from}
+          onChange={(e) => setRange({ ...range, from: e.target.value })}
+          min="2025"
+          max="2050"
+          className="w-28 px-4 py-2 border rounded-lg focus:ring-2 focus:ring-indigo-500"
+        />
+        <input
+          type="number"
+          value={range.to}
+          onChange={(e) => setRange({ ...range, to: e.target.value })}
+          min="2025"
+          max="2050"
+          className="w-28 px-4 py-2 border rounded-lg focus:ring-2 focus:ring-indigo-500"
+        />
+        <button
+          onClick={() => onLoad(timeline.shipId, range.from, range.to)}
+          disabled={loading || !range.from || !range.to}
+          className="px-4 py-2 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 disabled:bg-gray-300"
+        >
+          Show
+        </button>
+      </div>
+
+      {timeline.years.length === 0 ? (
+        <p className="text-sm text-gray-500">No compliance balance recorded for {timeline.shipId} between {timeline.from} and {timeline.to}</p>
+      ) : (
+        <div>
+          <div className="mb-8">
+            <h3 className="text-lg font-semibold mb-4">Compliance Balance by Year</h3>
+            <ResponsiveContainer width="100%" height={340}>
+              <ComposedChart data={chartData} stackOffset="sign">
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis dataKey="year" />
+                <YAxis label={{ value: 'tCO₂e', angle: -90, position: 'insideLeft' }} />
+                <Tooltip formatter={(value) => formatCb(value)} />
+                <Legend />
+                <Bar dataKey="cbBefore" stackId="cb" fill="#6366f1" name="Raw CB" />
+                <Bar dataKey="banked" stackId="cb" fill="#f59e0b" name="Banked" />
+                <Bar dataKey="applied" stackId="cb" fill="#10b981" name="Applied" />
+                <Bar dataKey="borrowed" stackId="cb" fill="#ef4444" name="Borrowed" />
+                <Bar dataKey="borrowingRepaid" stackId="cb" fill="#b91c1c" name="Repaid" />
+                <Bar dataKey="pooled" stackId="cb" fill="#8b5cf6" name="Pooled" />
+                <Line dataKey="cbAfter" stroke="#111827" strokeWidth={2} name="Final CB" />
+                <Line dataKey="bankBalance" stroke="#d97706" strokeDasharray="5 5" name="Bank balance" />
+              </ComposedChart>
+            </ResponsiveContainer>
+          </div>
+
+          <div className="overflow-x-auto">
+            <table className="w-full">
+              <thead className="bg-indigo-50">
+                <tr>
+                  <th className="px-4 py-3 text-left text-sm font-semibold">Year</th>
+                  <th className="px-4 py-3 text-left text-sm font-semibold">Status</th>
+                  <th className="px-4 py-3 text-right text-sm font-semibold">Raw CB</th>
+                  <th className="px-4 py-3 text-right text-sm font-semibold">Banked</th>
+                  <th className="px-4 py-3 text-right text-sm font-semibold">Applied</th>
+                  <th className="px-4 py-3 text-right text-sm font-semibold">Borrowed</th>
+                  <th className="px-4 py-3 text-right text-sm font-semibold">Repaid</th>
+                  <th className="px-4 py-3 text-right text-sm font-semibold">Pooled</th>
+                  <th className="px-4 py-3 text-right text-sm font-semibold">Final CB</th>
+                  <th className="px-4 py-3 text-right text-sm font-semibold">Penalty</th>
+                  <th className="px-4 py-3 text-right text-sm font-semibold">Bank Balance</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y">
+                {timeline.years.map(y => (
+                  <tr key={y.year} className="hover:bg-gray-50">
+                    <td className="px-4 py-3 text-sm font-medium">{y.year}</td>
+                    <td className="px-4 py-3 text-sm">{y.status}</td>
+                    <td className="px-4 py-3 text-sm text-right">{formatCb(y.cbBefore)}</td>
+                    <td className="px-4 py-3 text-sm text-right">{formatCb(y.banked)}</td>
+                    <td className="px-4 py-3 text-sm text-right">{formatCb(y.applied)}</td>
+                    <td className="px-4 py-3 text-sm text-right">{formatCb(y.borrowed)}</td>
+                    <td className="px-4 py-3 text-sm text-right">{formatCb(y.borrowingRepaid)}</td>
+                    <td className="px-4 py-3 text-sm text-right">{formatCb(y.pooled)}</td>
+                    <td className={`px-4 py-3 text-sm text-right font-semibold ${y.cbAfter < 0 ? 'text-red-600' : 'text-green-600'}`}>
+                      {formatCb(y.cbAfter)}
+                    </td>
+                    <td className="px-4 py-3 text-sm text-right">
+                      €{y.penaltyEur.toLocaleString(undefined, { maximumFractionDigits: 0 })}
+                    </td>
+                    <td className="px-4 py-3 text-sm text-right">{formatCb(y.bankBalance)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+function ScenariosTab({ vessels, simulation, onSimulate, busy }) {
+  const [shipId, setShipId] = useState(simulation?.shipId ?? vessels[0].id);
+  const [scenarios, setScenarios] = useState(INITIAL_SCENARIOS);
+
+  const updateScenario = (index, changes) =>
+    setScenarios(scenarios.map((scenario, i) => (i === index ? { ...scenario, ...changes } : scenario)));
+
+  const updateChange = (index, changeIndex, changes) =>
+    updateScenario(index, {
+      changes: scenarios[index].changes.map((change, i) => (i === changeIndex ? { ...change, ...changes } : change))
+    });
+
+  // Blank fields are left out so the earlier value carries on; no fuel percentages keeps the mix
+  const toRequest = () =>
+    scenarios.map(scenario => ({
+      name: scenario.name,
+      changes: scenario.changes.map(change => {
+        const fuelMix = Object.entries(change.fuelMix)
+          .filter(([, percent]) => percent !== '')
+          .map(([fuelType, percent]) => ({ fuelType, energyShare: Number(percent) / 100 }));
+        return {
+          fromYear: Number(change.fromYear),
+          ...(fuelMix.length > 0 && { fuelMix }),
+          ...(change.consumptionChangePercent !== '' && { consumptionChangePercent: Number(change.consumptionChangePercent) }),
+          ...(change.efficiencyGainPercent !== '' && { efficiencyGainPercent: Number(change.efficiencyGainPercent) })
+        };
+      })
+    }));
+
+  const chartData = simulation?.scenarios[0].years.map((y, i) => ({
+    year: y.year,
+    ...Object.fromEntries(simulation.scenarios.map((scenario, s) => [`s${s}`, scenario.years[i].cb]))
+  }));
+
+  const formatCb = (value) => value.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+
+  return (
+    <div>
+      <div className="mb-6 p-4 bg-blue-50 rounded-lg text-sm text-blue-900">
+        Projects the ship's latest routes against every target up to 2050. Each change applies from its year
+        until the next one; nothing is saved to the ship's compliance records.
+      </div>
+
+      <ShipPicker vessels={vessels} shipId={shipId} onSelect={setShipId} />
+
+      {scenarios.map((scenario, index) => (
+        <div key={index} className="mb-4 p-4 border rounded-lg">
+          <div className="flex items-center gap-4 mb-3">
+            <span className="w-3 h-3 rounded-full" style={{ backgroundColor: SCENARIO_COLORS[index] }} />
+            <input
+              type="text"
+              value={scenario.name}
+              onChange={(e) => updateScenario(index, { name: e.target.value })}
+              placeholder="Scenario name"
+              className="flex-1 px-4 py-2 border rounded-lg focus:ring-2 focus:ring-indigo-500"
+            />
+            <button
+              onClick={() => updateScenario(index, { changes: [...scenario.changes, EMPTY_SCENARIO_CHANGE] })}
+              className="px-3 py-2 text-sm text-indigo-600 hover:underline"
+            >
+              Add change
+            </button>
+            <button
+              onClick={() => setScenarios(scenarios.filter((_, i) => i !== index))}
+              disabled={scenarios.length === 1}
+              className="px-3 py-2 text-sm text-red-600 hover:underline disabled:text-gray-300"
+            >
+              Remove
+            </button>
+          </div>
+
+          {scenario.changes.length === 0 && (
+            <p className="text-sm text-gray-500">No changes: today's fuel mix and consumption throughout</p>
+          )}
+          {scenario.changes.map((change, changeIndex) => (
+            <div key={changeIndex} className="flex flex-wrap items-end gap-2 mb-2">
+              <label className="text-xs text-gray-600">
+                From
+                <input
+                  type="number"
+                  value={change.fromYear}
+                  onChange={(e) => updateChange(index, changeIndex, { fromYear: e.target.value })}
+                  min="2025"
+                  max="2050"
+                  className="block w-24 px-2 py-1 border rounded text-sm"
+                />
+              </label>
+              {FUEL_TYPES.map(fuelType => (
+                <label key={fuelType} className="text-xs text-gray-600">
+                  {fuelType} %
+                  <input
+                    type="number"
+                    value={change.fuelMix[fuelType] ?? ''}
+                    onChange={(e) =>
+                      updateChange(index, changeIndex, { fuelMix: { ...change.fuelMix, [fuelType]: e.target.value } })}
+                    min="0"
+                    max="100"
+                    className="block w-20 px-2 py-1 border rounded text-sm"
+                  />
+                </label>
+              ))}
+              <label className="text-xs text-gray-600">
+                Consumption ±%
+                <input
+                  type="number"
+                  value={change.consumptionChangePercent}
+                  onChange={(e) => updateChange(index, changeIndex, { consumptionChangePercent: e.target.value })}
+                  className="block w-24 px-2 py-1 border rounded text-sm"
+                />
+              </label>
+              <label className="text-xs text-gray-600">
+                Efficiency gain %
+                <input
+                  type="number"
+                  value={change.efficiencyGainPercent}
+                  onChange={(e) => updateChange(index, changeIndex, { efficiencyGainPercent: e.target.value })}
+                  min="0"
+                  max="99"
+                  className="block w-24 px-2 py-1 border rounded text-sm"
+                />
+              </label>
+              <button
+                onClick={() => updateScenario(index, { changes: scenario.changes.filter((_, i) => i !== changeIndex) })}
+                className="px-2 py-1 text-sm text-red-600 hover:underline"
+              >
+                <XCircle className="w-4 h-4" />
+              </button>
+            </div>
+          ))}
+        </div>
+      ))}
+
+      <div className="mb-8 flex gap-4">
+        <button
+          onClick={() => setScenarios([...scenarios, { name: `Scenario ${scenarios.length + 1}`, changes: [] }])}
+          disabled={scenarios.length >= MAX_SCENARIOS}
+          className="px-4 py-2 border border-indigo-600 text-indigo-600 rounded-lg hover:bg-indigo-50 disabled:border-gray-300 disabled:text-gray-300"
+        >
+          Add scenario
+        </button>
+        <button
+          onClick={() => onSimulate(shipId, toRequest())}
+          disabled={busy || !shipId}
+          className="px-4 py-2 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 disabled:bg-gray-300"
+        >
+          Simulate
+        </button>
       </div>
+
+      {simulation && (
+        <div>
+          <p className="mb-4 text-sm text-gray-600">
+            {simulation.shipId} from its {simulation.baseYear} routes:{' '}
+            {simulation.baseFuels.map(f => `${f.fuelType} ${f.consumption.toLocaleString(undefined, { maximumFractionDigits: 0 })} t`).join(', ')}
+          </p>
+
+          <div className="mb-8">
+            <h3 className="text-lg font-semibold mb-4">Projected Compliance Balance</h3>
+            <ResponsiveContainer width="100%" height={340}>
+              <ComposedChart data={chartData}>
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis dataKey="year" />
+                <YAxis label={{ value: 'tCO₂e', angle: -90, position: 'insideLeft' }} />
+                <Tooltip formatter={(value) => formatCb(value)} />
+                <Legend />
+                {simulation.scenarios.map((scenario, s) => (
+                  <Line key={s} dataKey={`s${s}`} stroke={SCENARIO_COLORS[s]} strokeWidth={2} dot={false} name={scenario.name} />
+                ))}
+              </ComposedChart>
+            </ResponsiveContainer>
+          </div>
+
+          <div className="overflow-x-auto mb-8">
+            <table className="w-full">
+              <thead className="bg-indigo-50">
+                <tr>
+                  <th className="px-4 py-3 text-left text-sm font-semibold">Scenario</th>
+                  <th className="px-4 py-3 text-right text-sm font-semibold">First Deficit</th>
+                  <th className="px-4 py-3 text-right text-sm font-semibold">Penalty to 2050</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y">
+                {simulation.scenarios.map((scenario, s) => (
+                  <tr key={s} className="hover:bg-gray-50">
+                    <td className="px-4 py-3 text-sm font-medium">{scenario.name}</td>
+                    <td className={`px-4 py-3 text-sm text-right ${scenario.firstDeficitYear ? 'text-red-600' : 'text-green-600'}`}>
+                      {scenario.firstDeficitYear ?? 'None'}
+                    </td>
+                    <td className="px-4 py-3 text-sm text-right">
+                      €{scenario.totalPenaltyEur.toLocaleString(undefined, { maximumFractionDigits: 0 })}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          <div className="overflow-x-auto">
+            <table className="w-full">
+              <thead className="bg-indigo-50">
+                <tr>
+                  <th className="px-4 py-3 text-left text-sm font-semibold">Year</th>
+                  <th className="px-4 py-3 text-right text-sm font-semibold">Target</th>
+                  {simulation.scenarios.map((scenario, s) => (
+                    <th key={s} className="px-4 py-3 text-right text-sm font-semibold">{scenario.name}</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody className="divide-y">
+                {simulation.scenarios[0].years.map((y, i) => (
+                  <tr key={y.year} className="hover:bg-gray-50">
+                    <td className="px-4 py-3 text-sm font-medium">{y.year}</td>
+                    <td className="px-4 py-3 text-sm text-right">{y.targetIntensity.toFixed(2)}</td>
+                    {simulation.scenarios.map((scenario, s) => {
+                      const year = scenario.years[i];
+                      return (
+                        <td key={s} className="px-4 py-3 text-sm text-right">
+                          <span className={year.cb < 0 ? 'text-red-600' : 'text-green-600'}>{formatCb(year.cb)}</span>
+                          <div className="text-xs text-gray-500">{year.ghgIntensity.toFixed(2)} gCO₂e/MJ</div>
+                        </td>
+                      );
+                    })}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
     </div>
   );
 }
 
-function PoolingTab({ adjustedCB, onCreatePool }) {
+function PoolingTab({ adjustedCB, pendingPools, onCreatePool, onPreviewPool, onConsent, canOperate, busy }) {
   const [selectedMembers, setSelectedMembers] = useState([]);
+  const [strategy, setStrategy] = useState('greedy');
+  const [preview, setPreview] = useState(null);
 
+  // A ship pools what is left of its CB after banking, borrowing and applied surplus
   const toggleMember = (member) => {
+    setPreview(null);
     setSelectedMembers(prev =>
       prev.find(m => m.shipId === member.shipId)
         ? prev.filter(m => m.shipId !== member.shipId)
@@ -436,10 +1364,31 @@ function PoolingTab({ adjustedCB, onCreatePool }) {
   };
 
   const totalCB = selectedMembers.reduce((sum, m) => sum + m.cbBefore, 0);
-  const isValid = totalCB >= 0 && selectedMembers.length >= 2;
+  const isValid = canOperate && totalCB >= 0 && selectedMembers.length >= 2;
 
   return (
     <div>
+      {pendingPools.length > 0 && (
+        <div className="mb-6 p-4 bg-amber-50 rounded-lg">
+          <h3 className="font-semibold text-amber-900 mb-2">Pools Awaiting Your Consent</h3>
+          {pendingPools.map(pool => (
+            <div key={pool.id} className="flex items-center justify-between py-2">
+              <p className="text-sm">
+                <strong>{pool.id}</strong> ({pool.year}):{' '}
+                {pool.members.map(m => `${m.shipId} ${m.cbBefore.toFixed(2)} → ${m.cbAfter.toFixed(2)}`).join(', ')}
+              </p>
+              <button
+                onClick={() => onConsent(pool.id)}
+                disabled={!canOperate}
+                className="px-3 py-1 bg-amber-600 text-white rounded hover:bg-amber-700 text-sm disabled:bg-gray-300"
+              >
+                Consent
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+
       <div className="mb-6 p-4 bg-blue-50 rounded-lg">
         <h3 className="font-semibold text-blue-900 mb-2">Pool Validation</h3>
         <div className="flex items-center gap-4">
@@ -480,7 +1429,7 @@ function PoolingTab({ adjustedCB, onCreatePool }) {
                   <input
                     type="checkbox"
                     checked={selectedMembers.find(m => m.shipId === ship.shipId)}
-                    onChange={() => toggleMember(ship)}
+                    onChange={() => toggleMember({ shipId: ship.shipId, cbBefore: ship.cbAfter })}
                     className="w-4 h-4 text-indigo-600 rounded focus:ring-2 focus:ring-indigo-500"
                   />
                 </td>
@@ -504,9 +1453,56 @@ function PoolingTab({ adjustedCB, onCreatePool }) {
         </table>
       </div>
 
+      <div className="mb-6 flex items-center gap-4">
+        <select
+          value={strategy}
+          onChange={(e) => {
+            setStrategy(e.target.value);
+            setPreview(null);
+          }}
+          className="px-4 py-2 border rounded-lg focus:ring-2 focus:ring-indigo-500"
+        >
+          <option value="greedy">Greedy</option>
+          <option value="pro-rata">Pro-rata by surplus share</option>
+          <option value="min-transfers">Minimum transfers</option>
+        </select>
+        <button
+          onClick={async () => setPreview(await onPreviewPool(selectedMembers, strategy))}
+          disabled={!isValid}
+          className="px-6 py-2 border border-indigo-600 text-indigo-600 rounded-lg hover:bg-indigo-50 disabled:border-gray-300 disabled:text-gray-400 disabled:cursor-not-allowed font-semibold"
+        >
+          Preview Allocation
+        </button>
+      </div>
+
+      {preview && (
+        <div className="mb-6 grid grid-cols-1 md:grid-cols-2 gap-6">
+          <div className="p-4 border rounded-lg">
+            <h3 className="font-semibold mb-2">Allocation Preview</h3>
+            {preview.allocations.map(a => (
+              <p key={a.shipId} className="text-sm">
+                <strong>{a.shipId}:</strong> {a.cbBefore.toFixed(2)} → {a.cbAfter.toFixed(2)} tCO₂eq
+              </p>
+            ))}
+          </div>
+          <div className="p-4 border rounded-lg">
+            <h3 className="font-semibold mb-2">Transfers</h3>
+            {preview.transfers.length === 0 ? (
+              <p className="text-sm text-gray-600">No transfers needed</p>
+            ) : (
+              preview.transfers.map((t, i) => (
+                <p key={i} className="text-sm">
+                  {t.fromShipId} → {t.toShipId}: {t.amount.toFixed(2)} tCO₂eq
+                </p>
+              ))
+            )}
+          </div>
+        </div>
+      )}
+
       <button
-        onClick={() => onCreatePool(selectedMembers)}
-        disabled={!isValid}
+        onClick={() => onCreatePool(selectedMembers, strategy)}
+        disabled={!isValid || busy}
         className="w-full px-6 py-3 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 disabled:bg-gray-300 disabled:cursor-not-allowed font-semibold"
       >
         Create Pool
@@ -522,4 +1518,90 @@ function PoolingTab({ adjustedCB, onCreatePool }) {
   );
 }
 
+function AuditTab({ events, onFilter, loading }) {
+  const [auditFilters, setAuditFilters] = useState({ entity: '', shipId: '', from: '', to: '' });
+
+  const formatValues = (values) => (values === null ? '—' : JSON.stringify(values));
+
+  return (
+    <div>
+      <div className="mb-6 grid grid-cols-1 md:grid-cols-5 gap-4">
+        <select
+          value={auditFilters.entity}
+          onChange={(e) => setAuditFilters({ ...auditFilters, entity: e.target.value })}
+          className="px-4 py-2 border rounded-lg focus:ring-2 focus:ring-indigo-500"
+        >
+          <option value="">All Entities</option>
+          <option value="route">Route</option>
+          <option value="compliance">Compliance</option>
+          <option value="bank">Banking</option>
+          <option value="pool">Pool</option>
+          <option value="vessel">Vessel</option>
+        </select>
+        <input
+          type="text"
+          value={auditFilters.shipId}
+          onChange={(e) => setAuditFilters({ ...auditFilters, shipId: e.target.value })}
+          placeholder="Ship ID"
+          className="px-4 py-2 border rounded-lg focus:ring-2 focus:ring-indigo-500"
+        />
+        <input
+          type="date"
+          value={auditFilters.from}
+          onChange={(e) => setAuditFilters({ ...auditFilters, from: e.target.value })}
+          className="px-4 py-2 border rounded-lg focus:ring-2 focus:ring-indigo-500"
+        />
+        <input
+          type="date"
+          value={auditFilters.to}
+          onChange={(e) => setAuditFilters({ ...auditFilters, to: e.target.value })}
+          className="px-4 py-2 border rounded-lg focus:ring-2 focus:ring-indigo-500"
+        />
+        <button
+          onClick={() => onFilter(auditFilters)}
+          disabled={loading}
+          className="px-4 py-2 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 disabled:bg-gray-300"
+        >
+          Filter
+        </button>
+      </div>
+
+      <div className="overflow-x-auto">
+        <table className="w-full">
+          <thead className="bg-indigo-50">
+            <tr>
+              <th className="px-4 py-3 text-left text-sm font-semibold text-indigo-900">Time</th>
+              <th className="px-4 py-3 text-left text-sm font-semibold text-indigo-900">Event</th>
+              <th className="px-4 py-3 text-left text-sm font-semibold text-indigo-900">Entity</th>
+              <th className="px-4 py-3 text-left text-sm font-semibold text-indigo-900">Actor</th>
+              <th className="px-4 py-3 text-left text-sm font-semibold text-indigo-900">Before</th>
+              <th className="px-4 py-3 text-left text-sm font-semibold text-indigo-900">After</th>
+              <th className="px-4 py-3 text-left text-sm font-semibold text-indigo-900">Request</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y">
+            {events.map(event => (
+              <tr key={event.id} className="hover:bg-gray-50 align-top">
+                <td className="px-4 py-3 text-sm whitespace-nowrap">{new Date(event.occurredAt).toLocaleString()}</td>
+                <td className="px-4 py-3 text-sm font-medium">{event.type}</td>
+                <td className="px-4 py-3 text-sm">{event.entity} {event.entityId}</td>
+                <td className="px-4 py-3 text-sm">
+                  {event.actorId}
+                  <div className="text-xs text-gray-500">{event.role}</div>
+                </td>
+                <td className="px-4 py-3 text-xs font-mono text-gray-600 break-all">{formatValues(event.before)}</td>
+                <td className="px-4 py-3 text-xs font-mono text-gray-900 break-all">{formatValues(event.after)}</td>
+                <td className="px-4 py-3 text-xs font-mono text-gray-500">{event.requestId}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        {events.length === 0 && (
+          <p className="text-sm text-gray-500 mt-4">No audit events match these filters</p>
+        )}
+      </div>
+    </div>
+  );
+}
+
 export default App;
\ No newline at end of file
@@ -0,0 +1,293 @@
+// In-memory stand-in for the backend, selected with VITE_API_MODE=mock for UI work.
+// Same methods and result shapes as createApiClient; business-rule failures throw ApiError.
+import { ApiError } from './apiClient';
+
+const COMPANY = { id: 'C001', name: 'Nordic Shipping AS' };
+
+const VESSELS = [
+  { id: 'S001', imoNumber: '9074729', name: 'Nordic Aurora', vesselType: 'Container', grossTonnage: 52000, iceClass: null,
+    managingCompany: 'Nordic Ship Management', companyId: COMPANY.id, windPropulsion: { windPower: 1500, propulsionPower: 20000, rewardFactor: 0.97 }, inScope: true },
+  { id: 'S002', imoNumber: '9321483', name: 'Nordic Bulker', vesselType: 'BulkCarrier', grossTonnage: 38000, iceClass: '1A',
+    managingCompany: 'Nordic Ship Management', companyId: COMPANY.id, windPropulsion: null, inScope: true },
+  { id: 'S003', imoNumber: '9176187', name: 'Nordic Tern', vesselType: 'Tanker', grossTonnage: 29000, iceClass: null,
+    managingCompany: 'Nordic Ship Management', companyId: COMPANY.id, windPropulsion: null, inScope: true },
+  { id: 'S004', imoNumber: '9250878', name: 'Nordic Ferry', vesselType: 'RoRo', grossTonnage: 24000, iceClass: null,
+    managingCompany: 'Nordic Ship Management', companyId: COMPANY.id, windPropulsion: null, inScope: true }
+];
+
+const ROUTES = [
+  { routeId: 'R001', shipId: 'S001', vesselType: 'Container', year: 2024, ghgIntensity: 91.0, fuelConsumption: 5000, distance: 12000, totalEmissions: 4500, isBaseline: false, totalEnergy: 204260000, energyInScope: 163408000,
+    scopeSplit: { fullScopeEnergy: 122556000, halfScopeEnergy: 81704000, outOfScopeEnergy: 0 },
+    fuels: [{ fuelType: 'HFO', consumption: 4200, energyShare: 0.833 }, { fuelType: 'MGO', consumption: 800, energyShare: 0.167 }] },
+  { routeId: 'R002', shipId: 'S002', vesselType: 'BulkCarrier', year: 2024, ghgIntensity: 88.0, fuelConsumption: 4800, distance: 11500, totalEmissions: 4200, isBaseline: true, totalEnergy: 232480000, energyInScope: 232480000,
+    scopeSplit: { fullScopeEnergy: 232480000, halfScopeEnergy: 0, outOfScopeEnergy: 0 },
+    fuels: [{ fuelType: 'LNG', consumption: 4300, energyShare: 0.908 }, { fuelType: 'MGO', consumption: 500, energyShare: 0.092 }] },
+  { routeId: 'R003', shipId: 'S003', vesselType: 'Tanker', year: 2024, ghgIntensity: 93.5, fuelConsumption: 5100, distance: 12500, totalEmissions: 4700, isBaseline: false, totalEnergy: 217770000, energyInScope: 108885000,
+    scopeSplit: { fullScopeEnergy: 0, halfScopeEnergy: 217770000, outOfScopeEnergy: 0 },
+    fuels: [{ fuelType: 'MGO', consumption: 5100, energyShare: 1 }] },
+  { routeId: 'R004', shipId: 'S004', vesselType: 'RoRo', year: 2025, ghgIntensity: 89.2, fuelConsumption: 4900, distance: 11800, totalEmissions: 4300, isBaseline: false, totalEnergy: 199550000, energyInScope: 199550000,
+    scopeSplit: { fullScopeEnergy: 199550000, halfScopeEnergy: 0, outOfScopeEnergy: 0 },
+    fuels: [{ fuelType: 'HFO', consumption: 4400, energyShare: 0.893 }, { fuelType: 'MGO', consumption: 500, energyShare: 0.107 }] },
+  { routeId: 'R005', shipId: 'S001', vesselType: 'Container', year: 2025, ghgIntensity: 90.5, fuelConsumption: 4950, distance: 11900, totalEmissions: 4400, isBaseline: false, totalEnergy: 239845000, energyInScope: 179883750,
+    scopeSplit: { fullScopeEnergy: 119922500, halfScopeEnergy: 119922500, outOfScopeEnergy: 0 },
+    fuels: [{ fuelType: 'LNG', consumption: 4450, energyShare: 0.911 }, { fuelType: 'MGO', consumption: 500, energyShare: 0.089 }] }
+];
+
+const rejected = (message) => new ApiError(422, { code: 'VALIDATION_ERROR', message, details: [] });
+
+// [year, status, cbBefore, banked, applied, borrowed, pooled]; surplus banked early is drawn once targets tighten
+const TIMELINE = {
+  S001: [
+    [2025, 'Verified', 1250.5, 500, 0, 0, 0],
+    [2026, 'Verified', 820.0, 300, 0, 0, -150],
+    [2027, 'Submitted', 310.2, 0, 0, 0, 0],
+    [2028, 'Draft', -420.8, 0, 420.8, 0, 0],
+    [2029, 'Draft', -610.4, 0, 379.2, 0, 0]
+  ],
+  S002: [
+    [2025, 'Verified', -800.0, 0, 0, 0, 0],
+    [2026, 'Verified', -350.0, 0, 0, 350, 0],
+    [2027, 'Draft', -985.0, 0, 0, 0, 0]
+  ],
+  S003: [
+    [2025, 'Submitted', 500.0, 0, 0, 0, 0],
+    [2026, 'Draft', 120.4, 0, 0, 0, 0]
+  ]
+};
+
+const BORROW_CAPS = { S001: 4057.9, S002: 3650.2, S003: 2210.4 };
+
+// Every period of a ship with its adjusted CB; last year's borrowing is repaid ×1.1
+const periodsOf = (shipId) => {
+  let bankBalance = 0;
+  let borrowingRepaid = 0;
+  return (TIMELINE[shipId] ?? []).map(([year, status, cbBefore, banked, applied, borrowed, pooled]) => {
+    bankBalance += banked - applied;
+    const cbAfter = cbBefore - banked + applied + borrowed - borrowingRepaid + pooled;
+    const period = { year, status, cbBefore, banked, applied, borrowed, borrowingRepaid, pooled, cbAfter, bankBalance };
+    borrowingRepaid = borrowed * 1.1;
+    return period;
+  });
+};
+
+// Undefined when the ship has no CB that year, as the backend answers 404
+const complianceBalance = (shipId, year) => {
+  const period = periodsOf(shipId).find(p => p.year === Number(year));
+  if (!period) return undefined;
+  const { status, cbBefore, banked, applied, borrowed, borrowingRepaid, cbAfter } = period;
+  return {
+    shipId, year: period.year, status, cbBefore, banked, applied, borrowed, borrowingRepaid,
+    borrowCap: BORROW_CAPS[shipId], borrowedPreviousYear: borrowingRepaid > 0, cbAfter
+  };
+};
+
+const requireComplianceBalance = (shipId, year) => {
+  const cb = complianceBalance(shipId, year);
+  if (!cb) throw new ApiError(404, { code: 'NOT_FOUND', message: 'Compliance balance not found', details: [] });
+  return cb;
+};
+
+// Well-to-wake defaults of the backend's fuel catalogue, gCO2e/MJ (RFNBO reward left out)
+const FUEL_INTENSITY = { HFO: 91.74, LNG: 89.2, MGO: 90.77, 'Bio-LNG': 30.14, 'e-Methanol': 9.46, 'e-Ammonia': 11.01 };
+
+const targetIntensity = (year) => {
+  const reductionPercent = [[2050, 80], [2045, 62], [2040, 31], [2035, 14.5], [2030, 6], [2025, 2]]
+    .find(([fromYear]) => year >= fromYear)[1];
+  return Math.round(91.16 * (1 - reductionPercent / 100) * 10000) / 10000;
+};
+
+const penaltyFor = (cbAfter) => (cbAfter < 0 ? Math.abs(cbAfter) * 1e6 / (90.1 * 41000) * 2400 : 0);
+
+export const mockApi = {
+  // Demo logins pick the role from the email prefix, e.g. verifier@nordic.example
+  login: async (email, password) => ({
+    token: 'mock-token',
+    expiresIn: 28800,
+    user: {
+      id: 'U001',
+      email,
+      role: ['viewer', 'verifier', 'admin'].find(role => email.startsWith(role)) ?? 'operator',
+      companyId: COMPANY.id,
+      companyName: COMPANY.name
+    }
+  }),
+  logout: () => {},
+  getVessels: async () => VESSELS,
+  getRoutes: async ({ vesselType, fuelType, year, search, minIntensity, maxIntensity, sort = 'routeId', order = 'asc', page = 1, pageSize = 25 } = {}) => {
+    const text = search?.toLowerCase();
+    const vesselName = (shipId) => VESSELS.find(v => v.id === shipId)?.name.toLowerCase() ?? '';
+    const items = ROUTES
+      .filter(r =>
+        (!vesselType || r.vesselType === vesselType) &&
+        (!fuelType || r.fuels.some(f => f.fuelType === fuelType)) &&
+        (!year || r.year === Number(year)) &&
+        (!text || [r.routeId.toLowerCase(), r.shipId.toLowerCase(), vesselName(r.shipId)].some(v => v.includes(text))) &&
+        (minIntensity === '' || minIntensity === undefined || r.ghgIntensity >= Number(minIntensity)) &&
+        (maxIntensity === '' || maxIntensity === undefined || r.ghgIntensity <= Number(maxIntensity))
+      )
+      .sort((a, b) => {
+        const diff = sort === 'routeId' ? a.routeId.localeCompare(b.routeId) : a[sort] - b[sort];
+        return (order === 'desc' ? -diff : diff) || a.routeId.localeCompare(b.routeId);
+      });
+    return { items: items.slice((page - 1) * pageSize, page * pageSize), page, pageSize, total: items.length };
+  },
+  getRouteFacets: async () => ({
+    vesselTypes: [...new Set(ROUTES.map(r => r.vesselType))].sort(),
+    fuelTypes: [...new Set(ROUTES.flatMap(r => r.fuels.map(f => f.fuelType)))].sort(),
+    years: [...new Set(ROUTES.map(r => r.year))].sort()
+  }),
+  setBaseline: async (routeId) => ({ success: true, routeId }),
+  importRoutes: async (csv, mode) => {
+    const [header, ...lines] = csv.trim().split(/\r?\n/);
+    const keys = header.split(',').map(k => k.trim());
+    const rows = lines.map((line, i) => {
+      const row = Object.fromEntries(line.split(',').map((v, j) => [keys[j], v.trim()]));
+      return row.routeId
+        ? { line: i + 2, routeId: row.routeId, status: 'accepted' }
+        : { line: i + 2, routeId: '', status: 'rejected', error: 'routeId is required' };
+    });
+    const rejected = rows.filter(r => r.status === 'rejected').length;
+    const imported = mode === 'all-or-nothing' && rejected > 0 ? 0 : rows.length - rejected;
+    return { mode, imported, rejected, rows };
+  },
+  getTargets: async () => ({
+    referenceIntensity: 91.16,
+    targets: Array.from({ length: 26 }, (_, i) => 2025 + i).map(year => {
+      const reductionPercent = [[2050, 80], [2045, 62], [2040, 31], [2035, 14.5], [2030, 6], [2025, 2]]
+        .find(([fromYear]) => year >= fromYear)[1];
+      return { year, reductionPercent, targetIntensity: targetIntensity(year) };
+    })
+  }),
+  // Like the backend: every route against the baseline, judged by the year's target
+  getComparison: async (year) => {
+    const baseline = ROUTES.find(r => r.isBaseline);
+    const target = targetIntensity(year);
+    return {
+      year,
+      target,
+      baseline: { routeId: baseline.routeId, ghgIntensity: baseline.ghgIntensity },
+      comparisons: ROUTES.filter(r => r !== baseline).map(r => ({
+        routeId: r.routeId,
+        ghgIntensity: r.ghgIntensity,
+        percentDiff: (r.ghgIntensity / baseline.ghgIntensity - 1) * 100,
+        compliant: r.ghgIntensity <= target
+      }))
+    };
+  },
+  getCB: async (shipId, year) => requireComplianceBalance(shipId, year),
+  getCBBreakdown: async (shipId, year) => {
+    requireComplianceBalance(shipId, year);
+    return {
+      shipId, year, targetIntensity: targetIntensity(year), fuelGhgIntensity: 88.12, windRewardFactor: 0.97, actualIntensity: 85.4764,
+      energyInScope: 205000000, cb: 789.35, windCb: 541.98
+    };
+  },
+  getPenalty: async (shipId, year) => {
+    const { cbAfter } = requireComplianceBalance(shipId, year);
+    const penaltyEur = penaltyFor(cbAfter);
+    return { shipId, year, cbAfter, ghgIntensity: 90.1, consecutiveDeficitPeriods: cbAfter < 0 ? 1 : 0, multiplier: 1, penaltyEur };
+  },
+  getTimeline: async (shipId, from, to) => {
+    if (Number(from) > Number(to)) throw rejected('from must not be after to');
+    const years = periodsOf(shipId).map(p => ({ ...p, penaltyEur: penaltyFor(p.cbAfter) }));
+    return { shipId, from: Number(from), to: Number(to), years: years.filter(y => y.year >= from && y.year <= to) };
+  },
+  bankCB: async (shipId, year, amount) => {
+    const { cbBefore, cbAfter } = requireComplianceBalance(shipId, year);
+    if (cbBefore <= 0) throw rejected('Cannot bank negative or zero CB');
+    if (amount > cbAfter) throw rejected(`Amount exceeds available CB of ${cbAfter.toFixed(2)}`);
+    return { success: true, banked: amount };
+  },
+  applyBanked: async (shipId, year, amount) => {
+    if (amount > requireComplianceBalance(shipId, year).banked) throw rejected('Amount exceeds available banked surplus');
+    return { success: true, applied: amount, drawdowns: [] };
+  },
+  borrow: async (shipId, year, amount) => {
+    if (requireComplianceBalance(shipId, year).cbAfter >= 0) throw rejected('Can only borrow to cover a deficit');
+    return { success: true, shipId, year, amountGco2eq: amount, repaymentGco2eq: amount * 1.1 };
+  },
+  downloadReport: async (shipId, year) =>
+    new Blob([`%PDF-1.4\n% FuelEU Maritime Compliance Report ${shipId} ${year}\n`], { type: 'application/pdf' }),
+  // The company's ships with a CB that year
+  getAdjustedCB: async (year) =>
+    VESSELS.map(v => complianceBalance(v.id, year))
+      .filter(Boolean)
+      .map(({ shipId, status, cbBefore, cbAfter }) => ({ shipId, year: Number(year), status, cbBefore, cbAfter })),
+  previewPool: async (year, members, strategy) => {
+    const allocations = [...members]
+      .sort((a, b) => b.cbBefore - a.cbBefore)
+      .map(m => ({ shipId: m.shipId, cbBefore: m.cbBefore, cbAfter: m.cbBefore }));
+    const transfers = [];
+    for (const giver of allocations.filter(a => a.cbAfter > 0)) {
+      for (const receiver of [...allocations].reverse().filter(a => a.cbAfter < 0)) {
+        const amount = Math.min(giver.cbAfter, -receiver.cbAfter);
+        if (amount <= 0) break;
+        giver.cbAfter -= amount;
+        receiver.cbAfter += amount;
+        transfers.push({ fromShipId: giver.shipId, toShipId: receiver.shipId, amount });
+      }
+    }
+    const totalCB = members.reduce((sum, m) => sum + m.cbBefore, 0);
+    if (totalCB < 0) throw rejected('Pool total CB must be non-negative');
+    return { year, strategy, totalCB, allocations, transfers };
+  },
+  createPool: async (year, members, strategy) => {
+    const { allocations, transfers } = await mockApi.previewPool(year, members, strategy);
+    return { poolId: 'P001', status: 'Active', allocations, transfers };
+  },
+  getPools: async (year) => [
+    { id: 'P002', year, status: 'PendingConsent', companyIds: ['C002', COMPANY.id],
+      consents: [{ companyId: 'C002', userId: 'U201', consentedAt: '2025-04-18T10:00:00Z' }],
+      members: [{ shipId: 'S101', cbBefore: 900, cbAfter: 400 }, { shipId: 'S002', cbBefore: -500, cbAfter: 0 }] }
+  ],
+  consentToPool: async (poolId) => ({ success: true, poolId, status: 'Active' }),
+  simulateScenarios: async (shipId, scenarios) => {
+    const routes = ROUTES.filter(r => r.shipId === shipId);
+    if (routes.length === 0) throw rejected(`Vessel ${shipId} has no routes to project from`);
+    const base = routes.reduce((latest, r) => (r.year > latest.year ? r : latest));
+    const baseMix = base.fuels.map(f => ({ fuelType: f.fuelType, energyShare: f.energyShare }));
+    return {
+      shipId,
+      baseYear: base.year,
+      baseFuels: base.fuels.map(({ fuelType, consumption }) => ({ fuelType, consumption })),
+      scenarios: scenarios.map(({ name, changes }) => {
+        let mix = baseMix;
+        let consumptionChange = 0;
+        let efficiencyGain = 0;
+        let deficits = 0;
+        const years = Array.from({ length: 26 }, (_, i) => 2025 + i).map(year => {
+          const change = changes.find(c => c.fromYear === year);
+          mix = change?.fuelMix ?? mix;
+          consumptionChange = change?.consumptionChangePercent ?? consumptionChange;
+          efficiencyGain = change?.efficiencyGainPercent ?? efficiencyGain;
+          const ghgIntensity = mix.reduce((sum, f) => sum + FUEL_INTENSITY[f.fuelType] * f.energyShare, 0);
+          const energyInScope = base.energyInScope * (1 + consumptionChange / 100) * (1 - efficiencyGain / 100);
+          const cb = (targetIntensity(year) - ghgIntensity) * energyInScope / 1e6;
+          deficits = cb < 0 ? deficits + 1 : 0;
+          const penaltyEur = cb < 0 ? Math.abs(cb) * 1e6 / (ghgIntensity * 41000) * 2400 * (1 + (deficits - 1) / 10) : 0;
+          return { year, targetIntensity: targetIntensity(year), ghgIntensity, energyInScope, cb, penaltyEur };
+        });
+        return {
+          name,
+          firstDeficitYear: years.find(y => y.cb < 0)?.year ?? null,
+          totalPenaltyEur: years.reduce((sum, y) => sum + y.penaltyEur, 0),
+          years
+        };
+      })
+    };
+  },
+  getAudit: async (filters = {}) => [
+    { id: 'A001', type: 'BaselineSet', entity: 'route', entityId: 'R002', shipIds: ['S002'], actorId: 'ops.anna', role: 'operator',
+      requestId: 'req-7f3a', before: { baselineRouteId: 'R001' }, after: { baselineRouteId: 'R002' }, occurredAt: '2025-03-02T09:14:00Z' },
+    { id: 'A002', type: 'SurplusBanked', entity: 'bank', entityId: 'S001:2024', shipIds: ['S001'], actorId: 'ops.anna', role: 'operator',
+      requestId: 'req-81c0', before: { banked: 0 }, after: { banked: 500 }, occurredAt: '2025-04-11T13:40:00Z' },
+    { id: 'A003', type: 'PoolCreated', entity: 'pool', entityId: 'P001', shipIds: ['S001', 'S002'], actorId: 'ops.lee', role: 'operator',
+      requestId: 'req-9d12', before: { members: [{ shipId: 'S001', cb: 1250.5 }, { shipId: 'S002', cb: -800 }] },
+      after: { year: 2024, strategy: 'greedy', members: [{ shipId: 'S001', cb: 450.5 }, { shipId: 'S002', cb: 0 }] }, occurredAt: '2025-04-20T08:05:00Z' }
+  ].filter(e =>
+    (!filters.entity || e.entity === filters.entity) &&
+    (!filters.shipId || e.shipIds.includes(filters.shipId)) &&
+    (!filters.from || e.occurredAt >= filters.from) &&
+    (!filters.to || e.occurredAt.slice(0, 10) <= filters.to)
+  )
+};